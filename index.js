@@ -1,19 +1,73 @@
 // index.js - Entry point for LinkedIn Automation Engine
 require('dotenv').config();
 const WorkflowEngine = require('./workflows/workflowEngine');
+const { WebhookServer } = require('./triggers/webhookServer');
+const { FeedbackModel } = require('./triggers/feedbackModel');
+const { LinkedInPublisher } = require('./services/linkedinPublisher');
 const scheduler = require('./scheduler/cronScheduler');
 const logger = require('./utils/logger');
+const httpCache = require('./utils/httpCache');
 const main = async () => {
   logger.info('LinkedIn Automation Engine starting...');
 
   const args = process.argv.slice(2);
   const isWorkflowMode = args.includes('--workflow');
+  const isWebhookMode = args.includes('--webhook');
+  const isEvaluateMode = args.includes('--evaluate-feedback');
+  const isClearCacheMode = args.includes('--clear-cache');
+  const queueCommand = ['--queue', '--publish', '--edit', '--reject'].find(flag => args.includes(flag));
+  // Positional values after a flag: --edit <queueId> <text>
+  const valuesOf = flag => args.slice(args.indexOf(flag) + 1).filter(arg => !arg.startsWith('--'));
 
-  if (isWorkflowMode) {
+  if (queueCommand) {
+    // Review the persisted post queue; decisions feed the feedback model
+    const publisher = new LinkedInPublisher({ feedback: new FeedbackModel() });
+    const [queueId, ...rest] = valuesOf(queueCommand);
+    if (queueCommand !== '--queue' && !queueId) {
+      throw new Error(`${queueCommand} needs a queue item id (see --queue)`);
+    }
+
+    let output;
+    if (queueCommand === '--queue') {
+      output = publisher.getQueue(queueId || 'pending');
+    } else if (queueCommand === '--publish') {
+      output = await publisher.publishFromQueue(queueId);
+    } else if (queueCommand === '--edit') {
+      output = publisher.editQueueItem(queueId, rest.join(' '));
+    } else {
+      output = publisher.rejectFromQueue(queueId, rest.join(' ') || null);
+    }
+    console.log(JSON.stringify(output, null, 2));
+    process.exit(0);
+  } else if (isEvaluateMode) {
+    // Cross-validated precision/recall of the feedback model on past queue decisions
+    const report = new FeedbackModel().evaluate();
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(0);
+  } else if (isClearCacheMode) {
+    httpCache.clear();
+    process.exit(0);
+  } else if (isWorkflowMode) {
     logger.info('Running in single workflow execution mode');
     const engine = new WorkflowEngine();
     await engine.executeWorkflow();
     process.exit(0);
+  } else if (isWebhookMode) {
+    logger.info('Running in webhook receiver mode');
+    const engine = new WorkflowEngine();
+    if (!engine.githubTrigger) {
+      throw new Error('Webhook mode requires "github" in TRIGGERS');
+    }
+    const server = new WebhookServer(engine, engine.githubTrigger);
+    await server.start();
+
+    const shutdown = async () => {
+      logger.info('Shutting down webhook receiver...');
+      await server.stop();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
   } else {
 
   logger.info('Starting scheduler mode');
@@ -1,6 +1,7 @@
 // services/contentGenerator.js
 const axios = require('axios');
-const { logger } = require('../utils/logger');
+const logger = require('../utils/logger');
+const { PromptBuilder } = require('./promptBuilder');
 /**
  * PHASE 5: Content Generation
  * LLM-agnostic API wrapper for free inference providers
@@ -21,6 +22,7 @@ class ContentGenerator {
     this.hfToken = process.env.HUGGINGFACE_TOKEN || null;
     this.rateLimitDelay = 2000; // 2s between requests
     this.lastCallTime = 0;
+    this.promptBuilder = new PromptBuilder();
   }
 
   /**
@@ -141,25 +143,12 @@ class ContentGenerator {
    * Format prompt for Mistral instruction template
    */
   _formatMistralPrompt(prompt) {
-    const { system, instructions, context, constraints } = prompt;
+    const { messages } = this.promptBuilder.toAPIFormat(prompt, 'huggingface');
+    const [system, user] = messages.map(message => message.content);
 
     return `<s>[INST] ${system}
 
-Task: ${instructions.task}
-
-Context:
-${instructions.context.map(ctx => `- ${ctx}`).join('\n')}
-
-Guidelines:
-${instructions.guidelines.map(g => `- ${g}`).join('\n')}
-
-Constraints:
-- Length: ${constraints.length.min}-${constraints.length.max} ${constraints.length.unit}
-- Tone: ${constraints.formatting.tone}
-- Include: ${constraints.structure.include.join(', ')}
-- Relevant hashtags: ${constraints.formatting.hashtags}
-
-Generate a professional LinkedIn post. [/INST]`;
+${user} [/INST]`;
   }
 
   /**
@@ -167,11 +156,11 @@ Generate a professional LinkedIn post. [/INST]`;
    * CRITICAL: Does NOT generate real content, returns structured template
    */
   _generateFallback(prompt) {
-    const { metadata, context } = prompt;
+    const { topic, context } = prompt.instructions;
 
     // Template structure only - NOT real content
     const template = {
-      text: `[PLACEHOLDER: LinkedIn post about ${metadata.topic}]\n\n[Hook: Opening statement]\n\n[Context: ${context.summary?.substring(0, 50) || 'Details about signal'}...]\n\n[Call-to-action]\n\n#${metadata.topic.replace(/\s+/g, '')} #Automation`,
+      text: `[PLACEHOLDER: LinkedIn post about ${topic}]\n\n[Hook: Opening statement]\n\n[Context: ${context?.substring(0, 50) || 'Details about signal'}...]\n\n[Call-to-action]\n\n#${String(topic).replace(/\s+/g, '')} #Automation`,
       provider: 'fallback',
       model: 'template',
       metadata: {
@@ -199,8 +188,8 @@ Generate a professional LinkedIn post. [/INST]`;
    * Validate prompt structure
    */
   _validatePrompt(prompt) {
-    const required = ['metadata', 'system', 'instructions', 'context', 'constraints'];
-    return required.every(field => prompt[field]);
+    const required = ['metadata', 'system', 'instructions', 'constraints'];
+    return required.every(field => prompt[field]) && !!prompt.instructions.topic && !!prompt.instructions.context;
   }
 
   /**
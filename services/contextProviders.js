@@ -0,0 +1,363 @@
+// services/contextProviders.js
+const logger = require('../utils/logger');
+const httpCache = require('../utils/httpCache');
+const { extractLinkedIssues } = require('../utils/linkedIssues');
+
+/**
+ * Context provider contract
+ * Every source of background context for a signal exposes:
+ *   name                      - short name used in CONTEXT_PROVIDERS and in `sources`
+ *   fetch(signal, keywords)   - async; contexts as
+ *                               [{ source, topic, content, url, relevance }]
+ *                               relevance is 0-1: how much the context is about this signal
+ * Providers return [] when they do not apply; DataFetcher catches their errors.
+ */
+const PROVIDER_METHODS = ['fetch'];
+
+const TIMEOUT_MS = 5000;
+const CONTENT_LIMIT = 400;
+
+// Manifests that say which registry a touched dependency lives in
+const MANIFEST_PATTERNS = {
+  npm: /(^|\/)(package\.json|package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml)$/,
+  pypi: /(^|\/)(requirements[^/]*\.txt|pyproject\.toml|setup\.py|setup\.cfg|Pipfile(\.lock)?|poetry\.lock)$/
+};
+const PACKAGE_NAME = '(@?[a-z0-9][\\w.-]*(?:\\/[\\w.-]+)?)';
+// Dependabot ("bump axios from 1.6.0 to 1.7.2") and Renovate ("update dependency axios to v1.7.2")
+const BOT_BUMP_PATTERNS = [
+  new RegExp(`\\bbump ${PACKAGE_NAME} from \\S+ to \\S+`, 'gi'),
+  new RegExp(`\\bupdate (?:dependency )?${PACKAGE_NAME} to v?\\d`, 'gi')
+];
+// Hand-written dependency changes; only trusted when a manifest was touched
+const MANUAL_DEPENDENCY_PATTERN = new RegExp(
+  `\\b(?:add|bump|upgrade|update|install|migrate to|switch to|replace \\S+ with) ${PACKAGE_NAME}`, 'gi'
+);
+const NOT_PACKAGES = new Set([
+  'a', 'an', 'the', 'to', 'dependency', 'dependencies', 'deps', 'dev', 'version', 'versions',
+  'package', 'packages', 'lockfile', 'support', 'new', 'all', 'some', 'missing'
+]);
+
+// Trim a context body to something a prompt can hold
+function clip(text, limit = CONTENT_LIMIT) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > limit ? `${clean.substring(0, limit - 1)}…` : clean;
+}
+
+// Share of keywords that occur in a text (0 when there are none)
+function keywordOverlap(text, keywords) {
+  if (!keywords || keywords.length === 0) return 0;
+  const haystack = (text || '').toLowerCase();
+  return keywords.filter(keyword => haystack.includes(keyword.toLowerCase())).length / keywords.length;
+}
+
+// Base relevance raised by keyword overlap, capped at 1
+function score(base, text, keywords, weight = 0.2) {
+  return parseFloat(Math.min(1, base + weight * keywordOverlap(text, keywords)).toFixed(2));
+}
+
+// Title/message text of a commit, pull request or issue
+function signalText(signal) {
+  const data = signal.data || {};
+  return signal.type === 'commit' ? data.message || '' : `${data.title || ''}\n${data.body || ''}`;
+}
+
+// GitHub-hosted signals only; other forges have their own APIs
+function isGitHubSignal(signal) {
+  return (signal.source || 'github') === 'github' && /^[^/\s]+\/[^/\s]+$/.test(signal.repo || '');
+}
+
+/**
+ * Dependencies a signal changed, per registry
+ * @returns {Object} { npm: [{ name, explicit }], pypi: [{ name, explicit }] }
+ */
+function touchedDependencies(signal) {
+  const data = signal.data || {};
+  const text = (signal.type === 'commit' ? data.message || '' : data.title || '').split('\n')[0];
+  const files = (data.files || []).map(file => file.filename);
+  const labels = (data.labels || []).map(label => String(label).toLowerCase());
+
+  const touched = Object.keys(MANIFEST_PATTERNS).filter(registry =>
+    files.some(file => MANIFEST_PATTERNS[registry].test(file)));
+  if (labels.includes('javascript') && !touched.includes('npm')) touched.push('npm');
+  if (labels.includes('python') && !touched.includes('pypi')) touched.push('pypi');
+
+  const names = (pattern) => [...text.matchAll(pattern)]
+    .map(match => match[1].replace(/[.,;:]+$/, '').toLowerCase())
+    .filter(name => !NOT_PACKAGES.has(name));
+
+  const explicit = BOT_BUMP_PATTERNS.flatMap(names);
+  const manual = touched.length > 0 ? names(MANUAL_DEPENDENCY_PATTERN) : [];
+
+  const result = { npm: [], pypi: [] };
+  // Bot bumps without a manifest hint could be either registry; the lookup decides
+  for (const registry of touched.length > 0 ? touched : Object.keys(result)) {
+    const seen = new Set();
+    for (const [name, isExplicit] of [...explicit.map(n => [n, true]), ...manual.map(n => [n, false])]) {
+      if (seen.has(name) || (registry === 'pypi' && name.startsWith('@'))) continue;
+      seen.add(name);
+      result[registry].push({ name, explicit: isExplicit });
+    }
+    result[registry] = result[registry].slice(0, 3);
+  }
+  return result;
+}
+
+// Wikipedia summaries for the signal's keywords; general background, ranked low
+class WikipediaProvider {
+  constructor() {
+    this.name = 'wikipedia';
+    this.baseUrl = 'https://en.wikipedia.org/api/rest_v1';
+  }
+
+  // Fetch Wikipedia summary for a topic
+  async fetchSummary(topic) {
+    try {
+      const response = await httpCache.get(
+        this.name,
+        `${this.baseUrl}/page/summary/${encodeURIComponent(topic.replace(/ /g, '_'))}`,
+        { timeout: TIMEOUT_MS },
+        { select: ({ type, extract, content_urls }) => ({ type, extract, content_urls }) }
+      );
+
+      if (response.data && response.data.extract && response.data.type !== 'disambiguation') {
+        return response.data;
+      }
+      logger.debug('No Wikipedia extract found', { topic });
+      return null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        logger.debug('Wikipedia page not found', { topic });
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // A page only counts as relevant when it also mentions the signal's other keyphrases
+  async fetch(signal, keywords) {
+    const contexts = [];
+
+    for (const keyword of keywords) {
+      const summary = await this.fetchSummary(keyword);
+      if (!summary) continue;
+
+      contexts.push({
+        source: this.name,
+        topic: keyword,
+        content: clip(summary.extract),
+        url: summary.content_urls?.desktop?.page || null,
+        relevance: score(0.2, summary.extract, keywords.filter(k => k !== keyword), 0.4)
+      });
+    }
+    return contexts;
+  }
+}
+
+// npm registry descriptions of JavaScript dependencies the signal touched
+class NpmProvider {
+  constructor() {
+    this.name = 'npm';
+    this.baseUrl = 'https://registry.npmjs.org';
+  }
+
+  async fetch(signal, keywords) {
+    const contexts = [];
+
+    for (const { name, explicit } of touchedDependencies(signal).npm) {
+      try {
+        const response = await httpCache.get(
+          this.name,
+          `${this.baseUrl}/${name.replace('/', '%2F')}/latest`,
+          { timeout: TIMEOUT_MS },
+          { select: data => ({ name: data.name, description: data.description }) }
+        );
+        const info = response.data;
+        if (!info || !info.description) continue;
+
+        const content = clip(`${info.name} (npm package): ${info.description}`);
+        contexts.push({
+          source: this.name,
+          topic: info.name,
+          content,
+          url: `https://www.npmjs.com/package/${info.name}`,
+          relevance: score(explicit ? 0.75 : 0.6, content, keywords)
+        });
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        logger.debug('npm package not found', { name });
+      }
+    }
+    return contexts;
+  }
+}
+
+// PyPI summaries of Python dependencies the signal touched
+class PyPIProvider {
+  constructor() {
+    this.name = 'pypi';
+    this.baseUrl = 'https://pypi.org/pypi';
+  }
+
+  async fetch(signal, keywords) {
+    const contexts = [];
+
+    for (const { name, explicit } of touchedDependencies(signal).pypi) {
+      try {
+        // The full document lists every release; only the summary is worth keeping
+        const response = await httpCache.get(
+          this.name,
+          `${this.baseUrl}/${encodeURIComponent(name)}/json`,
+          { timeout: TIMEOUT_MS },
+          { select: ({ info }) => ({ info: info && { name: info.name, summary: info.summary, package_url: info.package_url } }) }
+        );
+        const info = response.data && response.data.info;
+        if (!info || !info.summary) continue;
+
+        const content = clip(`${info.name} (Python package): ${info.summary}`);
+        contexts.push({
+          source: this.name,
+          topic: info.name,
+          content,
+          url: info.package_url || `https://pypi.org/project/${info.name}/`,
+          relevance: score(explicit ? 0.75 : 0.6, content, keywords)
+        });
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        logger.debug('PyPI package not found', { name });
+      }
+    }
+    return contexts;
+  }
+}
+
+// Base for providers that read from the GitHub API; the client is created on first use
+class GitHubContextProvider {
+  get client() {
+    if (!this._client) {
+      const { GitHubClient } = require('../triggers/githubClient');
+      this._client = new GitHubClient();
+    }
+    return this._client;
+  }
+
+  applies(signal) {
+    return isGitHubSignal(signal) && !!this.client.token;
+  }
+}
+
+// The repository's own description and topics
+class RepositoryProvider extends GitHubContextProvider {
+  constructor() {
+    super();
+    this.name = 'repository';
+  }
+
+  async fetch(signal, keywords) {
+    if (!this.applies(signal)) return [];
+
+    const info = await this.client.get(`/repos/${signal.repo}`, {}, { conditional: true });
+    if (!info || (!info.description && (info.topics || []).length === 0)) return [];
+
+    const topics = (info.topics || []).join(', ');
+    const content = clip(`${info.full_name}: ${info.description || ''}${topics ? ` (topics: ${topics})` : ''}`);
+    return [{
+      source: this.name,
+      topic: info.full_name,
+      content,
+      url: info.html_url || null,
+      relevance: score(0.5, content, keywords)
+    }];
+  }
+}
+
+// Bodies of the issues a signal closes and of the pull request a squash commit came from
+class LinkedIssueProvider extends GitHubContextProvider {
+  constructor() {
+    super();
+    this.name = 'linked';
+    this.maxItems = 2;
+  }
+
+  // [{ number, relation }] referenced by the signal, closing references first
+  references(signal) {
+    const data = signal.data || {};
+    const text = signalText(signal);
+    const refs = (data.linked_issues || extractLinkedIssues(text))
+      .map(number => ({ number, relation: 'closes' }));
+
+    // Squash merges end the subject with "(#123)": the pull request that explains the change
+    const squash = signal.type === 'commit' && text.split('\n')[0].match(/\(#(\d+)\)\s*$/);
+    if (squash) refs.push({ number: parseInt(squash[1], 10), relation: 'pull_request' });
+
+    return refs
+      .filter((ref, i) => ref.number !== data.number &&
+        refs.findIndex(other => other.number === ref.number) === i)
+      .slice(0, this.maxItems);
+  }
+
+  async fetch(signal, keywords) {
+    if (signal.type === 'issue' || !this.applies(signal)) return [];
+
+    const contexts = [];
+    for (const { number, relation } of this.references(signal)) {
+      try {
+        const item = await this.client.get(`/repos/${signal.repo}/issues/${number}`, {}, { conditional: true });
+        const content = clip(`#${item.number} ${item.title}: ${item.body || ''}`);
+        contexts.push({
+          source: this.name,
+          topic: item.title,
+          content,
+          url: item.html_url || null,
+          relevance: score(relation === 'closes' ? 0.8 : 0.75, content, keywords)
+        });
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        logger.debug('Linked issue not found', { repo: signal.repo, number });
+      }
+    }
+    return contexts;
+  }
+}
+
+// Built-in providers by CONTEXT_PROVIDERS name
+const PROVIDER_TYPES = {
+  linked: () => new LinkedIssueProvider(),
+  repository: () => new RepositoryProvider(),
+  npm: () => new NpmProvider(),
+  pypi: () => new PyPIProvider(),
+  wikipedia: () => new WikipediaProvider()
+};
+
+// Throw if an object does not implement the provider contract
+function assertProvider(provider) {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0 || !provider.name) {
+    const name = provider.constructor ? provider.constructor.name : typeof provider;
+    throw new Error(`${name} does not implement the context provider contract (missing: ${
+      [...missing, ...(provider.name ? [] : ['name'])].join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Instantiate the providers listed in CONTEXT_PROVIDERS
+ * @param {String} names - Comma-separated provider names
+ * @returns {Array} Provider instances
+ */
+function createContextProviders(names = process.env.CONTEXT_PROVIDERS || 'linked,repository,npm,pypi,wikipedia') {
+  return names.split(',').map(n => n.trim().toLowerCase()).filter(Boolean).map(name => {
+    const create = PROVIDER_TYPES[name];
+    if (!create) {
+      throw new Error(`Unknown context provider "${name}" (available: ${Object.keys(PROVIDER_TYPES).join(', ')})`);
+    }
+    return assertProvider(create());
+  });
+}
+
+module.exports = {
+  PROVIDER_METHODS,
+  assertProvider,
+  createContextProviders,
+  touchedDependencies,
+  keywordOverlap
+};
@@ -1,14 +1,23 @@
 // services/dataFetcher.js
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { createContextProviders } = require('./contextProviders');
+const { KeyphraseExtractor } = require('./keyphraseExtractor');
+const { RepositoryProfiler } = require('./repositoryProfiler');
 class DataFetcher {
-  constructor() {
-    this.wikipediaBaseUrl = 'https://en.wikipedia.org/api/rest_v1';
-    this.timeout = 5000; // 5 second timeout
+  /**
+   * @param {Array} providers - Context providers (default: CONTEXT_PROVIDERS)
+   */
+  constructor(providers = createContextProviders()) {
+    this.providers = providers;
+    this.minRelevance = parseFloat(process.env.CONTEXT_MIN_RELEVANCE || '0.3');
+    this.maxContexts = parseInt(process.env.CONTEXT_MAX_ITEMS || '3', 10);
+    this.maxContextLength = 500;
+    this.keyphraseExtractor = new KeyphraseExtractor();
+    this.repositoryProfiler = new RepositoryProfiler();
   }
 
-  // Extract keywords from signal for context lookup
-  extractKeywords(signal) {
+  // Text that says what a signal is about, for keyphrase extraction
+  keywordText(signal) {
     let text = '';
     
     switch (signal.type) {
@@ -16,85 +25,191 @@ class DataFetcher {
         text = signal.data.message;
         break;
       case 'readme_update':
-        text = signal.data.name;
+        // Describe what changed, not the file name
+        text = signal.data.diff
+          ? [
+            ...signal.data.diff.added_sections.map(s => s.heading),
+            ...signal.data.diff.changed_sections.map(s => s.heading),
+            ...signal.data.diff.changed_sections.flatMap(s => s.added_lines)
+          ].join(' ')
+          : signal.data.name;
         break;
       case 'issue':
         text = signal.data.title;
         break;
+      case 'pull_request':
+        text = `${signal.data.title} ${signal.data.labels.join(' ')}`;
+        break;
+      case 'milestone':
+        text = `${signal.data.repo.split('/')[1].replace(/[-_]/g, ' ')} ${signal.data.description || ''}`;
+        break;
+      case 'deployment':
+      case 'workflow_run':
+        // The commit that shipped or fixed the build says what the post is about
+        text = `${signal.data.commit ? signal.data.commit.message : ''} ${signal.data.workflow || ''}`;
+        break;
+      case 'article':
+        text = `${signal.data.title} ${signal.data.categories.join(' ')}`;
+        break;
+      case 'digest':
+        text = signal.data.highlights.map(h => h.title).join(' ');
+        break;
+      case 'release':
+        text = [
+          ...signal.data.notes.breaking,
+          ...signal.data.notes.features,
+          signal.data.name
+        ].join(' ');
+        break;
       default:
         text = '';
     }
     
-    // Simple keyword extraction: remove common words and take significant terms
-    const stopWords = new Set([
-      'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-      'of', 'with', 'by', 'from', 'up', 'about', 'into', 'through', 'during',
-      'is', 'are', 'was', 'were', 'been', 'be', 'have', 'has', 'had',
-      'add', 'update', 'fix', 'implement', 'change', 'remove', 'create'
-    ]);
-    
-    const words = text.toLowerCase()
-      .replace(/[^a-z0-9\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 3 && !stopWords.has(word));
-    
-    // Return unique keywords, limit to 3 most relevant
-    return [...new Set(words)].slice(0, 3);
+    return text;
   }
 
-  // Fetch Wikipedia summary for a topic
-  async fetchWikipediaSummary(topic) {
-    try {
-      logger.info('Fetching Wikipedia summary', { topic });
-      
-      const response = await axios.get(
-        `${this.wikipediaBaseUrl}/page/summary/${encodeURIComponent(topic)}`,
-        { timeout: this.timeout }
-      );
-      
-      if (response.data && response.data.extract) {
-        logger.info('Wikipedia summary fetched', {
-          topic,
-          length: response.data.extract.length
-        });
-        
-        return {
-          source: 'wikipedia',
-          topic,
-          content: response.data.extract,
-          url: response.data.content_urls?.desktop?.page || null
-        };
-      }
-      
-      logger.warn('No Wikipedia extract found', { topic });
-      return null;
-    } catch (error) {
-      if (error.response?.status === 404) {
-        logger.debug('Wikipedia page not found', { topic });
-      } else {
-        logger.error('Wikipedia fetch failed', {
-          topic,
+  // Ranked keyphrases of a signal: [{ phrase, score }]
+  extractKeyphrases(signal) {
+    return this.keyphraseExtractor.extract(this.keywordText(signal));
+  }
+
+  // The best keyphrases, for context lookup
+  extractKeywords(signal) {
+    return this.extractKeyphrases(signal).slice(0, 3).map(k => k.phrase);
+  }
+
+  // Ask every provider for context; one failing provider does not block the others
+  async fetchContext(signal, keywords) {
+    logger.info('Fetching context', {
+      keywords,
+      providers: this.providers.map(p => p.name)
+    });
+    const contexts = [];
+    
+    for (const provider of this.providers) {
+      try {
+        contexts.push(...await provider.fetch(signal, keywords));
+      } catch (error) {
+        logger.warn('Context provider failed', {
+          provider: provider.name,
           error: error.message
         });
       }
-      return null;
     }
+    
+    return this.rankContexts(contexts);
   }
 
-  // Fetch context from multiple keywords
-  async fetchContextFromKeywords(keywords) {
-    logger.info('Fetching context from keywords', { keywords });
-    const contexts = [];
+  // Most relevant contexts first, below-threshold and repeated URLs dropped
+  rankContexts(contexts) {
+    const ranked = contexts
+      .filter(c => c.content && c.relevance >= this.minRelevance)
+      .sort((a, b) => b.relevance - a.relevance)
+      .filter((c, i, all) => !c.url || all.findIndex(other => other.url === c.url) === i)
+      .slice(0, this.maxContexts);
     
-    for (const keyword of keywords) {
-      const wikiContext = await this.fetchWikipediaSummary(keyword);
-      if (wikiContext) {
-        contexts.push(wikiContext);
-        break; // Use first successful match to avoid over-fetching
-      }
-    }
+    logger.debug('Contexts ranked', {
+      found: contexts.length,
+      kept: ranked.map(c => `${c.source}:${c.topic}:${c.relevance}`)
+    });
+    return ranked;
+  }
+
+  // Merge ranked contexts into one block, each getting an equal share of the length limit
+  mergeContexts(contexts) {
+    const share = Math.floor(this.maxContextLength / contexts.length) - 1;
+    return contexts
+      .map(c => c.content.length > share ? `${c.content.substring(0, share - 1)}…` : c.content)
+      .join(' ');
+  }
+
+  // Build a structured changelog for release signals so the post has real content
+  buildChangelog(signal) {
+    if (signal.type !== 'release') return null;
+    
+    const { tag_name, version, prerelease, notes, assets } = signal.data;
+    return {
+      version: tag_name,
+      bump: version ? version.bump : 'unknown',
+      prerelease: !!prerelease,
+      breaking: notes.breaking,
+      features: notes.features,
+      fixes: notes.fixes,
+      other: notes.other,
+      assets: (assets || []).map(a => a.name)
+    };
+  }
+
+  // Summarize a README diff so the post describes what actually changed
+  buildReadmeChanges(signal) {
+    if (signal.type !== 'readme_update' || !signal.data.diff) return null;
+    
+    const diff = signal.data.diff;
+    return {
+      added_sections: diff.added_sections.map(s => ({
+        heading: s.heading,
+        excerpt: s.excerpt.join(' ')
+      })),
+      changed_sections: diff.changed_sections.map(s => ({
+        heading: s.heading,
+        added: s.added_lines.join(' '),
+        removed: s.removed_lines.join(' ')
+      })),
+      removed_sections: diff.removed_sections,
+      added_badges: diff.added_badges,
+      removed_badges: diff.removed_badges
+    };
+  }
+
+  // Describe a milestone so the post can state the achievement precisely
+  buildMilestone(signal) {
+    if (signal.type !== 'milestone') return null;
+    
+    const { repo, metric, threshold, value, previous_value, contributor } = signal.data;
+    return { repo, metric, threshold, value, previous_value, contributor: contributor || null };
+  }
+
+  // Describe a deployment or build recovery with the run details the post should cite
+  buildCiEvent(signal) {
+    if (signal.type !== 'deployment' && signal.type !== 'workflow_run') return null;
     
-    return contexts;
+    const data = signal.data;
+    return {
+      kind: signal.type,
+      repo: signal.repo,
+      workflow: data.workflow || null,
+      branch: data.branch || null,
+      environment: data.environment || null,
+      version: data.version || null,
+      duration_seconds: data.duration_seconds ?? null,
+      red_streak: data.red_streak || null,
+      red_for_hours: data.red_for_hours ?? null,
+      commit: data.commit || null
+    };
+  }
+
+  // Keep the article's own words so the post shares it rather than paraphrasing the topic
+  buildArticle(signal) {
+    if (signal.type !== 'article') return null;
+    
+    const { title, summary, link, published_at, author, feed_title } = signal.data;
+    return { title, summary, link, published_at, author, feed_title };
+  }
+
+  // Summarize a digest window: what shipped, how much, and who did it
+  buildDigest(signal) {
+    if (signal.type !== 'digest') return null;
+    
+    const { repo, window_start, window_end, total, counts, highlights, contributors } = signal.data;
+    return { repo, window_start, window_end, total, counts, highlights, contributors };
+  }
+
+  // Near-duplicates merged into this signal, so the post can cover them together
+  buildRelated(signal) {
+    const related = signal.data.related;
+    if (!related || related.length === 0) return null;
+    
+    return related.map(({ type, title, url }) => ({ type, title, url }));
   }
 
   // Main method: enrich signal with contextual data
@@ -104,11 +219,32 @@ class DataFetcher {
       type: signal.type
     });
     
+    // Sections built from the signal alone survive a failed lookup
+    const sections = {
+      changelog: this.buildChangelog(signal),
+      readmeChanges: this.buildReadmeChanges(signal),
+      milestone: this.buildMilestone(signal),
+      ciEvent: this.buildCiEvent(signal),
+      article: this.buildArticle(signal),
+      digest: this.buildDigest(signal),
+      related: this.buildRelated(signal)
+    };
+    let keyphrases = [];
+    let projectProfile = null;
+    
     try {
-      // Extract keywords from signal
-      const keywords = this.extractKeywords(signal);
+      // Extract keyphrases, then let the signal inform future IDF weights
+      keyphrases = this.extractKeyphrases(signal);
+      const keywords = keyphrases.slice(0, 3).map(k => k.phrase);
+      this.keyphraseExtractor.learn(signal.id, this.keywordText(signal));
+      projectProfile = await this.repositoryProfiler.profile(signal);
+      
+      logger.debug('Keyphrases extracted', { keyphrases });
       
-      if (keywords.length === 0) {
+      // Fetch context from every provider, best first
+      const contexts = await this.fetchContext(signal, keywords);
+      
+      if (contexts.length === 0 && keywords.length === 0) {
         logger.warn('No keywords extracted from signal', { id: signal.id });
         return {
           topic: 'Unknown',
@@ -116,15 +252,13 @@ class DataFetcher {
           sources: [],
           signalType: signal.type,
           confidence: signal.confidence,
-          category: signal.category
+          category: signal.category,
+          ...sections,
+          keyphrases,
+          projectProfile
         };
       }
       
-      logger.debug('Keywords extracted', { keywords });
-      
-      // Fetch context from external APIs
-      const contexts = await this.fetchContextFromKeywords(keywords);
-      
       if (contexts.length === 0) {
         logger.warn('No external context found', { keywords });
         return {
@@ -133,18 +267,24 @@ class DataFetcher {
           sources: [],
           signalType: signal.type,
           confidence: signal.confidence,
-          category: signal.category
+          category: signal.category,
+          ...sections,
+          keyphrases,
+          projectProfile
         };
       }
       
       // Build enriched data object
       const enriched = {
         topic: contexts[0].topic,
-        context: contexts[0].content.substring(0, 500), // Limit context length
+        context: this.mergeContexts(contexts),
         sources: contexts.map(c => `${c.source}:${c.topic}`),
         signalType: signal.type,
         confidence: signal.confidence,
         category: signal.category,
+        ...sections,
+        keyphrases,
+        projectProfile,
         originalSignal: {
           id: signal.id,
           type: signal.type,
@@ -165,14 +305,17 @@ class DataFetcher {
         error: error.message
       });
       
-      // Return minimal enriched data on failure
+      // Return what was built before the failure, without external context
       return {
-        topic: 'Unknown',
+        topic: keyphrases.length > 0 ? keyphrases[0].phrase : 'Unknown',
         context: 'Context enrichment failed',
         sources: [],
         signalType: signal.type,
         confidence: Math.max(0.3, signal.confidence - 0.2), // Reduce confidence on failure
-        category: signal.category || 'unknown'
+        category: signal.category || 'unknown',
+        ...sections,
+        keyphrases,
+        projectProfile
       };
     }
   }
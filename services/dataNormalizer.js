@@ -1,5 +1,5 @@
 // services/dataNormalizer.js
-const { logger  }= require('../utils/logger');
+const logger = require('../utils/logger');
 
 class DataNormalizer {
   constructor() {
@@ -24,6 +24,59 @@ class DataNormalizer {
     return cleaned;
   }
 
+  // Trim a release changelog to a prompt-friendly size
+  normalizeChangelog(changelog) {
+    const trimList = (items, limit) => (items || [])
+      .slice(0, limit)
+      .map(item => this.sanitizeText(item, 150));
+    
+    return {
+      version: changelog.version,
+      bump: changelog.bump,
+      prerelease: changelog.prerelease,
+      breaking: trimList(changelog.breaking, 5),
+      features: trimList(changelog.features, 8),
+      fixes: trimList(changelog.fixes, 5),
+      other: trimList(changelog.other, 3),
+      assets: trimList(changelog.assets, 5)
+    };
+  }
+
+  // Trim a repository profile to what an "about this project" section needs
+  normalizeProjectProfile(profile) {
+    return {
+      ...profile,
+      description: profile.description ? this.sanitizeText(profile.description, 200) : null,
+      topics: profile.topics.slice(0, 8),
+      languages: profile.languages.slice(0, 3),
+      manifests: profile.manifests.map(m => ({
+        ...m,
+        description: m.description ? this.sanitizeText(m.description, 200) : null,
+        keywords: m.keywords.slice(0, 5),
+        dependencies: m.dependencies.slice(0, 5)
+      })),
+      readme_intro: profile.readme_intro ? this.sanitizeText(profile.readme_intro, 300) : null
+    };
+  }
+
+  // Trim README section changes to a prompt-friendly size
+  normalizeReadmeChanges(changes) {
+    return {
+      added_sections: changes.added_sections.slice(0, 5).map(s => ({
+        heading: this.sanitizeText(s.heading, this.maxTopicLength),
+        excerpt: this.sanitizeText(s.excerpt, 200)
+      })),
+      changed_sections: changes.changed_sections.slice(0, 5).map(s => ({
+        heading: this.sanitizeText(s.heading, this.maxTopicLength),
+        added: this.sanitizeText(s.added, 200),
+        removed: this.sanitizeText(s.removed, 100)
+      })),
+      removed_sections: changes.removed_sections.slice(0, 5),
+      added_badges: changes.added_badges.slice(0, 5),
+      removed_badges: changes.removed_badges.slice(0, 5)
+    };
+  }
+
   // Normalize a single enriched signal
   normalize(enrichedSignal) {
     logger.info('Normalizing enriched signal', {
@@ -64,6 +117,54 @@ class DataNormalizer {
         };
       }
       
+      if (enrichedSignal.changelog) {
+        normalized.changelog = this.normalizeChangelog(enrichedSignal.changelog);
+      }
+      
+      if (enrichedSignal.readmeChanges) {
+        normalized.readmeChanges = this.normalizeReadmeChanges(enrichedSignal.readmeChanges);
+      }
+      
+      if (enrichedSignal.milestone) {
+        normalized.milestone = { ...enrichedSignal.milestone };
+      }
+      
+      if (enrichedSignal.digest) {
+        normalized.digest = {
+          ...enrichedSignal.digest,
+          // A post names a handful of people, not the whole list
+          contributors: enrichedSignal.digest.contributors.slice(0, 5)
+        };
+      }
+      
+      if (enrichedSignal.article) {
+        normalized.article = { ...enrichedSignal.article };
+      }
+      
+      if (enrichedSignal.related) {
+        normalized.related = enrichedSignal.related.map(item => ({
+          ...item,
+          title: this.sanitizeText(item.title, this.maxTopicLength)
+        }));
+      }
+      
+      if (enrichedSignal.projectProfile) {
+        normalized.projectProfile = this.normalizeProjectProfile(enrichedSignal.projectProfile);
+      }
+      
+      if (enrichedSignal.keyphrases && enrichedSignal.keyphrases.length > 0) {
+        normalized.keyphrases = enrichedSignal.keyphrases.map(k => k.phrase);
+      }
+      
+      if (enrichedSignal.ciEvent) {
+        const { commit } = enrichedSignal.ciEvent;
+        normalized.ciEvent = {
+          ...enrichedSignal.ciEvent,
+          // Subject line only; commit bodies are noise in a prompt
+          commit: commit ? { ...commit, message: (commit.message || '').split('\n')[0] } : null
+        };
+      }
+      
       logger.info('Signal normalized successfully', {
         topic: normalized.topic,
         confidence: normalized.confidence,
@@ -1,6 +1,7 @@
 // services/imagePromptGenerator.js
-const axios = require('axios');
-const logger = require('../utils/logger')/**
+const logger = require('../utils/logger');
+const httpCache = require('../utils/httpCache');
+/**
  * PHASE 5: Image Generation
  * Generate AI image prompts or retrieve free stock images
  * Supports: Unsplash API (free), Pexels API (free), AI prompt generation
@@ -100,7 +101,7 @@ class ImagePromptGenerator {
    */
   async _searchUnsplash(keywords) {
     try {
-      const response = await axios.get(this.providers.unsplash.endpoint, {
+      const response = await httpCache.get('unsplash', this.providers.unsplash.endpoint, {
         params: {
           query: keywords.join(' '),
           per_page: 1,
@@ -147,7 +148,7 @@ class ImagePromptGenerator {
    */
   async _searchPexels(keywords) {
     try {
-      const response = await axios.get(this.providers.pexels.endpoint, {
+      const response = await httpCache.get('pexels', this.providers.pexels.endpoint, {
         params: {
           query: keywords.join(' '),
           per_page: 1,
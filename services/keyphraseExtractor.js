@@ -0,0 +1,273 @@
+// services/keyphraseExtractor.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const readmeCache = require('../utils/readmeCache');
+
+const CORPUS_KEY = 'keyphraseCorpus';
+const MAX_PHRASE_WORDS = 3;
+const MAX_SEEN_IDS = 1000;
+
+// Technical acronyms kept despite their length, and mixed-case names kept whole,
+// in their canonical spelling
+const DEFAULT_ACRONYMS = [
+  'AI', 'API', 'AWS', 'CD', 'CDN', 'CI', 'CLI', 'CPU', 'CSS', 'CSV', 'DB', 'DNS', 'GCP', 'GPU',
+  'gRPC', 'HTML', 'HTTP', 'HTTPS', 'IDE', 'IO', 'JSON', 'JWT', 'K8s', 'LLM', 'ML', 'NLP', 'OAuth',
+  'ORM', 'OS', 'PDF', 'RAM', 'REST', 'RPC', 'SDK', 'SQL', 'SSH', 'SSO', 'TLS', 'UI', 'URL', 'UX',
+  'VM', 'WASM', 'XML', 'YAML',
+  'DevOps', 'GitHub', 'GitLab', 'GraphQL', 'JavaScript', 'LinkedIn', 'MongoDB', 'MySQL', 'NodeJS',
+  'OpenAI', 'PostgreSQL', 'TypeScript', 'WebSocket', 'macOS', 'iOS'
+];
+
+// Phrase delimiters for RAKE: function words plus the verbs every commit starts with
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'before', 'being', 'but', 'by', 'can', 'could', 'do', 'does', 'each', 'for', 'from', 'had',
+  'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'may', 'more', 'most',
+  'no', 'not', 'now', 'of', 'on', 'only', 'or', 'other', 'our', 'out', 'over', 'should', 'so',
+  'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'this', 'those', 'through', 'to', 'too', 'under', 'up', 'very', 'via', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with', 'would', 'you', 'your',
+  'add', 'adds', 'added', 'adding', 'allow', 'allows', 'bump', 'change', 'changes', 'changed',
+  'cleanup', 'create', 'creates', 'fix', 'fixes', 'fixed', 'handle', 'handles', 'implement',
+  'implements', 'improve', 'improves', 'initial', 'make', 'makes', 'merge', 'merged', 'minor',
+  'move', 'new', 'refactor', 'remove', 'removes', 'removed', 'rename', 'replace', 'support',
+  'supports', 'tweak', 'update', 'updates', 'updated', 'use', 'uses', 'using', 'wip'
+]);
+
+// Split identifiers into words: "retryLogic" / "retry_logic" / "HTTPClient" -> retry logic, HTTP client
+function splitIdentifier(token, acronyms = new Map()) {
+  if (acronyms.has(token.toLowerCase())) return [token];
+
+  const parts = token
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_\-./]+/)
+    .filter(Boolean);
+
+  // Re-join pieces of mixed-case acronyms the camelCase split tore apart ("O Auth" -> OAuth)
+  const words = [];
+  for (const part of parts) {
+    const previous = words[words.length - 1];
+    if (previous && acronyms.has(`${previous}${part}`.toLowerCase()) && !acronyms.has(previous.toLowerCase())) {
+      words[words.length - 1] = `${previous}${part}`;
+    } else {
+      words.push(part);
+    }
+  }
+  return words;
+}
+
+/**
+ * Keyphrase extraction (RAKE weighted by corpus IDF)
+ * Text is split into candidate phrases at stopwords and punctuation. Identifiers are
+ * broken into words, and short tokens are dropped unless they are allow-listed acronyms.
+ * Every word scores RAKE degree/frequency times its inverse document frequency.
+ * The corpus is README paragraphs, recent signal titles and the text of every
+ * enriched signal, kept in KEYPHRASE_CORPUS_FILE (.cache/keyphrase-corpus.json)
+ * rather than state.json, since it changes with every signal. N-grams of up to
+ * three words are ranked by summed word score, damped by length. Phrases
+ * covered by a better one are dropped.
+ */
+class KeyphraseExtractor {
+  constructor() {
+    const extra = (process.env.KEYPHRASE_ACRONYMS || '').split(',').map(a => a.trim()).filter(Boolean);
+    this.acronyms = new Map([...DEFAULT_ACRONYMS, ...extra].map(a => [a.toLowerCase(), a]));
+    this.maxPhrases = parseInt(process.env.KEYPHRASE_MAX || '5', 10);
+    this.maxCorpusTerms = parseInt(process.env.KEYPHRASE_CORPUS_MAX_TERMS || '5000', 10);
+    this.corpusFile = path.resolve(__dirname, '..', process.env.KEYPHRASE_CORPUS_FILE || '.cache/keyphrase-corpus.json');
+  }
+
+  // Normalized word, or null for tokens that carry no meaning on their own
+  normalizeWord(word) {
+    const acronym = this.acronyms.get(word.toLowerCase());
+    if (acronym) return acronym;
+    if (word.length < 3 || /^\d+$/.test(word) || /^[0-9a-f]{7,40}$/i.test(word)) return null;
+    return word.toLowerCase();
+  }
+
+  /**
+   * RAKE candidate phrases: runs of content words between stopwords and punctuation
+   * @param {String} text - Commit message, title, README section...
+   * @returns {Array} Arrays of normalized words
+   */
+  candidates(text) {
+    const cleaned = (text || '')
+      // A Conventional Commits type says nothing about the topic; its scope might
+      .replace(/^\w+(?:\(([^()\r\n]*)\))?!?: /gm, '$1 , ')
+      .replace(/https?:\/\/\S+/g, ' , ')
+      .replace(/\S+@\S+\.\S+/g, ' , ')
+      .replace(/#\d+/g, ' , ');
+
+    const phrases = [];
+    let current = [];
+    const flush = () => {
+      if (current.length > 0) phrases.push(current);
+      current = [];
+    };
+
+    for (const chunk of cleaned.split(/([\s,;:!?()[\]{}"'`<>|*=+~^&]+)/)) {
+      if (!chunk) continue;
+      if (/^[\s]+$/.test(chunk)) continue;
+      // Punctuation (other than plain spacing) ends a phrase; so does sentence-final "."
+      if (/^[\s,;:!?()[\]{}"'`<>|*=+~^&]+$/.test(chunk)) {
+        flush();
+        continue;
+      }
+
+      const sentenceEnd = /[.]$/.test(chunk);
+      for (const part of splitIdentifier(chunk.replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9]+$/g, ''), this.acronyms)) {
+        if (STOPWORDS.has(part.toLowerCase())) {
+          flush();
+          continue;
+        }
+        const word = this.normalizeWord(part);
+        if (word) current.push(word);
+        else flush();
+      }
+      if (sentenceEnd) flush();
+    }
+    flush();
+    return phrases;
+  }
+
+  // Corpus file contents; earlier versions kept the corpus in state.json, so that one is moved over
+  loadCorpus() {
+    try {
+      if (fs.existsSync(this.corpusFile)) {
+        return JSON.parse(fs.readFileSync(this.corpusFile, 'utf8'));
+      }
+    } catch (error) {
+      logger.warn('Keyphrase corpus unreadable, starting a new one', { file: this.corpusFile, error: error.message });
+      return null;
+    }
+
+    const legacy = stateStore.get(CORPUS_KEY, null);
+    if (legacy) {
+      this.save(legacy);
+      stateStore.remove(CORPUS_KEY);
+      logger.info('Keyphrase corpus moved out of state.json', { file: this.corpusFile });
+    }
+    return legacy;
+  }
+
+  // Stored document frequencies, topped up with README snapshots not seen yet
+  corpus() {
+    const corpus = this.loadCorpus() || { documents: 0, df: {}, seen: [], readmes: {} };
+    let changed = false;
+
+    for (const [repo, snapshot] of Object.entries(stateStore.get('readmeSnapshots', {}))) {
+      if (!snapshot || corpus.readmes[repo] === snapshot.sha) continue;
+      const content = readmeCache.content(repo, snapshot);
+      if (content === null) continue;
+      for (const paragraph of content.split(/\n\s*\n/)) {
+        if (paragraph.trim().length >= 40) this.count(corpus, paragraph);
+      }
+      corpus.readmes[repo] = snapshot.sha;
+      changed = true;
+    }
+
+    // Recent signal titles bootstrap an empty corpus
+    if (corpus.documents === 0) {
+      for (const entry of stateStore.get('recentSignals', [])) {
+        this.count(corpus, entry.title);
+      }
+      changed = corpus.documents > 0 || changed;
+    }
+
+    if (changed) this.save(corpus);
+    return corpus;
+  }
+
+  // Add one document's distinct words to the document frequencies
+  count(corpus, text) {
+    const words = new Set(this.candidates(text).flat().map(w => w.toLowerCase()));
+    if (words.size === 0) return;
+    for (const word of words) {
+      corpus.df[word] = (corpus.df[word] || 0) + 1;
+    }
+    corpus.documents++;
+  }
+
+  // Persist the corpus, keeping only the most common terms once it grows too large
+  save(corpus) {
+    const terms = Object.entries(corpus.df);
+    if (terms.length > this.maxCorpusTerms) {
+      corpus.df = Object.fromEntries(terms.sort((a, b) => b[1] - a[1]).slice(0, this.maxCorpusTerms));
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.corpusFile), { recursive: true });
+      fs.writeFileSync(this.corpusFile, JSON.stringify(corpus));
+    } catch (error) {
+      logger.warn('Failed to save keyphrase corpus', { file: this.corpusFile, error: error.message });
+    }
+  }
+
+  /**
+   * Add a processed signal's text to the corpus (once per signal id)
+   * @param {String} id - Signal id
+   * @param {String} text - Text the keyphrases were extracted from
+   */
+  learn(id, text) {
+    const corpus = this.corpus();
+    if (!id || corpus.seen.includes(id)) return;
+
+    this.count(corpus, text);
+    corpus.seen = [...corpus.seen, id].slice(-MAX_SEEN_IDS);
+    this.save(corpus);
+  }
+
+  /**
+   * Ranked keyphrases of a text
+   * @param {String} text - Text to analyse
+   * @returns {Array} [{ phrase, score }] best first; scores are relative to the best (1)
+   */
+  extract(text) {
+    const phrases = this.candidates(text);
+    if (phrases.length === 0) return [];
+
+    // RAKE word scores: co-occurrence degree over frequency
+    const frequency = {};
+    const degree = {};
+    for (const phrase of phrases) {
+      for (const word of phrase) {
+        frequency[word] = (frequency[word] || 0) + 1;
+        degree[word] = (degree[word] || 0) + Math.min(phrase.length, MAX_PHRASE_WORDS);
+      }
+    }
+
+    const corpus = this.corpus();
+    const idf = word => Math.log((corpus.documents + 1) / ((corpus.df[word.toLowerCase()] || 0) + 1)) + 1;
+    const weight = word => (degree[word] / frequency[word]) * idf(word);
+
+    // Score every n-gram inside a candidate phrase; repeats add up
+    const scores = new Map();
+    for (const phrase of phrases) {
+      for (let size = 1; size <= MAX_PHRASE_WORDS; size++) {
+        for (let start = 0; start + size <= phrase.length; start++) {
+          const words = phrase.slice(start, start + size);
+          const key = words.join(' ');
+          const score = words.reduce((sum, word) => sum + weight(word), 0) / Math.sqrt(size);
+          const existing = scores.get(key);
+          scores.set(key, { words, score: (existing ? existing.score : 0) + score });
+        }
+      }
+    }
+
+    // Best first; a phrase whose words all appear in a better one adds nothing
+    const ranked = [];
+    for (const [phrase, { words, score }] of [...scores.entries()].sort((a, b) => b[1].score - a[1].score)) {
+      const covered = ranked.some(kept => words.every(word => kept.words.includes(word)));
+      if (!covered) ranked.push({ phrase, words, score });
+      if (ranked.length >= this.maxPhrases) break;
+    }
+
+    const top = ranked[0].score;
+    const result = ranked.map(({ phrase, score }) => ({ phrase, score: parseFloat((score / top).toFixed(2)) }));
+    logger.debug('Keyphrases extracted', { keyphrases: result });
+    return result;
+  }
+}
+
+module.exports = { KeyphraseExtractor, splitIdentifier };
@@ -1,20 +1,51 @@
 // services/linkedinPublisher.js
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const logger = require('../utils/logger')/**
  * PHASE 6: LinkedIn Publishing
  * Queue-first approach with optional auto-publish
  * Handles LinkedIn Share API integration
+ * The queue is persisted to LINKEDIN_QUEUE_FILE and re-read before every change,
+ * so the CLI (`--queue`, `--publish`, `--edit`, `--reject`) and a running
+ * scheduler share it
  * CRITICAL: LinkedIn API posting requires Company Page or manual approval
  */
 class LinkedInPublisher {
-  constructor() {
+  /**
+   * @param {Object} options - { feedback: FeedbackModel that learns from queue decisions }
+   */
+  constructor(options = {}) {
     this.config = {
       apiBaseUrl: 'https://api.linkedin.com/v2',
       accessToken: process.env.LINKEDIN_ACCESS_TOKEN || null,
       personUrn: process.env.LINKEDIN_PERSON_URN || null, // Format: urn:li:person:XXXXXXXX
       autoPublish: process.env.LINKEDIN_AUTO_PUBLISH === 'true' || false
     };
-    this.queue = [];
+    this.queueFile = process.env.LINKEDIN_QUEUE_FILE || path.join(__dirname, '../queue.json');
+    this.queue = this._loadQueue();
+    this.feedback = options.feedback || null;
+  }
+
+  _loadQueue() {
+    try {
+      if (!fs.existsSync(this.queueFile)) return [];
+      return JSON.parse(fs.readFileSync(this.queueFile, 'utf8')).items || [];
+    } catch (error) {
+      logger.error('LinkedInPublisher: Failed to load queue, starting empty', { error: error.message });
+      return [];
+    }
+  }
+
+  _saveQueue() {
+    try {
+      fs.writeFileSync(this.queueFile, JSON.stringify({
+        items: this.queue,
+        updated_at: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      logger.error('LinkedInPublisher: Failed to save queue', { error: error.message });
+    }
   }
 
   /**
@@ -67,11 +98,14 @@ class LinkedInPublisher {
       createdAt: new Date().toISOString(),
       metadata: {
         topic: content.metadata?.topic,
-        signalType: content.metadata?.signalType
+        signalType: content.metadata?.signalType,
+        signal: content.metadata?.signal
       }
     };
 
+    this.queue = this._loadQueue();
     this.queue.push(queueItem);
+    this._saveQueue();
 
     logger.info('LinkedInPublisher: Content queued', {
       queueId: queueItem.id,
@@ -81,7 +115,7 @@ class LinkedInPublisher {
     return {
       status: 'queued',
       queueId: queueItem.id,
-      message: 'Post queued for manual review. Use getQueue() to retrieve pending posts.',
+      message: 'Post queued for manual review. Run `npm run queue` to list pending posts.',
       viewUrl: null // Could be admin dashboard URL
     };
   }
@@ -195,10 +229,11 @@ class LinkedInPublisher {
 
   /**
    * Get queued posts
-   * @param {String} status - Filter by status: 'pending', 'published', 'all'
+   * @param {String} status - Filter by status: 'pending', 'published', 'rejected', 'all'
    * @returns {Array} Queued posts
    */
   getQueue(status = 'pending') {
+    this.queue = this._loadQueue();
     if (status === 'all') {
       return this.queue;
     }
@@ -211,6 +246,67 @@ class LinkedInPublisher {
    * @returns {Object} Publish result
    */
   async publishFromQueue(queueId) {
+    const queueItem = this._pendingItem(queueId);
+
+    logger.info('LinkedInPublisher: Publishing from queue', { queueId });
+
+    const result = await this._attemptAutoPublish(queueItem.content);
+
+    // Update queue item status
+    queueItem.status = 'published';
+    queueItem.publishedAt = new Date().toISOString();
+    queueItem.postId = result.postId;
+    this._saveQueue();
+    this._recordDecision(queueItem, queueItem.editedAt ? 'edit' : 'approve');
+
+    return result;
+  }
+
+  /**
+   * Replace a pending post's text; publishing it afterwards records an "edit" decision
+   * @param {String} queueId - Queue item ID
+   * @param {String} text - New post text
+   * @returns {Object} Updated queue item
+   */
+  editQueueItem(queueId, text) {
+    const queueItem = this._pendingItem(queueId);
+
+    if (!this._validateContent({ ...queueItem.content, text })) {
+      throw new Error('Invalid content structure');
+    }
+
+    queueItem.content = { ...queueItem.content, text };
+    queueItem.editedAt = new Date().toISOString();
+    this._saveQueue();
+    logger.info('LinkedInPublisher: Queue item edited', { queueId });
+
+    return queueItem;
+  }
+
+  /**
+   * Reject a pending post so it is never published
+   * @param {String} queueId - Queue item ID
+   * @param {String} reason - Optional note kept on the queue item
+   * @returns {Object} Updated queue item
+   */
+  rejectFromQueue(queueId, reason = null) {
+    const queueItem = this._pendingItem(queueId);
+
+    queueItem.status = 'rejected';
+    queueItem.rejectedAt = new Date().toISOString();
+    queueItem.rejectReason = reason;
+    this._saveQueue();
+    this._recordDecision(queueItem, 'reject');
+    logger.info('LinkedInPublisher: Queue item rejected', { queueId, reason });
+
+    return queueItem;
+  }
+
+  /**
+   * Find a queue item that is still awaiting a decision
+   */
+  _pendingItem(queueId) {
+    this.queue = this._loadQueue();
     const queueItem = this.queue.find(item => item.id === queueId);
 
     if (!queueItem) {
@@ -221,16 +317,21 @@ class LinkedInPublisher {
       throw new Error(`Queue item ${queueId} already processed`);
     }
 
-    logger.info('LinkedInPublisher: Publishing from queue', { queueId });
-
-    const result = await this._attemptAutoPublish(queueItem.content);
+    return queueItem;
+  }
 
-    // Update queue item status
-    queueItem.status = 'published';
-    queueItem.publishedAt = new Date().toISOString();
-    queueItem.postId = result.postId;
+  /**
+   * Feed a queue decision back to the classifier's feedback model
+   */
+  _recordDecision(queueItem, outcome) {
+    const signal = queueItem.metadata.signal;
+    if (!this.feedback || !signal) return;
 
-    return result;
+    try {
+      this.feedback.record(signal, outcome);
+    } catch (error) {
+      logger.warn('LinkedInPublisher: Failed to record feedback', { error: error.message });
+    }
   }
 
   /**
@@ -238,9 +339,11 @@ class LinkedInPublisher {
    * @param {String} queueId - Queue item ID
    */
   removeFromQueue(queueId) {
+    this.queue = this._loadQueue();
     const index = this.queue.findIndex(item => item.id === queueId);
     if (index !== -1) {
       this.queue.splice(index, 1);
+      this._saveQueue();
       logger.info('LinkedInPublisher: Removed from queue', { queueId });
       return true;
     }
@@ -15,7 +15,16 @@ class PromptBuilder {
       signalType: normalizedData.signalType,
       category: normalizedData.category,
       sources: normalizedData.sources,
-      confidence: normalizedData.confidence
+      confidence: normalizedData.confidence,
+      changelog: normalizedData.changelog || null,
+      readmeChanges: normalizedData.readmeChanges || null,
+      milestone: normalizedData.milestone || null,
+      ciEvent: normalizedData.ciEvent || null,
+      article: normalizedData.article || null,
+      digest: normalizedData.digest || null,
+      related: normalizedData.related || null,
+      keyphrases: normalizedData.keyphrases || null,
+      projectProfile: normalizedData.projectProfile || null
     };
   }
 
@@ -202,11 +211,47 @@ class PromptBuilder {
     
     let message = `Create a LinkedIn post about: ${instructions.topic}\n\n`;
     
+    if (instructions.projectProfile) {
+      message += this.formatProjectProfile(instructions.projectProfile);
+    }
+    
     message += `Context: ${instructions.context}\n\n`;
     
+    if (instructions.keyphrases) {
+      message += `Key terms: ${instructions.keyphrases.join(', ')}\n\n`;
+    }
+    
     message += `Signal Type: ${instructions.signalType}\n`;
     message += `Category: ${instructions.category}\n\n`;
     
+    if (instructions.changelog) {
+      message += this.formatChangelog(instructions.changelog);
+    }
+    
+    if (instructions.readmeChanges) {
+      message += this.formatReadmeChanges(instructions.readmeChanges);
+    }
+    
+    if (instructions.milestone) {
+      message += this.formatMilestone(instructions.milestone);
+    }
+    
+    if (instructions.ciEvent) {
+      message += this.formatCiEvent(instructions.ciEvent);
+    }
+    
+    if (instructions.article) {
+      message += this.formatArticle(instructions.article);
+    }
+    
+    if (instructions.digest) {
+      message += this.formatDigest(instructions.digest);
+    }
+    
+    if (instructions.related) {
+      message += this.formatRelated(instructions.related);
+    }
+    
     if (instructions.sources && instructions.sources.length > 0) {
       message += `Information Sources: ${instructions.sources.join(', ')}\n\n`;
     }
@@ -222,6 +267,160 @@ class PromptBuilder {
     return message;
   }
 
+  // Format release changelog so the LLM writes from the actual notes
+  formatChangelog(changelog) {
+    const label = changelog.prerelease ? 'pre-release' : `${changelog.bump} release`;
+    let section = `Release: ${changelog.version} (${label})\n`;
+    
+    const groups = [
+      ['Breaking changes', changelog.breaking],
+      ['New features', changelog.features],
+      ['Fixes', changelog.fixes],
+      ['Other changes', changelog.other]
+    ];
+    
+    for (const [title, items] of groups) {
+      if (items && items.length > 0) {
+        section += `${title}:\n${items.map(item => `- ${item}`).join('\n')}\n`;
+      }
+    }
+    
+    if (changelog.assets && changelog.assets.length > 0) {
+      section += `Downloads: ${changelog.assets.join(', ')}\n`;
+    }
+    
+    return `${section}\n`;
+  }
+
+  // Format README section changes so the LLM writes about the content, not the file
+  formatReadmeChanges(changes) {
+    let section = 'README changes:\n';
+    
+    for (const added of changes.added_sections) {
+      section += `- New section "${added.heading}"${added.excerpt ? `: ${added.excerpt}` : ''}\n`;
+    }
+    for (const changed of changes.changed_sections) {
+      section += `- Updated "${changed.heading}"${changed.added ? `: ${changed.added}` : ''}\n`;
+    }
+    if (changes.removed_sections.length > 0) {
+      section += `- Removed sections: ${changes.removed_sections.join(', ')}\n`;
+    }
+    if (changes.added_badges.length > 0) {
+      section += `- New badges: ${changes.added_badges.join(', ')}\n`;
+    }
+    
+    return `${section}\n`;
+  }
+
+  // Format a repository milestone as a single factual statement
+  formatMilestone(milestone) {
+    if (milestone.metric === 'first_external_contributor') {
+      return `Milestone: ${milestone.repo} received its first contribution from outside the team` +
+        `${milestone.contributor ? ` (@${milestone.contributor})` : ''}\n\n`;
+    }
+    
+    return `Milestone: ${milestone.repo} just crossed ${milestone.threshold} ${milestone.metric} ` +
+      `(now ${milestone.value}, previously ${milestone.previous_value})\n\n`;
+  }
+
+  // Format a deployment or build recovery with its run details
+  formatCiEvent(event) {
+    let section = event.kind === 'deployment'
+      ? `Deployment: ${event.repo} ${event.version} shipped to ${event.environment}\n`
+      : `Build recovery: ${event.repo} "${event.workflow}" is green again after ` +
+        `${event.red_streak} failed runs (${event.red_for_hours}h)\n`;
+    
+    if (event.kind === 'deployment' && event.workflow) {
+      section += `Workflow: ${event.workflow}${event.branch ? ` on ${event.branch}` : ''}\n`;
+    }
+    if (event.duration_seconds !== null) {
+      section += `Duration: ${Math.round(event.duration_seconds / 60)} min\n`;
+    }
+    if (event.commit) {
+      section += `Commit: ${event.commit.message} (${event.commit.sha.substring(0, 7)})\n`;
+    }
+    
+    return `${section}\n`;
+  }
+
+  // Format a feed article so the post introduces it and links to it
+  formatArticle(article) {
+    let section = `Article: "${article.title}"${article.feed_title ? ` (${article.feed_title})` : ''}\n`;
+    
+    if (article.author) {
+      section += `Author: ${article.author}\n`;
+    }
+    if (article.summary) {
+      section += `Summary: ${article.summary}\n`;
+    }
+    if (article.link) {
+      section += `Link: ${article.link}\n`;
+    }
+    
+    return `${section}\n`;
+  }
+
+  // Format a digest as a "what we shipped" summary
+  formatDigest(digest) {
+    const labels = {
+      commit: ['commit', 'commits'],
+      pull_request: ['merged pull request', 'merged pull requests'],
+      issue: ['new issue', 'new issues']
+    };
+    const from = digest.window_start.substring(0, 10);
+    const to = digest.window_end.substring(0, 10);
+    const counts = Object.entries(digest.counts)
+      .map(([type, count]) => `${count} ${labels[type] ? labels[type][count === 1 ? 0 : 1] : type}`)
+      .join(', ');
+    
+    let section = `Digest: ${digest.repo}, ${from} to ${to} (${counts})\n`;
+    
+    if (digest.highlights.length > 0) {
+      section += `Highlights:\n${digest.highlights.map(h => `- ${h.title}`).join('\n')}\n`;
+    }
+    if (digest.contributors.length > 0) {
+      section += `Contributors: ${digest.contributors.map(c => `@${c.login} (${c.count})`).join(', ')}\n`;
+    }
+    
+    return `${section}\n`;
+  }
+
+  // Describe the project itself, the same way in every post about it
+  formatProjectProfile(profile) {
+    let section = `About this project: ${profile.repo}`;
+    section += profile.description ? ` - ${profile.description}\n` : '\n';
+    
+    if (profile.readme_intro) {
+      section += `README: ${profile.readme_intro}\n`;
+    }
+    if (profile.languages.length > 0) {
+      section += `Languages: ${profile.languages.map(l => `${l.name} (${l.share}%)`).join(', ')}\n`;
+    }
+    if (profile.topics.length > 0) {
+      section += `Topics: ${profile.topics.join(', ')}\n`;
+    }
+    for (const manifest of profile.manifests) {
+      section += `Package (${manifest.ecosystem}): ${manifest.name || 'unnamed'}`;
+      section += manifest.description ? ` - ${manifest.description}` : '';
+      section += manifest.dependencies.length > 0 ? `; built on ${manifest.dependencies.join(', ')}\n` : '\n';
+    }
+    
+    const facts = [
+      profile.license ? `License: ${profile.license}` : null,
+      profile.stars !== null ? `Stars: ${profile.stars}` : null
+    ].filter(Boolean);
+    if (facts.length > 0) {
+      section += `${facts.join(', ')}\n`;
+    }
+    return `${section}\n`;
+  }
+
+  // Format near-duplicates merged into this signal as one list
+  formatRelated(related) {
+    const items = related.map(item => `- ${item.title} (${item.type.replace('_', ' ')})`);
+    return `Related changes covered by this post:\n${items.join('\n')}\n\n`;
+  }
+
   // Validate prompt structure
   validatePrompt(prompt) {
     const requiredFields = ['metadata', 'system', 'instructions', 'constraints'];
@@ -0,0 +1,174 @@
+// services/redactor.js
+const logger = require('../utils/logger');
+
+// Credentials with a recognizable shape; checked before the generic rules
+const SECRET_PATTERNS = [
+  { kind: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { kind: 'github_token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { kind: 'aws_access_key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { kind: 'slack_token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+  { kind: 'huggingface_token', pattern: /\bhf_[A-Za-z0-9]{30,}\b/g },
+  { kind: 'google_api_key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { kind: 'api_key', pattern: /\bsk-[A-Za-z0-9_-]{20,}\b/g },
+  { kind: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g }
+];
+
+// "password = hunter22" style assignments; only the value is redacted
+const ASSIGNMENT_PATTERN = /\b((?:password|passwd|secret|token|api[_-]?key|access[_-]?key)\s*[:=]\s*['"]?)([^\s'"]{6,})/gi;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>()"']+/gi;
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+const PRIVATE_IP_PATTERN = /\b(?:10\.\d{1,3}|192\.168|172\.(?:1[6-9]|2\d|3[01]))\.\d{1,3}\.\d{1,3}(?::\d+)?\b/g;
+// No "/" so URL paths are not mistaken for one long token
+const CANDIDATE_PATTERN = /[A-Za-z0-9+_=-]{20,}/g;
+
+// Parse a comma-separated env list into lowercase entries
+function parseList(value) {
+  return (value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = {};
+  for (const char of text) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Redaction stage: masks (or drops) secrets and private details before signal data
+ * leaves the machine - before context lookups, before LLM generation and again
+ * before publishing. Detects known token formats, credential assignments,
+ * high-entropy strings, private hosts/IPs and internal URLs, emails, and the
+ * codenames in REDACT_CODENAMES. Findings carry only the kind, location and length,
+ * never any part of the redacted value.
+ */
+class Redactor {
+  constructor() {
+    this.enabled = process.env.REDACT_ENABLED !== 'false';
+    this.mode = process.env.REDACT_MODE === 'drop' ? 'drop' : 'mask';
+    this.redactEmails = process.env.REDACT_EMAILS !== 'false';
+    this.entropyThreshold = parseFloat(process.env.REDACT_ENTROPY_THRESHOLD || '4.2');
+    this.codenames = parseList(process.env.REDACT_CODENAMES);
+    this.privateDomains = parseList(process.env.REDACT_PRIVATE_DOMAINS || 'internal,local,lan,corp,intranet,localhost');
+    this.allow = parseList(process.env.REDACT_ALLOW || 'noreply@github.com');
+    // Field names that identify things rather than describe them (ids, SHAs)
+    this.skipKeys = ['id', 'sha', 'item_ids', 'node_id', 'guid'];
+  }
+
+  // Hostname is private when it is, or ends in, a configured private domain
+  isPrivateHost(host) {
+    const name = host.toLowerCase().split(':')[0];
+    return this.privateDomains.some(domain => name === domain || name.endsWith(`.${domain}`)) ||
+      new RegExp(`^${PRIVATE_IP_PATTERN.source}$`).test(name);
+  }
+
+  // Long random-looking strings: mixed letters and digits, high entropy, not a hex SHA
+  isHighEntropy(candidate) {
+    if (/^[0-9a-f]+$/i.test(candidate)) return false;
+    if (!/[A-Za-z]/.test(candidate) || !/\d/.test(candidate)) return false;
+    return entropy(candidate) >= this.entropyThreshold;
+  }
+
+  replacement(kind) {
+    return this.mode === 'drop' ? '' : `[REDACTED:${kind}]`;
+  }
+
+  /**
+   * Redact one string
+   * @param {String} text - Text to scan
+   * @returns {Object} { text, findings: [{ kind, length }] }
+   */
+  redactText(text) {
+    if (!this.enabled || typeof text !== 'string' || !text) return { text, findings: [] };
+
+    const findings = [];
+    const replace = (input, pattern, kind, test = () => true) =>
+      input.replace(pattern, match => {
+        if (match.startsWith('[REDACTED:') || this.allow.includes(match.toLowerCase()) || !test(match)) {
+          return match;
+        }
+        findings.push({ kind, length: match.length });
+        return this.replacement(kind);
+      });
+
+    let result = text;
+    for (const { kind, pattern } of SECRET_PATTERNS) {
+      result = replace(result, pattern, kind);
+    }
+
+    result = result.replace(ASSIGNMENT_PATTERN, (match, prefix, value) => {
+      if (value.startsWith('[REDACTED:')) return match;
+      findings.push({ kind: 'credential', length: value.length });
+      return `${prefix}${this.replacement('credential')}`;
+    });
+
+    result = replace(result, URL_PATTERN, 'internal_url', url => {
+      try {
+        return this.isPrivateHost(new URL(url).host);
+      } catch (error) {
+        return false;
+      }
+    });
+    if (this.redactEmails) {
+      result = replace(result, EMAIL_PATTERN, 'email');
+    }
+    result = replace(result, PRIVATE_IP_PATTERN, 'private_ip');
+    if (this.privateDomains.length > 0) {
+      const domains = this.privateDomains.map(d => d.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+      result = replace(result, new RegExp(`\\b[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:${domains})\\b`, 'gi'), 'private_host');
+    }
+    if (this.codenames.length > 0) {
+      const names = this.codenames.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+      result = replace(result, new RegExp(`\\b(?:${names})\\b`, 'gi'), 'codename');
+    }
+    result = replace(result, CANDIDATE_PATTERN, 'high_entropy', candidate => this.isHighEntropy(candidate));
+
+    if (this.mode === 'drop' && findings.length > 0) {
+      result = result.replace(/[ \t]{2,}/g, ' ').trim();
+    }
+    return { text: result, findings };
+  }
+
+  /**
+   * Redact every string inside a value (signal, prompt, post payload)
+   * @param {*} value - Object, array or string
+   * @param {String} stage - Pipeline stage, recorded with each finding
+   * @returns {Object} { value, findings: [{ stage, path, kind, length }] }
+   */
+  redact(value, stage) {
+    const findings = [];
+
+    const walk = (node, path) => {
+      if (typeof node === 'string') {
+        const result = this.redactText(node);
+        findings.push(...result.findings.map(finding => ({ stage, path, ...finding })));
+        return result.text;
+      }
+      if (Array.isArray(node)) {
+        return node.map((item, i) => walk(item, `${path}[${i}]`));
+      }
+      if (node && typeof node === 'object') {
+        const copy = {};
+        for (const [key, child] of Object.entries(node)) {
+          copy[key] = this.skipKeys.includes(key) ? child : walk(child, path ? `${path}.${key}` : key);
+        }
+        return copy;
+      }
+      return node;
+    };
+
+    const redacted = this.enabled ? walk(value, '') : value;
+    if (findings.length > 0) {
+      logger.warn('Sensitive data redacted', {
+        stage,
+        count: findings.length,
+        kinds: [...new Set(findings.map(f => f.kind))]
+      });
+    }
+    return { value: redacted, findings };
+  }
+}
+
+module.exports = { Redactor };
@@ -0,0 +1,273 @@
+// services/repositoryProfiler.js
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const readmeCache = require('../utils/readmeCache');
+
+const PROFILE_KEY = 'repoProfiles';
+const HOUR_MS = 60 * 60 * 1000;
+const MANIFEST_FILES = ['package.json', 'pyproject.toml', 'Cargo.toml'];
+
+// Strip surrounding quotes from a TOML string, or collect the strings of a TOML array
+function parseTomlValue(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    return [...trimmed.matchAll(/"([^"]*)"|'([^']*)'/g)].map(match => match[1] ?? match[2]);
+  }
+  const quoted = trimmed.match(/^"([^"]*)"|^'([^']*)'/);
+  return quoted ? quoted[1] ?? quoted[2] : trimmed;
+}
+
+/**
+ * Read the simple key = value entries of one TOML table (strings, string arrays;
+ * other values stay raw). Enough for manifest metadata, not a general TOML parser.
+ * @returns {Object|null} Entries, or null when the table is missing
+ */
+function readTomlTable(text, table) {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(line => line.trim() === `[${table}]`);
+  if (start === -1) return null;
+
+  const entries = {};
+  let pendingKey = null;
+  let buffer = '';
+  const closed = value => (value.match(/\[/g) || []).length <= (value.match(/]/g) || []).length;
+
+  for (const line of lines.slice(start + 1)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    // Multi-line array continues until its brackets balance
+    if (pendingKey) {
+      buffer += ` ${trimmed}`;
+      if (closed(buffer)) {
+        entries[pendingKey] = parseTomlValue(buffer);
+        pendingKey = null;
+      }
+      continue;
+    }
+    if (trimmed.startsWith('[')) break;
+
+    const match = trimmed.match(/^("[^"]+"|[\w.-]+)\s*=\s*(.*)$/);
+    if (!match) continue;
+    const key = match[1].replace(/"/g, '');
+    if (match[2].startsWith('[') && !closed(match[2])) {
+      pendingKey = key;
+      buffer = match[2];
+    } else {
+      entries[key] = parseTomlValue(match[2]);
+    }
+  }
+  return entries;
+}
+
+// Package name of a PEP 508 requirement: "requests>=2.31; python_version>'3.8'" -> requests
+function requirementName(requirement) {
+  const match = requirement.trim().match(/^[A-Za-z0-9][A-Za-z0-9._-]*/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Summarize a manifest file
+ * @param {String} file - 'package.json', 'pyproject.toml' or 'Cargo.toml'
+ * @param {String} content - File content
+ * @returns {Object|null} { ecosystem, name, description, keywords, dependencies }
+ */
+function parseManifest(file, content) {
+  try {
+    if (file === 'package.json') {
+      const pkg = JSON.parse(content);
+      return {
+        ecosystem: 'npm',
+        name: pkg.name || null,
+        description: pkg.description || null,
+        keywords: pkg.keywords || [],
+        dependencies: Object.keys(pkg.dependencies || {})
+      };
+    }
+
+    if (file === 'pyproject.toml') {
+      const project = readTomlTable(content, 'project');
+      if (project) {
+        return {
+          ecosystem: 'python',
+          name: project.name || null,
+          description: project.description || null,
+          keywords: Array.isArray(project.keywords) ? project.keywords : [],
+          dependencies: (Array.isArray(project.dependencies) ? project.dependencies : [])
+            .map(requirementName).filter(Boolean)
+        };
+      }
+      const poetry = readTomlTable(content, 'tool.poetry');
+      if (poetry) {
+        return {
+          ecosystem: 'python',
+          name: poetry.name || null,
+          description: poetry.description || null,
+          keywords: Array.isArray(poetry.keywords) ? poetry.keywords : [],
+          dependencies: Object.keys(readTomlTable(content, 'tool.poetry.dependencies') || {})
+            .filter(name => name !== 'python')
+        };
+      }
+      return null;
+    }
+
+    if (file === 'Cargo.toml') {
+      const pkg = readTomlTable(content, 'package');
+      if (!pkg) return null;
+      return {
+        ecosystem: 'cargo',
+        name: pkg.name || null,
+        description: pkg.description || null,
+        keywords: Array.isArray(pkg.keywords) ? pkg.keywords : [],
+        dependencies: Object.keys(readTomlTable(content, 'dependencies') || {})
+      };
+    }
+  } catch (error) {
+    logger.warn('Failed to parse manifest', { file, error: error.message });
+  }
+  return null;
+}
+
+// First prose paragraph of a README: no headings, badges, images, HTML or code
+function readmeIntro(content) {
+  const paragraphs = (content || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/```[\s\S]*?```/g, '')
+    .split(/\n\s*\n/);
+
+  for (const paragraph of paragraphs) {
+    const text = paragraph
+      .replace(/^\s*(#.*|\|.*|[-=]{3,})\s*$/gm, '')
+      .replace(/^\s*>\s?/gm, '')
+      .replace(/\[!\[[^\]]*\]\([^)]*\)\]\([^)]*\)/g, '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/[*_`]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (text.length >= 20 && /[a-z]{3,}/i.test(text)) return text.substring(0, 500);
+  }
+  return null;
+}
+
+/**
+ * Repository profile: what a project is, independent of any single change.
+ * Built from the GitHub API (description, topics, stars, license, languages,
+ * package.json / pyproject.toml / Cargo.toml, README opening paragraph) and
+ * cached in stateStore under `repoProfiles` for PROFILE_TTL_HOURS. A stale
+ * profile is served when a refresh fails. Signals from other sources have no profile.
+ */
+class RepositoryProfiler {
+  constructor() {
+    this.enabled = process.env.PROFILE_ENABLED !== 'false';
+    this.ttlHours = parseFloat(process.env.PROFILE_TTL_HOURS || '24');
+  }
+
+  // The GitHub client is created on first use, so a disabled profiler needs no token
+  get client() {
+    if (!this._client) {
+      const { GitHubClient } = require('../triggers/githubClient');
+      this._client = new GitHubClient();
+    }
+    return this._client;
+  }
+
+  // GET a GitHub path, with null for 404s (missing manifests and READMEs are normal)
+  async _optional(path) {
+    try {
+      return await this.client.get(path, {}, { conditional: true });
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // Decode a contents API response
+  _decode(file) {
+    return file && file.content ? Buffer.from(file.content, 'base64').toString('utf8') : null;
+  }
+
+  /**
+   * Build a GitHub repository's profile
+   * @param {String} repo - "owner/name"
+   * @returns {Object} Profile
+   */
+  async fetchProfile(repo) {
+    const info = await this.client.get(`/repos/${repo}`, {}, { conditional: true });
+
+    const languageBytes = await this._optional(`/repos/${repo}/languages`) || {};
+    const totalBytes = Object.values(languageBytes).reduce((sum, bytes) => sum + bytes, 0);
+    const languages = Object.entries(languageBytes)
+      .map(([name, bytes]) => ({ name, share: Math.round((bytes / totalBytes) * 100) }))
+      .filter(language => language.share >= 1)
+      .sort((a, b) => b.share - a.share)
+      .slice(0, 5);
+
+    const manifests = [];
+    for (const file of MANIFEST_FILES) {
+      const content = this._decode(await this._optional(`/repos/${repo}/contents/${file}`));
+      const manifest = content ? parseManifest(file, content) : null;
+      if (manifest) manifests.push(manifest);
+    }
+
+    // The README trigger may already hold the current README
+    const cached = readmeCache.content(repo, stateStore.get('readmeSnapshots', {})[repo]);
+    const readme = cached ?? this._decode(await this._optional(`/repos/${repo}/readme`));
+
+    return {
+      repo: info.full_name || repo,
+      description: info.description || null,
+      homepage: info.homepage || null,
+      url: info.html_url || null,
+      topics: info.topics || [],
+      languages,
+      license: info.license ? info.license.spdx_id || info.license.name : null,
+      stars: info.stargazers_count ?? null,
+      manifests,
+      readme_intro: readmeIntro(readme)
+    };
+  }
+
+  /**
+   * Cached profile of the repository a signal belongs to
+   * @param {Object} signal - Any signal
+   * @returns {Object|null} Profile, or null when none is available
+   */
+  async profile(signal) {
+    const source = signal.source || 'github';
+    if (!this.enabled || source !== 'github' || !/^[^/\s]+\/[^/\s]+$/.test(signal.repo || '') || !this.client.token) {
+      return null;
+    }
+
+    const profiles = stateStore.get(PROFILE_KEY, {});
+    const cached = profiles[signal.repo];
+    if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < this.ttlHours * HOUR_MS) {
+      return cached.profile;
+    }
+
+    try {
+      const profile = await this.fetchProfile(signal.repo);
+      stateStore.set(PROFILE_KEY, {
+        ...stateStore.get(PROFILE_KEY, {}),
+        [signal.repo]: { profile, fetchedAt: new Date().toISOString() }
+      });
+      logger.info('Repository profile refreshed', {
+        repo: signal.repo,
+        languages: profile.languages.map(l => l.name),
+        manifests: profile.manifests.map(m => m.ecosystem)
+      });
+      return profile;
+    } catch (error) {
+      logger.warn('Repository profile refresh failed', {
+        repo: signal.repo,
+        error: error.message,
+        stale: !!cached
+      });
+      return cached ? cached.profile : null;
+    }
+  }
+}
+
+module.exports = { RepositoryProfiler, parseManifest, readmeIntro };
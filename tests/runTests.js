@@ -0,0 +1,23 @@
+// tests/runTests.js
+// Runs every behaviour test in tests/, each in its own process so env and state stubs don't leak.
+// testLinkedInPublish.js publishes for real and is left to its own workflow.
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SKIP = ['runTests.js', 'testLinkedInPublish.js'];
+
+const files = fs.readdirSync(__dirname)
+  .filter(name => /^test\w+\.js$/.test(name) && !SKIP.includes(name))
+  .sort();
+
+const failed = files.filter(name => {
+  const result = spawnSync(process.execPath, [path.join(__dirname, name)], {
+    stdio: 'inherit',
+    env: { LOG_LEVEL: 'error', ...process.env }
+  });
+  return result.status !== 0;
+});
+
+console.log(`${files.length - failed.length}/${files.length} test files passed${failed.length ? `; failed: ${failed.join(', ')}` : ''}`);
+process.exitCode = failed.length > 0 ? 1 : 0;
@@ -0,0 +1,109 @@
+// tests/testActionsTrigger.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+
+const { ActionsTrigger } = require('../triggers/actionsTrigger');
+
+const REPO = 'octo/app';
+
+function run(id, conclusion, options = {}) {
+  return {
+    id,
+    workflow_id: options.workflow || 1,
+    name: options.name || 'CI',
+    head_branch: options.branch || 'main',
+    head_sha: `sha${id}`,
+    event: options.event || 'push',
+    conclusion,
+    created_at: `2024-03-01T${String(id).padStart(2, '0')}:00:00Z`,
+    updated_at: `2024-03-01T${String(id).padStart(2, '0')}:10:00Z`,
+    html_url: `https://github.com/octo/app/actions/runs/${id}`,
+    head_commit: { message: `change ${id}`, author: { name: 'Alice' } }
+  };
+}
+
+function deployment(id, environment, ref, state) {
+  return { id, environment, ref, sha: `sha${id}`, created_at: '2024-03-01T10:00:00Z', creator: { login: 'alice' }, state };
+}
+
+// GitHub as the trigger sees it; runs and deployments are appended between detections
+const github = {
+  runs: [run(1, 'success')],
+  deployments: [deployment(1, 'production', 'v1.0.0', 'success')]
+};
+const client = {
+  get: async apiPath => {
+    if (apiPath.endsWith('/actions/runs')) return { workflow_runs: [...github.runs].reverse() };
+    if (apiPath.endsWith('/deployments')) return [...github.deployments].reverse().map(({ state, ...d }) => d);
+    const id = parseInt(apiPath.split('/')[5], 10);
+    const { state } = github.deployments.find(d => d.id === id);
+    return [{ state, created_at: '2024-03-01T10:05:00Z', environment_url: 'https://app.example.com' }];
+  }
+};
+
+const ids = signals => signals.map(signal => signal.id);
+
+async function runActionsTriggerTest() {
+  try {
+    logger.info('Starting Actions trigger test');
+    const trigger = new ActionsTrigger(client);
+
+    // The first run only seeds state: past deploys and recoveries are not news
+    assert.deepStrictEqual(await trigger.detectSignals(REPO), []);
+
+    // A green run after ACTIONS_RED_STREAK_MIN failures is a recovery; cancelled runs and other
+    // branches don't count. The Deployments API announces the first production deploy of a
+    // version, and the release workflow for the same tag is not announced twice.
+    github.runs.push(
+      run(2, 'failure'), run(3, 'timed_out'), run(4, 'cancelled'), run(5, 'failure'),
+      run(6, 'failure', { branch: 'feature' }), run(7, 'success'),
+      run(8, 'success', { workflow: 2, name: 'Release', branch: 'v1.1.0' })
+    );
+    github.deployments.push(
+      deployment(2, 'staging', 'v1.1.0', 'success'),
+      deployment(3, 'production', 'v1.1.0', 'success'),
+      deployment(4, 'production', 'v1.2.0', 'in_progress')
+    );
+    const signals = await trigger.detectSignals(REPO);
+    assert.deepStrictEqual(ids(signals), ['octo/app:workflow_run:7', 'octo/app:deployment:production:v1.1.0']);
+    const [recovery, deploy] = signals;
+    assert.deepStrictEqual([recovery.data.red_streak, recovery.data.red_since, recovery.data.red_for_hours], [3, '2024-03-01T02:00:00Z', 5]);
+    assert.deepStrictEqual([deploy.data.sha, deploy.data.url, deploy.data.duration_seconds], ['sha3', 'https://app.example.com', 300]);
+
+    // Deferred signals are detected again; consumed ones never
+    assert.deepStrictEqual(ids(await trigger.detectSignals(REPO)), ids(signals));
+    signals.forEach(signal => trigger.markProcessed(signal));
+    assert.deepStrictEqual(await trigger.detectSignals(REPO), []);
+    const state = stateStore.get('actionsState')[REPO];
+    assert.deepStrictEqual(state.workflows[1], { last_run_id: 7, red_streak: 0, red_since: null });
+    assert.ok(state.deployed.includes('production:v1.1.0'));
+
+    // A pending deployment is revisited once it finished; redeploys of a version are not news
+    github.deployments[3].state = 'success';
+    github.deployments.push(deployment(5, 'production', 'v1.1.0', 'success'));
+    const later = await trigger.detectSignals(REPO);
+    assert.deepStrictEqual(ids(later), ['octo/app:deployment:production:v1.2.0']);
+    trigger.markProcessed(later[0]);
+
+    // Without the Deployments API a green release workflow for a tag is a deploy; branch deploys are not
+    github.runs.push(
+      run(9, 'success', { workflow: 3, name: 'Deploy', branch: 'main' }),
+      run(10, 'success', { workflow: 2, name: 'Release', branch: 'v2.0.0', event: 'release' })
+    );
+    const workflowDeploys = await trigger.detectSignals(REPO);
+    assert.deepStrictEqual(ids(workflowDeploys), ['octo/app:deployment:workflow:v2.0.0']);
+    assert.strictEqual(workflowDeploys[0].data.workflow, 'Release');
+
+    logger.info('Actions trigger test passed');
+  } catch (err) {
+    logger.error('Actions trigger test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runActionsTriggerTest();
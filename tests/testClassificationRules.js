@@ -0,0 +1,116 @@
+// tests/testClassificationRules.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const { loadClassificationRules, validateRules } = require('../triggers/classificationRules');
+const { SignalClassifier } = require('../triggers/signalClassifier');
+const { FeedbackModel } = require('../triggers/feedbackModel');
+
+const RULES = {
+  extensions: { proto: 'api' },
+  commitTypes: { deps: { category: 'config', adjustment: -0.3 } },
+  signalAdjustments: { release: { patch: -0.2 } },
+  rules: [
+    { name: 'bots', match: { author: ['Renovate[bot]'] }, drop: true },
+    { name: 'infra', match: { type: 'commit', paths: 'infra/**' }, category: 'infra', adjust: 0.1 }
+  ],
+  repos: {
+    'octo/docs': {
+      extensions: { md: 'product' },
+      rules: [{ name: 'guides', match: { message: '^docs\\(guide\\)' }, adjust: 0.2 }]
+    }
+  }
+};
+
+function commit(repo, message, files, author = 'alice') {
+  return {
+    id: `${repo}:${message}`,
+    type: 'commit',
+    repo,
+    confidence: 0.6,
+    data: {
+      sha: 'abcdef1234567',
+      message,
+      author,
+      files: files.map(filename => ({ filename, status: 'modified', additions: 10, deletions: 0 }))
+    }
+  };
+}
+
+function runClassificationRulesTest() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  try {
+    logger.info('Starting classification rules test');
+
+    // Every problem is reported at once, with where it is
+    const errors = validateRules({
+      extension: {},
+      commitKeywords: [{ pattern: '(unclosed', category: 'code', adjustment: 0 }],
+      adjustments: { breaking: 3 },
+      signalAdjustments: { release: { patch: 'low' }, tweet: {} },
+      rules: [
+        { name: 'a', match: { colour: 'red' }, adjust: 0.1 },
+        { name: 'a', match: { type: 'commit' } }
+      ],
+      repos: { 'octo/app': { repos: {} } }
+    }, 'rules.json');
+    // The regex engine's own wording is left out
+    assert.deepStrictEqual(errors.map(error => error.replace(/ \(Invalid regular expression.*\)$/, '')), [
+      'rules.json: unknown section "extension"',
+      'rules.json.commitKeywords[0]: invalid pattern',
+      'rules.json.adjustments.breaking: must be a number between -1 and 1',
+      'rules.json.signalAdjustments.release.patch: must be a number between -1 and 1',
+      'rules.json.signalAdjustments: unknown signal type "tweet"',
+      'rules.json.rules[0]: unknown match condition "colour" (expected type, message, labels, paths, author)',
+      'rules.json.rules[1]: needs at least one action ("category", "adjust" or "drop")',
+      'rules.json.rules[1]: duplicate rule name "a"',
+      'rules.json.repos["octo/app"]: unknown section "repos"'
+    ]);
+    assert.deepStrictEqual(validateRules(RULES, 'rules.json'), []);
+
+    // Invalid or unreadable files fail at load time
+    const badFile = path.join(tmpDir, 'bad.json');
+    fs.writeFileSync(badFile, JSON.stringify({ rules: {} }));
+    assert.throws(() => loadClassificationRules(badFile), /Invalid classification rules:\n {2}bad\.json\.rules: must be an array/);
+    assert.throws(() => loadClassificationRules(path.join(tmpDir, 'missing.json')), /Cannot read classification rules/);
+
+    // Sections are merged over the defaults
+    const file = path.join(tmpDir, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify(RULES));
+    const ruleSet = loadClassificationRules(file);
+    assert.strictEqual(ruleSet.base.extensions.proto, 'api');
+    assert.strictEqual(ruleSet.base.extensions.js, 'code');
+    assert.strictEqual(ruleSet.base.signalAdjustments.release.patch, -0.2);
+    assert.deepStrictEqual(ruleSet.base.commitTypes.deps, { category: 'config', adjustment: -0.3 });
+    assert.ok(ruleSet.base.commitTypes.feat);
+
+    // Rules run after the built-in classification; drops stop the signal
+    const classifier = new SignalClassifier(ruleSet, new FeedbackModel(path.join(tmpDir, 'feedback.json')));
+    const infra = classifier.classify(commit('octo/app', 'update cluster', ['infra/k8s/deploy.yaml']));
+    assert.strictEqual(infra.category, 'infra');
+    assert.deepStrictEqual(infra.classification.rules, ['infra']);
+    const bot = classifier.classify(commit('octo/app', 'deps: bump axios', ['package.json'], 'renovate[bot]'));
+    assert.strictEqual(bot.dropped, true);
+    assert.strictEqual(bot.classification.dropped_by, 'bots');
+
+    // Repository overrides layer on top of the file, for that repository only
+    const guide = classifier.classify(commit('octo/docs', 'docs(guide): add quickstart', ['guide/start.md']));
+    const other = classifier.classify(commit('octo/app', 'docs(guide): add quickstart', ['guide/start.md']));
+    assert.strictEqual(guide.category, 'product');
+    assert.strictEqual(other.category, 'docs');
+    assert.deepStrictEqual(guide.classification.rules, ['guides']);
+    assert.deepStrictEqual(other.classification.rules, []);
+    assert.ok(classifier.rulesFor('octo/docs').rules.some(rule => rule.name === 'bots'));
+
+    logger.info('Classification rules test passed');
+  } catch (err) {
+    logger.error('Classification rules test failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runClassificationRulesTest();
@@ -0,0 +1,88 @@
+// tests/testCommitDetails.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+process.env.GITHUB_TOKEN = 'test-token';
+
+const { GitHubTrigger } = require('../triggers/githubTrigger');
+const { RateLimitError } = require('../triggers/githubClient');
+const { SignalClassifier } = require('../triggers/signalClassifier');
+
+const REPO = 'octo/app';
+
+function listed(sha, day) {
+  return { sha, commit: { committer: { date: `2024-03-0${day}T10:00:00Z` } } };
+}
+
+function details(sha, files) {
+  return {
+    sha,
+    commit: { message: `feat: change ${sha}`, author: { name: 'Alice', date: '2024-03-01T10:00:00Z' } },
+    files
+  };
+}
+
+async function runCommitDetailsTest() {
+  try {
+    logger.info('Starting commit details test');
+    const trigger = new GitHubTrigger();
+    let listedCommits = [listed('c3', 3), listed('c2', 2), listed('c1', 1)];
+    let failing = new Set(['c2']);
+    trigger.client = {
+      paginate: async () => ({ items: listedCommits, truncated: false }),
+      get: async path => {
+        const sha = path.split('/').pop();
+        if (failing.has(sha)) throw new Error('502 Bad Gateway');
+        return details(sha, [
+          { filename: 'src/app.js', status: 'modified', additions: 200, deletions: 20 },
+          { filename: 'docs/guide.md', status: 'modified', additions: 5 }
+        ]);
+      }
+    };
+    trigger.setCursor(REPO, 'commit', { sha: 'c0', date: '2024-02-28T10:00:00Z' });
+
+    // Changed files are attached with their line counts
+    const first = await trigger.detectRepoSignals(REPO, ['commit']);
+    assert.deepStrictEqual(first.map(s => s.data.sha), ['c3', 'c1']);
+    assert.deepStrictEqual(first[0].data.files.map(f => [f.filename, f.additions, f.deletions]), [
+      ['src/app.js', 200, 20],
+      ['docs/guide.md', 5, null]
+    ]);
+    assert.deepStrictEqual([first[0].data.files_changed, first[0].data.additions, first[0].data.deletions], [2, 205, 20]);
+
+    // A commit whose details failed is skipped, and the cursor never passes it
+    first.forEach(signal => trigger.markProcessed(signal));
+    assert.strictEqual(trigger.getCursor(REPO, 'commit').sha, 'c1');
+
+    // The next run retries it, and consuming it moves the cursor to the newest commit
+    failing = new Set();
+    listedCommits = [listed('c3', 3), listed('c2', 2)];
+    const retried = await trigger.detectRepoSignals(REPO, ['commit']);
+    assert.deepStrictEqual(retried.map(s => s.data.sha), ['c2']);
+    trigger.markProcessed(retried[0]);
+    assert.strictEqual(trigger.getCursor(REPO, 'commit').sha, 'c3');
+
+    // Running out of quota stops detection instead of skipping every commit
+    listedCommits = [listed('c4', 4)];
+    trigger.client.get = async () => { throw new RateLimitError('GitHub API quota below configured floor'); };
+    await assert.rejects(trigger.detectRepoSignals(REPO, ['commit']), RateLimitError);
+
+    // The classifier weights file categories by lines changed
+    const classified = new SignalClassifier().classifyCommit(first[0]);
+    assert.strictEqual(classified.category, 'code');
+    assert.strictEqual(classified.classification.method, 'commit_files_weighted');
+    assert.deepStrictEqual(classified.classification.file_categories, { code: 0.98, docs: 0.02 });
+    assert.strictEqual(classified.classification.lines_changed, 225);
+
+    logger.info('Commit details test passed');
+  } catch (err) {
+    logger.error('Commit details test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runCommitDetailsTest();
@@ -0,0 +1,146 @@
+// tests/testContextProviders.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Keep the real cache untouched; no request leaves the machine
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-'));
+process.env.HTTP_CACHE_DIR = tmpDir;
+process.env.CONTEXT_MIN_RELEVANCE = '0.3';
+process.env.CONTEXT_MAX_ITEMS = '3';
+
+const { createContextProviders, assertProvider, touchedDependencies } = require('../services/contextProviders');
+const { DataFetcher } = require('../services/dataFetcher');
+
+// Registry and Wikipedia responses by URL; anything else is a 404
+const WEB = {
+  'https://registry.npmjs.org/@octo%2Fretry/latest': { name: '@octo/retry', description: 'Retry failed requests with backoff', versions: {} },
+  'https://registry.npmjs.org/axios/latest': { name: 'axios', description: 'Promise based HTTP client' },
+  'https://pypi.org/pypi/requests/json': { info: { name: 'requests', summary: 'Python HTTP for Humans.', package_url: 'https://pypi.org/project/requests/' }, releases: {} },
+  'https://en.wikipedia.org/api/rest_v1/page/summary/Backoff': { type: 'standard', extract: 'Exponential backoff spaces out retry attempts.', content_urls: { desktop: { page: 'https://en.wikipedia.org/wiki/Backoff' } } },
+  'https://en.wikipedia.org/api/rest_v1/page/summary/Retry': { type: 'disambiguation', extract: 'Retry may refer to:' }
+};
+const fetched = [];
+axios.get = async url => {
+  fetched.push(url);
+  if (!(url in WEB)) throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+  return { status: 200, headers: {}, data: WEB[url] };
+};
+
+// GitHub as the repository and linked-issue providers see it
+const github = {
+  token: 'test-token',
+  get: async apiPath => {
+    if (apiPath === '/repos/octo/app') {
+      return { full_name: 'octo/app', description: 'Resilient HTTP toolkit', topics: ['http', 'retry'], html_url: 'https://github.com/octo/app' };
+    }
+    const number = parseInt(apiPath.split('/').pop(), 10);
+    if (number === 404) throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+    return { number, title: `Issue ${number}`, body: 'Requests fail under load', html_url: `https://github.com/octo/app/issues/${number}` };
+  }
+};
+
+function commit(message, files = []) {
+  return { id: 'octo/app:commit:1', type: 'commit', source: 'github', repo: 'octo/app', data: { message, files: files.map(filename => ({ filename })) } };
+}
+
+const byName = providers => Object.fromEntries(providers.map(provider => [provider.name, provider]));
+
+async function runContextProvidersTest() {
+  try {
+    logger.info('Starting context providers test');
+
+    // CONTEXT_PROVIDERS picks and orders providers; unknown names and incomplete providers fail
+    assert.deepStrictEqual(createContextProviders().map(p => p.name), ['linked', 'repository', 'npm', 'pypi', 'wikipedia']);
+    assert.deepStrictEqual(createContextProviders(' NPM, wikipedia ').map(p => p.name), ['npm', 'wikipedia']);
+    assert.throws(() => createContextProviders('npm,stackoverflow'), /Unknown context provider "stackoverflow"/);
+    assert.throws(() => assertProvider({ name: 'x' }), /missing: fetch/);
+
+    // Bot bumps name their package; hand-written ones count only when a manifest changed
+    assert.deepStrictEqual(touchedDependencies(commit('Bump axios from 1.6.0 to 1.7.2')), {
+      npm: [{ name: 'axios', explicit: true }],
+      pypi: [{ name: 'axios', explicit: true }]
+    });
+    assert.deepStrictEqual(touchedDependencies(commit('add @octo/retry for flaky calls', ['package.json'])), {
+      npm: [{ name: '@octo/retry', explicit: false }],
+      pypi: []
+    });
+    assert.deepStrictEqual(touchedDependencies(commit('add the retry loop')), { npm: [], pypi: [] });
+    assert.deepStrictEqual(touchedDependencies(commit('upgrade requests', ['api/requirements-dev.txt'])).pypi, [{ name: 'requests', explicit: false }]);
+
+    const providers = byName(createContextProviders());
+    providers.linked._client = github;
+    providers.repository._client = github;
+
+    // Registries describe the touched package, scoped names encoded; missing packages are skipped
+    const [npm] = await providers.npm.fetch(commit('add @octo/retry', ['package.json']), ['retry', 'backoff']);
+    assert.deepStrictEqual(npm, {
+      source: 'npm',
+      topic: '@octo/retry',
+      content: '@octo/retry (npm package): Retry failed requests with backoff',
+      url: 'https://www.npmjs.com/package/@octo/retry',
+      relevance: 0.8
+    });
+    const bump = commit('Bump requests from 2.31.0 to 2.32.0');
+    assert.deepStrictEqual(await providers.npm.fetch(bump, []), []);
+    const [pypi] = await providers.pypi.fetch(bump, []);
+    assert.deepStrictEqual([pypi.topic, pypi.relevance, pypi.url], ['requests', 0.75, 'https://pypi.org/project/requests/']);
+
+    // Wikipedia is background: low relevance, and disambiguation pages are dropped
+    const wiki = await providers.wikipedia.fetch(commit('retry with backoff'), ['Retry', 'Backoff']);
+    assert.deepStrictEqual(wiki.map(c => [c.topic, c.relevance]), [['Backoff', 0.6]]);
+
+    // Closed issues and the squash-merged pull request, not the signal itself, at most two
+    const squash = commit('fix: retry on 503 (fixes #12, fixes #404) (#15)');
+    assert.deepStrictEqual(providers.linked.references(squash), [
+      { number: 12, relation: 'closes' },
+      { number: 404, relation: 'closes' }
+    ]);
+    providers.linked.maxItems = 3;
+    const linked = await providers.linked.fetch(squash, ['load']);
+    assert.deepStrictEqual(linked.map(c => [c.topic, c.relevance]), [['Issue 12', 1], ['Issue 15', 0.95]]);
+    const pr = { type: 'pull_request', source: 'github', repo: 'octo/app', data: { number: 15, title: 'Retry', body: 'Closes #15', linked_issues: [15, 12] } };
+    assert.deepStrictEqual(providers.linked.references(pr), [{ number: 12, relation: 'closes' }]);
+
+    // The repository describes itself; other forges and tokenless runs are skipped
+    const [repository] = await providers.repository.fetch(commit('x'), ['http']);
+    assert.deepStrictEqual([repository.content, repository.relevance], ['octo/app: Resilient HTTP toolkit (topics: http, retry)', 0.7]);
+    assert.deepStrictEqual(await providers.repository.fetch({ ...commit('x'), source: 'gitlab' }, []), []);
+
+    // A failing provider does not block the others; contexts are ranked, thresholded and deduplicated
+    const fixed = contexts => ({ name: `fixed${contexts.length}`, fetch: async () => contexts });
+    const fetcher = new DataFetcher([
+      { name: 'broken', fetch: async () => { throw new Error('boom'); } },
+      fixed([
+        { source: 'a', topic: 'low', content: 'ignored', url: null, relevance: 0.2 },
+        { source: 'a', topic: 'mid', content: 'm'.repeat(400), url: 'https://x/1', relevance: 0.5 },
+        { source: 'a', topic: 'empty', content: '', url: null, relevance: 0.9 }
+      ]),
+      fixed([
+        { source: 'b', topic: 'top', content: 'best', url: 'https://x/2', relevance: 0.9 },
+        { source: 'b', topic: 'dup', content: 'same page', url: 'https://x/1', relevance: 0.4 },
+        { source: 'b', topic: 'fourth', content: 'kept last', url: null, relevance: 0.35 },
+        { source: 'b', topic: 'fifth', content: 'cut', url: null, relevance: 0.31 }
+      ])
+    ]);
+    const ranked = await fetcher.fetchContext(commit('x'), []);
+    assert.deepStrictEqual(ranked.map(c => c.topic), ['top', 'mid', 'fourth']);
+
+    // Merged contexts share the length limit equally
+    const merged = fetcher.mergeContexts(ranked);
+    assert.ok(merged.length <= fetcher.maxContextLength);
+    assert.ok(merged.startsWith('best m') && merged.endsWith('… kept last'));
+
+    logger.info('Context providers test passed');
+  } catch (err) {
+    logger.error('Context providers test failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runContextProvidersTest();
@@ -0,0 +1,78 @@
+// tests/testConventionalCommits.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const { parseCommitMessage } = require('../utils/conventionalCommits');
+const { SignalClassifier } = require('../triggers/signalClassifier');
+const { FeedbackModel } = require('../triggers/feedbackModel');
+
+const MESSAGE = [
+  'feat(api)!: add v2 endpoints',
+  '',
+  'Long body here.',
+  '',
+  'Second paragraph.',
+  '',
+  'BREAKING CHANGE: /v1 is removed',
+  '  use /v2 instead',
+  'Co-authored-by: Bob Smith <bob@example.com>',
+  'Closes #12',
+  'Refs #7'
+].join('\r\n');
+
+function commit(message) {
+  return { id: 'c', type: 'commit', confidence: 0.7, data: { sha: 'abcdef1234567', message } };
+}
+
+function runConventionalCommitsTest() {
+  try {
+    logger.info('Starting conventional commits test');
+
+    // Header, body and trailers; continuation lines extend the previous trailer
+    const parsed = parseCommitMessage(MESSAGE);
+    assert.strictEqual(parsed.conventional, true);
+    assert.deepStrictEqual([parsed.type, parsed.scope, parsed.subject], ['feat', 'api', 'add v2 endpoints']);
+    assert.strictEqual(parsed.body, 'Long body here.\n\nSecond paragraph.');
+    assert.strictEqual(parsed.breaking, true);
+    assert.deepStrictEqual(parsed.breaking_notes, ['/v1 is removed use /v2 instead']);
+    assert.deepStrictEqual(parsed.co_authors, [{ name: 'Bob Smith', email: 'bob@example.com' }]);
+    assert.deepStrictEqual(parsed.trailers.refs, ['#7']);
+    assert.deepStrictEqual(parsed.references, [12]);
+
+    // "!" alone marks a breaking change; types are case-insensitive
+    const bang = parseCommitMessage('Perf(db)!: drop index');
+    assert.deepStrictEqual([bang.type, bang.scope, bang.breaking, bang.breaking_notes], ['perf', 'db', true, []]);
+
+    // A last paragraph with prose in it is body, not trailers
+    const prose = parseCommitMessage('fix: crash\n\nNot: a trailer\nbecause this line is prose');
+    assert.deepStrictEqual(prose.trailers, {});
+    assert.strictEqual(prose.body, 'Not: a trailer\nbecause this line is prose');
+
+    // Free-form messages keep their header as the subject
+    const plain = parseCommitMessage('Update README');
+    assert.deepStrictEqual([plain.conventional, plain.type, plain.subject], [false, null, 'Update README']);
+    assert.strictEqual(parseCommitMessage('feat:missing space').conventional, false);
+
+    // The declared type decides the category over message keywords
+    const classifier = new SignalClassifier(undefined, new FeedbackModel('/nonexistent/feedback.json'));
+    const docs = classifier.classifyCommit(commit('docs: fix typo in README'));
+    assert.deepStrictEqual([docs.category, docs.classification.method, docs.classification.commit_type], ['docs', 'commit_conventional', 'docs']);
+    const chore = classifier.classifyCommit(commit('chore: bump deps'));
+    assert.strictEqual(chore.category, 'config');
+    assert.ok(chore.confidence < 0.7);
+
+    // Breaking changes, co-authors and closed issues raise confidence
+    const feat = classifier.classifyCommit(commit('feat: add search'));
+    const rich = classifier.classifyCommit(commit(`feat: add search\n\nBREAKING CHANGE: new index\nCo-authored-by: Bob <bob@example.com>\nCloses #3`));
+    assert.ok(rich.confidence > feat.confidence);
+    assert.strictEqual(rich.classification.breaking, true);
+    assert.deepStrictEqual(rich.classification.breaking_notes, ['new index']);
+    assert.deepStrictEqual(rich.classification.closes, [3]);
+
+    logger.info('Conventional commits test passed');
+  } catch (err) {
+    logger.error('Conventional commits test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runConventionalCommitsTest();
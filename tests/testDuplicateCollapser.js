@@ -0,0 +1,73 @@
+// tests/testDuplicateCollapser.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const { DuplicateCollapser } = require('../triggers/duplicateCollapser');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+
+function commit(id, message, files = [], repo = 'octo/app') {
+  return {
+    id,
+    type: 'commit',
+    repo,
+    confidence: 0.7,
+    data: { message, files: files.map(filename => ({ filename })) }
+  };
+}
+
+function runDuplicateCollapserTest() {
+  try {
+    logger.info('Starting duplicate collapser test');
+    const collapser = new DuplicateCollapser();
+    const similarity = (a, b) => collapser.similarity(collapser.fingerprint(a), collapser.fingerprint(b));
+
+    // Same words, Conventional Commits type ignored
+    assert.strictEqual(similarity(commit('a', 'fix: retry webhook delivery'), commit('b', 'retry webhook delivery')), 1);
+
+    // The scope is kept, so the same message in different areas stays apart
+    const auth = commit('c', 'fix(auth): handle timeout');
+    const billing = commit('d', 'fix(billing): handle timeout');
+    assert.ok(similarity(auth, billing) < collapser.threshold);
+
+    // Touching the same file does not make unrelated titles similar
+    const unrelated = similarity(
+      commit('e', 'add dark mode toggle', ['src/app.js']),
+      commit('f', 'bump eslint to v9', ['src/app.js'])
+    );
+    assert.strictEqual(unrelated, 0);
+
+    // Shared files boost titles that are already close
+    const close = ['speed up search index build', 'speed up search index rebuild'];
+    const withoutFiles = similarity(commit('g', close[0]), commit('h', close[1]));
+    const withFiles = similarity(commit('g', close[0], ['src/search.js']), commit('h', close[1], ['src/search.js']));
+    assert.ok(withoutFiles >= 0.5 && withFiles > withoutFiles);
+
+    // An issue and the pull request that closes it are one story
+    const issue = { id: 'i', type: 'issue', repo: 'octo/app', confidence: 0.6, data: { number: 12, title: 'Login page crashes' } };
+    const pr = { id: 'p', type: 'pull_request', repo: 'octo/app', confidence: 0.8, data: { number: 13, title: 'Guard null session', body: 'Closes #12' } };
+    assert.strictEqual(similarity(issue, pr), 1);
+
+    // Other repositories never match
+    assert.strictEqual(similarity(commit('j', 'retry webhook delivery'), commit('k', 'retry webhook delivery', [], 'octo/api')), 0);
+
+    // Collapsing keeps the most confident signal; the other is consumed only once it is posted
+    const [merged] = collapser.collapse([issue, pr]);
+    assert.strictEqual(merged.id, 'p');
+    assert.deepStrictEqual(merged.data.related.map(r => [r.id, r.similarity]), [['i', 1]]);
+    assert.strictEqual(stateStore.hasProcessed('i'), false);
+
+    collapser.markProcessed(merged);
+    assert.strictEqual(stateStore.state.processed.i.duplicate_of, 'p');
+    assert.deepStrictEqual(stateStore.get('recentSignals').map(entry => entry.id), ['p']);
+
+    logger.info('Duplicate collapser test passed');
+  } catch (err) {
+    logger.error('Duplicate collapser test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runDuplicateCollapserTest();
@@ -0,0 +1,101 @@
+// tests/testFeedParser.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const { parseFeed } = require('../utils/feedParser');
+const { SignalClassifier } = require('../triggers/signalClassifier');
+const { FeedbackModel } = require('../triggers/feedbackModel');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>Engineering &amp; Ops</title>
+    <link>https://example.com/blog</link>
+    <item>
+      <title><![CDATA[Why <T> & friends matter]]></title>
+      <link>https://example.com/blog/generics</link>
+      <guid>post-1</guid>
+      <pubDate>Mon, 05 Feb 2024 10:00:00 GMT</pubDate>
+      <dc:creator>Alice</dc:creator>
+      <category>TypeScript</category>
+      <description>&lt;p&gt;Generics &amp;amp; inference, &lt;b&gt;explained&lt;/b&gt;.&lt;/p&gt;</description>
+    </item>
+    <item>
+      <title>Release &#8211; v2</title>
+      <link>https://example.com/blog/v2</link>
+      <description><![CDATA[<p>Two <em>big</em> changes</p>]]></description>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Changelog</title>
+  <link rel="alternate" href="https://example.com/changelog"/>
+  <!-- <entry><title>Commented out</title></entry> -->
+  <entry>
+    <title type="html">Faster &lt;code&gt;builds&lt;/code&gt;</title>
+    <id>tag:example.com,2024:1</id>
+    <link rel="alternate" href="https://example.com/changelog/1"/>
+    <updated>2024-02-06T08:30:00Z</updated>
+    <author><name>Bob</name></author>
+    <category term="ci" label="CI"/>
+    <summary>Caching for dependency installs.</summary>
+  </entry>
+</feed>`;
+
+function runFeedParserTest() {
+  try {
+    logger.info('Starting feed parser test');
+
+    const rss = parseFeed(RSS);
+    assert.strictEqual(rss.format, 'rss');
+    assert.strictEqual(rss.title, 'Engineering & Ops');
+    assert.strictEqual(rss.entries.length, 2);
+
+    // CDATA titles are literal: "<T>" is not a tag and "&" is not an entity
+    const [first, second] = rss.entries;
+    assert.strictEqual(first.title, 'Why <T> & friends matter');
+    assert.strictEqual(first.guid, 'post-1');
+    assert.strictEqual(first.author, 'Alice');
+    assert.deepStrictEqual(first.categories, ['TypeScript']);
+    assert.strictEqual(first.published_at, '2024-02-05T10:00:00.000Z');
+    // Escaped HTML in descriptions becomes plain text
+    assert.strictEqual(first.summary, 'Generics & inference, explained .');
+
+    // CDATA-wrapped HTML is still stripped; numeric entities are decoded
+    assert.strictEqual(second.title, 'Release – v2');
+    assert.strictEqual(second.summary, 'Two big changes');
+    assert.strictEqual(second.guid, 'https://example.com/blog/v2');
+
+    const atom = parseFeed(ATOM);
+    assert.strictEqual(atom.format, 'atom');
+    assert.strictEqual(atom.link, 'https://example.com/changelog');
+    assert.strictEqual(atom.entries.length, 1);
+    const [entry] = atom.entries;
+    assert.strictEqual(entry.title, 'Faster builds');
+    assert.strictEqual(entry.link, 'https://example.com/changelog/1');
+    assert.strictEqual(entry.author, 'Bob');
+    assert.deepStrictEqual(entry.categories, ['CI']);
+    assert.strictEqual(entry.summary, 'Caching for dependency installs.');
+
+    assert.throws(() => parseFeed('<html></html>'), /Unrecognized feed format/);
+
+    // Entries are releases only when they name one; a bare decimal is not a version
+    const classifier = new SignalClassifier(undefined, new FeedbackModel('/nonexistent/feedback.json'));
+    const categoryOf = title => classifier.classifyArticle({ type: 'article', confidence: 0.5, data: { title, summary: 'x' } }).category;
+    assert.strictEqual(categoryOf(second.title), 'release');
+    assert.strictEqual(categoryOf('Rust 1.75 released'), 'release');
+    assert.strictEqual(categoryOf('What is new in Node v20.11'), 'release');
+    assert.strictEqual(categoryOf('Shipping sdk@2.3.1 today'), 'release');
+    assert.strictEqual(categoryOf('Python 3.12 performance tips'), 'article');
+    assert.strictEqual(categoryOf('2.5x faster builds with caching'), 'article');
+    assert.strictEqual(categoryOf('Our 4.5 star rating'), 'article');
+
+    logger.info('Feed parser test passed');
+  } catch (err) {
+    logger.error('Feed parser test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runFeedParserTest();
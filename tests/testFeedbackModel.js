@@ -0,0 +1,95 @@
+// tests/testFeedbackModel.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Keep feedback.json untouched
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-'));
+process.env.FEEDBACK_MIN_DECISIONS = '4';
+process.env.FEEDBACK_WEIGHT = '0.5';
+process.env.REDACT_CODENAMES = 'bluefin';
+
+const { FeedbackModel, extractFeatures } = require('../triggers/feedbackModel');
+const { SignalClassifier } = require('../triggers/signalClassifier');
+
+function commit(id, message, files = ['src/app.js']) {
+  return {
+    id,
+    type: 'commit',
+    repo: 'octo/app',
+    confidence: 0.5,
+    data: { sha: 'abcdef1234567', message, files: files.map(filename => ({ filename, status: 'modified', additions: 20, deletions: 2 })) }
+  };
+}
+
+function runFeedbackModelTest() {
+  try {
+    logger.info('Starting feedback model test');
+
+    // Features: type, source, category, commit type, words, directories and extensions
+    const features = extractFeatures({
+      type: 'commit',
+      category: 'feature',
+      classification: { commit_type: 'feat', breaking: true },
+      data: { message: 'feat: Add OAuth login for the API', labels: ['Auth'], files: [{ filename: 'src/auth/login.ts' }] }
+    });
+    assert.deepStrictEqual(features.sort(), [
+      'breaking', 'category:feature', 'commit_type:feat', 'dir:src', 'ext:ts', 'label:auth',
+      'source:github', 'token:add', 'token:api', 'token:feat', 'token:login', 'token:oauth', 'type:commit'
+    ]);
+
+    // Nothing is blended until enough decisions of both kinds exist
+    const file = path.join(tmpDir, 'feedback.json');
+    const model = new FeedbackModel(file);
+    assert.throws(() => model.record({ id: 'x', features: [] }, 'maybe'), /Unknown feedback outcome/);
+    model.record({ id: 'a1', confidence: 0.6, features: ['type:commit', 'token:feature', 'dir:src'] }, 'approve');
+    model.record({ id: 'a2', confidence: 0.4, features: ['type:commit', 'token:feature', 'dir:lib'] }, 'edit');
+    model.record({ id: 'a3', confidence: 0.7, features: ['type:commit', 'token:feature'] }, 'approve');
+    assert.strictEqual(model.blend(0.5, ['token:feature']), null);
+    model.record({ id: 'r1', confidence: 0.8, features: ['type:commit', 'token:typo', 'dir:docs'] }, 'reject');
+
+    // Trained counts are persisted and reloaded; scores follow the decisions
+    const reloaded = new FeedbackModel(file);
+    assert.strictEqual(reloaded.decisions.length, 4);
+    assert.ok(reloaded.isReady());
+    assert.ok(reloaded.score(['token:feature']) > 0.5);
+    assert.ok(reloaded.score(['token:typo', 'dir:docs']) < 0.5);
+    const blended = reloaded.blend(0.5, ['token:feature']);
+    assert.ok(blended.confidence > 0.5 && blended.score > 0.5);
+
+    // Evaluation compares the model with the confidence recorded at queue time
+    const report = reloaded.evaluate(4, 0.5);
+    assert.deepStrictEqual([report.decisions, report.approved, report.edited, report.rejected, report.folds], [4, 2, 1, 1, 4]);
+    assert.deepStrictEqual(report.baseline, { precision: 0.667, recall: 0.667, f1: 0.667, accuracy: 0.5 });
+
+    // The classifier scores the same redacted features that queue decisions are recorded with
+    const classifier = new SignalClassifier(undefined, reloaded);
+    const signal = commit('c1', 'feat: Bluefin feature flag');
+    const recorded = classifier.featuresFor(signal);
+    assert.ok(!recorded.some(feature => feature.includes('bluefin')));
+    let scored;
+    reloaded.blend = (confidence, blendFeatures) => {
+      scored = blendFeatures;
+      return FeedbackModel.prototype.blend.call(reloaded, confidence, blendFeatures);
+    };
+    const classified = classifier.classify(signal);
+    assert.deepStrictEqual(scored, classifier.featuresFor(classified));
+    assert.ok(!scored.some(feature => feature.includes('bluefin')));
+
+    // The rule-based confidence is kept for the evaluation baseline
+    assert.strictEqual(typeof classified.classification.rule_confidence, 'number');
+    assert.strictEqual(typeof classified.classification.feedback_score, 'number');
+    assert.notStrictEqual(classified.confidence, classified.classification.rule_confidence);
+
+    logger.info('Feedback model test passed');
+  } catch (err) {
+    logger.error('Feedback model test failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runFeedbackModelTest();
@@ -0,0 +1,140 @@
+// tests/testForgeTriggers.js
+const assert = require('assert');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched; no request leaves the machine
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+process.env.GITLAB_URL = 'https://git.example.com/';
+process.env.GITLAB_TOKEN = 'gl-token';
+process.env.GITLAB_PROJECTS = 'group/sub/app';
+process.env.GITEA_URL = 'https://codeberg.example.org';
+process.env.GITEA_TOKEN = 'gt-token';
+process.env.GITEA_REPOS = 'octo/app';
+
+const { createTriggers, assertTrigger } = require('../triggers/triggerContract');
+
+const MERGED = '2024-03-02T10:00:00Z';
+
+// API responses by URL path (after the host)
+const API = {
+  // GitLab
+  '/api/v4/projects/group%2Fsub%2Fapp/repository/commits': [
+    { id: 'g2', message: 'feat: dark mode', author_name: 'Alice', parent_ids: ['g1'], committed_date: '2024-03-02T09:00:00+01:00', web_url: 'https://git.example.com/c/g2' },
+    { id: 'g1', message: 'fix: crash', author_name: 'Bob', parent_ids: ['g0'], committed_date: '2024-03-01T09:00:00Z', web_url: 'https://git.example.com/c/g1' }
+  ],
+  '/api/v4/projects/group%2Fsub%2Fapp/repository/commits/g2/diff': [
+    { new_path: 'src/theme.js', new_file: true, diff: '@@ -0,0 +1,2 @@\n+a\n+b\n' },
+    { new_path: 'old.css', deleted_file: true, diff: '@@ -1 +0,0 @@\n-x\n' }
+  ],
+  '/api/v4/projects/group%2Fsub%2Fapp/repository/commits/g1/diff': [],
+  '/api/v4/projects/group%2Fsub%2Fapp/merge_requests': [
+    { iid: 4, title: 'Dark mode', description: 'Closes #2', author: { username: 'alice' }, merged_at: MERGED, updated_at: MERGED, web_url: 'https://git.example.com/mr/4', labels: ['feature'], changes_count: '1000+', reviewers: [{ username: 'carol' }] }
+  ],
+  '/api/v4/projects/group%2Fsub%2Fapp/issues': [
+    { iid: 7, title: 'Crash on start', author: { username: 'dave' }, created_at: MERGED, web_url: 'https://git.example.com/i/7', labels: ['bug'] }
+  ],
+  '/api/v4/projects/group%2Fsub%2Fapp/releases': [
+    { tag_name: 'v2.0.0', upcoming_release: true, released_at: '2030-01-01T00:00:00Z' },
+    { tag_name: 'v1.1.0-rc.1', name: 'RC', description: '## Features\n- Dark mode', author: { username: 'alice' }, released_at: MERGED, _links: { self: 'https://git.example.com/r/v1.1.0-rc.1' }, assets: { links: [{ name: 'app.tgz', url: 'https://git.example.com/app.tgz' }] } }
+  ],
+  // Gitea
+  '/api/v1/repos/octo/app/commits': [
+    { sha: 't1', commit: { message: 'docs: guide', author: { name: 'Erin', date: MERGED }, committer: { date: MERGED } }, author: { login: 'erin' }, parents: [{}], html_url: 'https://codeberg.example.org/c/t1' }
+  ],
+  '/api/v1/repos/octo/app/git/commits/t1': { files: [{ filename: 'docs/guide.md', status: 'modified' }] },
+  '/api/v1/repos/octo/app/pulls': [
+    { number: 9, title: 'Abandoned', merged: false, updated_at: MERGED },
+    { number: 8, title: 'Guide', body: '', merged: true, user: { login: 'erin' }, merged_at: MERGED, updated_at: MERGED, html_url: 'https://codeberg.example.org/p/8', labels: [{ name: 'docs' }], additions: 40, deletions: 2, changed_files: 1 }
+  ],
+  '/api/v1/repos/octo/app/pulls/8/reviews': [{ user: { login: 'frank' } }, { user: { login: 'frank' } }, { user: null }],
+  '/api/v1/repos/octo/app/issues': [],
+  '/api/v1/repos/octo/app/releases': [
+    { tag_name: 'v0.9.0', draft: true },
+    { tag_name: 'v0.8.0', name: 'v0.8.0', body: '', prerelease: false, author: { login: 'erin' }, published_at: MERGED, html_url: 'https://codeberg.example.org/r/v0.8.0', assets: [{ name: 'app.zip', size: 10, download_count: 3, browser_download_url: 'https://codeberg.example.org/app.zip' }] }
+  ],
+  '/api/v1/version': { version: '1.21' }
+};
+
+const requests = [];
+axios.get = async (url, config) => {
+  const { pathname } = new URL(url);
+  const apiPath = decodeURI(pathname).replace(/group\/sub\/app/g, 'group%2Fsub%2Fapp');
+  requests.push({ path: apiPath, params: config.params, headers: config.headers });
+  if (!(apiPath in API)) throw Object.assign(new Error(`404 ${apiPath}`), { response: { status: 404 } });
+  return { data: API[apiPath] };
+};
+
+const byType = (signals, type) => signals.filter(signal => signal.type === type);
+
+async function runForgeTriggersTest() {
+  try {
+    logger.info('Starting forge triggers test');
+
+    // TRIGGERS picks adapters by name; forgejo is Gitea, unknown names and incomplete triggers fail
+    const [gitlab, gitea] = createTriggers('gitlab, forgejo');
+    assert.deepStrictEqual([gitlab.source, gitea.source], ['gitlab', 'gitea']);
+    assert.throws(() => createTriggers('svn'), /Unknown trigger "svn"/);
+    assert.throws(() => assertTrigger({ source: 'x', detectSignals() {} }), /missing: markProcessed, healthCheck/);
+
+    // GitLab: URL-encoded project paths, PRIVATE-TOKEN, a small first page
+    const lab = await gitlab.detectRepoSignals('group/sub/app');
+    const first = requests.find(r => r.path.endsWith('/repository/commits'));
+    assert.strictEqual(first.headers['PRIVATE-TOKEN'], 'gl-token');
+    assert.deepStrictEqual(first.params, { page: 1, per_page: 5 });
+
+    const [commit] = byType(lab, 'commit');
+    assert.strictEqual(commit.id, 'gitlab:group/sub/app:commit:g2');
+    assert.strictEqual(commit.source, 'gitlab');
+    assert.deepStrictEqual(commit.data.files, [
+      { filename: 'src/theme.js', status: 'added', additions: 2, deletions: 0 },
+      { filename: 'old.css', status: 'removed', additions: 0, deletions: 1 }
+    ]);
+    // Merge requests are pull requests, with reviewers and linked issues
+    const [mr] = byType(lab, 'pull_request');
+    assert.deepStrictEqual([mr.id, mr.data.reviewers, mr.data.linked_issues, mr.data.changed_files], ['gitlab:group/sub/app:pr:4', ['carol'], [2], 1000]);
+    assert.deepStrictEqual(byType(lab, 'issue').map(s => s.data.labels), [['bug']]);
+    // Upcoming releases are left out; prereleases are recognised by their tag
+    const [release] = byType(lab, 'release');
+    assert.deepStrictEqual([release.data.tag_name, release.data.prerelease, release.data.notes.features], ['v1.1.0-rc.1', true, ['Dark mode']]);
+    assert.strictEqual(release.data.assets[0].url, 'https://git.example.com/app.tgz');
+
+    // Consumed signals move the cursors; later runs page from them and skip what they passed
+    [...lab].reverse().forEach(signal => gitlab.markProcessed(signal));
+    const cursors = stateStore.get('cursors')['gitlab:group/sub/app'];
+    assert.deepStrictEqual([cursors.commit.sha, cursors.pull_request.number, cursors.release.tag], ['g2', 4, 'v1.1.0-rc.1']);
+    requests.length = 0;
+    assert.deepStrictEqual(await gitlab.detectRepoSignals('group/sub/app'), []);
+    assert.deepStrictEqual(requests[0].params, { since: '2024-03-02T09:00:00+01:00', page: 1, per_page: 30 });
+
+    // Gitea: "limit" paging, merged pull requests only, reviewers from reviews, no drafts
+    requests.length = 0;
+    const tea = await gitea.detectRepoSignals('octo/app');
+    assert.strictEqual(requests[0].headers.Authorization, 'token gt-token');
+    assert.deepStrictEqual(requests[0].params, { stat: false, files: false, verification: false, page: 1, limit: 5 });
+    assert.deepStrictEqual(tea.map(s => s.id), [
+      'gitea:octo/app:commit:t1',
+      'gitea:octo/app:pr:8',
+      'gitea:octo/app:release:v0.8.0'
+    ]);
+    assert.deepStrictEqual(tea[0].data.files, [{ filename: 'docs/guide.md', status: 'modified', additions: null, deletions: null }]);
+    assert.strictEqual(tea[0].data.author_login, 'erin');
+    assert.deepStrictEqual(tea[1].data.reviewers, ['frank']);
+    assert.strictEqual(tea[2].data.assets[0].download_count, 3);
+
+    // Health: reachable API, or degraded without a token
+    assert.strictEqual((await gitea.healthCheck()).status, 'healthy');
+    assert.strictEqual((await gitlab.healthCheck()).status, 'unhealthy');
+    gitlab.token = null;
+    assert.strictEqual((await gitlab.healthCheck()).status, 'degraded');
+
+    logger.info('Forge triggers test passed');
+  } catch (err) {
+    logger.error('Forge triggers test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runForgeTriggersTest();
@@ -0,0 +1,127 @@
+// tests/testGitHubClient.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Keep the HTTP cache untouched; no request leaves the machine
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-client-'));
+process.env.HTTP_CACHE_DIR = tmpDir;
+process.env.GITHUB_TOKEN = 'test-token';
+process.env.GITHUB_RATE_LIMIT_FLOOR = '100';
+
+const { GitHubClient, RateLimitError } = require('../triggers/githubClient');
+
+// Queue of canned responses; each request takes the next one
+let responses = [];
+const requests = [];
+axios.get = async (url, config) => {
+  requests.push({ url, headers: config.headers, params: config.params });
+  const { status = 200, data = {}, headers = {} } = responses.shift();
+  const response = { status, data, headers: { 'x-ratelimit-remaining': '4000', ...headers } };
+  if (!config.validateStatus(status)) {
+    throw Object.assign(new Error(`Request failed with status code ${status}`), { response });
+  }
+  return response;
+};
+
+function client() {
+  const instance = new GitHubClient();
+  instance.waits = [];
+  instance._sleep = async ms => { instance.waits.push(ms); };
+  return instance;
+}
+
+async function runGitHubClientTest() {
+  try {
+    logger.info('Starting GitHub client test');
+
+    // Retry-After is honoured
+    let github = client();
+    responses = [{ status: 429, headers: { 'retry-after': '2' } }, { data: { ok: true } }];
+    assert.deepStrictEqual(await github.get('/repos/octo/app'), { ok: true });
+    assert.deepStrictEqual(github.waits, [2000]);
+
+    // Secondary limits without Retry-After back off from a minute, doubling per retry
+    github = client();
+    const secondary = { status: 403, data: { message: 'You have exceeded a secondary rate limit' } };
+    responses = [secondary, secondary, { data: [] }];
+    await github.get('/repos/octo/app/commits');
+    assert.deepStrictEqual(github.waits, [60000, 120000]);
+
+    // A wait beyond GITHUB_MAX_BACKOFF_SECONDS gives up instead of sleeping
+    github = client();
+    responses = [secondary, secondary, secondary];
+    await assert.rejects(github.get('/repos/octo/app/commits'), RateLimitError);
+    assert.deepStrictEqual(github.waits, [60000, 120000]);
+
+    // Other errors are not retried
+    github = client();
+    responses = [{ status: 404, data: { message: 'Not Found' } }];
+    await assert.rejects(github.get('/repos/octo/missing'), /status code 404/);
+    assert.deepStrictEqual(github.waits, []);
+
+    // An exhausted primary limit waits for the reset
+    github = client();
+    const resetAt = Math.ceil(Date.now() / 1000) + 30;
+    responses = [
+      { status: 403, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(resetAt) } },
+      { data: {} }
+    ];
+    // The stubbed sleep stands in for the window passing
+    github._sleep = async ms => {
+      github.waits.push(ms);
+      github.resetAt = Date.now() - 1;
+    };
+    await github.get('/rate');
+    assert.ok(github.waits[0] > 25000 && github.waits[0] <= 32000);
+
+    // Below the quota floor nothing more is requested
+    github = client();
+    responses = [{ data: {}, headers: { 'x-ratelimit-remaining': '50' } }];
+    await github.get('/repos/octo/app');
+    const sent = requests.length;
+    await assert.rejects(github.get('/repos/octo/app'), error => error instanceof RateLimitError && error.remaining === 50);
+    assert.strictEqual(requests.length, sent);
+    // ...until the window has reset
+    github.resetAt = Date.now() - 1;
+    responses = [{ data: {} }];
+    await github.get('/repos/octo/app');
+    assert.strictEqual(requests.length, sent + 1);
+
+    // ETags are stored on disk and revalidated; a 304 returns the cached payload
+    responses = [{ data: [{ sha: 'c1' }], headers: { etag: 'W/"abc"' } }];
+    const fresh = await client().request('/repos/octo/app/commits', { per_page: 5 }, { conditional: true });
+    assert.strictEqual(fresh.notModified, false);
+    responses = [{ status: 304 }];
+    const revalidated = await client().request('/repos/octo/app/commits', { per_page: 5 }, { conditional: true });
+    assert.strictEqual(requests[requests.length - 1].headers['If-None-Match'], 'W/"abc"');
+    assert.deepStrictEqual(revalidated, { data: [{ sha: 'c1' }], headers: { 'x-ratelimit-remaining': '4000' }, notModified: true });
+    // Other query parameters are another cache entry
+    responses = [{ data: [] }];
+    await client().request('/repos/octo/app/commits', { per_page: 10 }, { conditional: true });
+    assert.strictEqual(requests[requests.length - 1].headers['If-None-Match'], undefined);
+
+    // Pagination walks until the high-water mark, or reports the cap
+    github = client();
+    responses = [{ data: [{ n: 5 }, { n: 4 }] }, { data: [{ n: 3 }, { n: 2 }] }];
+    const walked = await github.paginate('/list', { per_page: 2 }, { maxPages: 5, stopWhen: item => item.n === 3 });
+    assert.deepStrictEqual(walked, { items: [{ n: 5 }, { n: 4 }], truncated: false });
+    assert.deepStrictEqual(requests.slice(-2).map(r => r.params.page), [1, 2]);
+    responses = [{ data: [{ n: 5 }, { n: 4 }] }, { data: [{ n: 3 }, { n: 2 }] }];
+    const capped = await github.paginate('/list', { per_page: 2 }, { maxPages: 2, stopWhen: item => item.n === 0 });
+    assert.strictEqual(capped.truncated, true);
+    assert.strictEqual(capped.items.length, 4);
+
+    logger.info('GitHub client test passed');
+  } catch (err) {
+    logger.error('GitHub client test failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runGitHubClientTest();
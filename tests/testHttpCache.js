@@ -0,0 +1,106 @@
+// tests/testHttpCache.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Keep the real cache untouched; no request leaves the machine
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+process.env.HTTP_CACHE_DIR = tmpDir;
+process.env.HTTP_CACHE_TTLS = 'npm:2';
+process.env.HTTP_CACHE_NEGATIVE_TTL_HOURS = '1';
+
+const httpCache = require('../utils/httpCache');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Each request takes the next canned response: { status, data } or an Error
+let responses = [];
+let calls = 0;
+axios.get = async () => {
+  calls++;
+  const next = responses.shift();
+  if (next instanceof Error) throw next;
+  return { status: 200, headers: {}, ...next };
+};
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {} } });
+}
+
+// Move a cached entry's expiry into the past
+function expire(key) {
+  const entry = httpCache.read(key);
+  fs.writeFileSync(httpCache.fileFor(key), JSON.stringify({ ...entry, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+}
+
+async function runHttpCacheTest() {
+  try {
+    logger.info('Starting HTTP cache test');
+    const url = 'https://registry.npmjs.org/left-pad';
+
+    // Responses are stored for the provider's TTL; headers are not part of the key or entry
+    responses = [{ data: { name: 'left-pad', versions: { '1.0.0': {} } } }];
+    const fresh = await httpCache.get('npm', url, { headers: { Authorization: 'secret' } }, { select: data => ({ name: data.name }) });
+    assert.deepStrictEqual([fresh.data, fresh.cached], [{ name: 'left-pad' }, false]);
+    const hit = await httpCache.get('npm', url);
+    assert.deepStrictEqual([hit.data, hit.cached, calls], [{ name: 'left-pad' }, true, 1]);
+    const key = httpCache.key('npm', url);
+    const stored = httpCache.read(key);
+    const ttl = new Date(stored.expiresAt) - new Date(stored.storedAt);
+    assert.ok(Math.abs(ttl - 2 * HOUR_MS) < 1000);
+    assert.ok(!fs.readFileSync(httpCache.fileFor(key), 'utf8').includes('secret'));
+    assert.strictEqual(httpCache.ttlFor('wikipedia'), 168 * HOUR_MS);
+    assert.strictEqual(httpCache.ttlFor('unknown'), 24 * HOUR_MS);
+
+    // Query parameters are part of the key, in any order
+    assert.strictEqual(httpCache.key('wikipedia', 'u', { b: 2, a: 1 }), httpCache.key('wikipedia', 'u', { a: 1, b: 2 }));
+
+    // Expired entries are refetched, and served stale when the API fails
+    expire(key);
+    responses = [httpError(503)];
+    const stale = await httpCache.get('npm', url);
+    assert.deepStrictEqual([stale.data, stale.cached, calls], [{ name: 'left-pad' }, true, 2]);
+    responses = [{ data: { name: 'left-pad-2' } }];
+    assert.deepStrictEqual((await httpCache.get('npm', url)).data, { name: 'left-pad-2' });
+
+    // 404s are cached for the negative TTL and replayed as errors
+    const missing = 'https://registry.npmjs.org/no-such-package';
+    responses = [httpError(404)];
+    await assert.rejects(httpCache.get('npm', missing), error => error.response.status === 404);
+    await assert.rejects(httpCache.get('npm', missing), /404 \(cached\)/);
+    assert.strictEqual(calls, 4);
+    const negative = httpCache.read(httpCache.key('npm', missing));
+    assert.ok(Math.abs(new Date(negative.expiresAt) - new Date(negative.storedAt) - HOUR_MS) < 1000);
+
+    // Offline mode serves expired entries and never touches the network
+    expire(key);
+    httpCache.offline = true;
+    assert.deepStrictEqual((await httpCache.get('npm', url)).data, { name: 'left-pad-2' });
+    await assert.rejects(httpCache.get('pypi', 'https://pypi.org/pypi/requests/json'), error => error.name === 'CacheMissError' && error.provider === 'pypi');
+    assert.strictEqual(calls, 4);
+    httpCache.offline = false;
+
+    // Least recently used entries are evicted beyond the size cap
+    const used = httpCache.fileFor(key);
+    const unused = httpCache.fileFor(httpCache.key('npm', missing));
+    const hourAgo = new Date(Date.now() - HOUR_MS);
+    fs.utimesSync(used, hourAgo, hourAgo);
+    fs.utimesSync(unused, hourAgo, hourAgo);
+    httpCache.read(key);
+    httpCache.maxBytes = fs.statSync(used).size;
+    httpCache.prune();
+    assert.deepStrictEqual([fs.existsSync(used), fs.existsSync(unused)], [true, false]);
+
+    logger.info('HTTP cache test passed');
+  } catch (err) {
+    logger.error('HTTP cache test failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runHttpCacheTest();
@@ -0,0 +1,66 @@
+// tests/testKeyphraseExtractor.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json and the real corpus untouched
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyphrases-'));
+process.env.KEYPHRASE_CORPUS_FILE = path.join(tmpDir, 'corpus.json');
+process.env.README_CACHE_DIR = path.join(tmpDir, 'readmes');
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+
+const { KeyphraseExtractor, splitIdentifier } = require('../services/keyphraseExtractor');
+
+function runKeyphraseExtractorTest() {
+  try {
+    logger.info('Starting keyphrase extractor test');
+    const extractor = new KeyphraseExtractor();
+
+    // Identifiers split into words; known acronyms and names survive
+    assert.deepStrictEqual(splitIdentifier('retryLogic'), ['retry', 'Logic']);
+    assert.deepStrictEqual(splitIdentifier('HTTPClient'), ['HTTP', 'Client']);
+    assert.deepStrictEqual(splitIdentifier('parse_oauth_token'), ['parse', 'oauth', 'token']);
+    assert.deepStrictEqual(splitIdentifier('useOAuthFlow', extractor.acronyms), ['use', 'OAuth', 'Flow']);
+
+    // Stopwords, commit verbs, URLs and issue refs end phrases; acronyms keep their spelling
+    assert.deepStrictEqual(
+      extractor.candidates('feat(api): add retry logic to the HTTPClient, see #42 and https://x.io/a'),
+      [['API'], ['retry', 'logic'], ['HTTP', 'client'], ['see']]
+    );
+
+    // Best phrase first, scores relative to it
+    const keyphrases = extractor.extract('Add retry logic to the HTTP client for webhook delivery');
+    assert.strictEqual(keyphrases[0].score, 1);
+    assert.ok(keyphrases.some(k => k.phrase === 'retry logic'));
+    assert.ok(keyphrases.some(k => k.phrase === 'HTTP client'));
+    assert.ok(keyphrases.every((k, i) => i === 0 || k.score <= keyphrases[i - 1].score));
+    assert.deepStrictEqual(extractor.extract('fix it'), []);
+
+    // Words the project uses everywhere count for less
+    for (let i = 0; i < 10; i++) {
+      extractor.learn(`signal-${i}`, `webhook change number ${i}`);
+    }
+    extractor.learn('signal-0', 'webhook again');
+    const corpus = JSON.parse(fs.readFileSync(process.env.KEYPHRASE_CORPUS_FILE, 'utf8'));
+    assert.strictEqual(corpus.documents, 10);
+    assert.strictEqual(corpus.df.webhook, 10);
+    const [top] = extractor.extract('webhook delivery');
+    assert.strictEqual(top.phrase, 'delivery');
+
+    // The corpus lives in its own file, never in state.json
+    assert.strictEqual(stateStore.get('keyphraseCorpus'), null);
+
+    logger.info('Keyphrase extractor test passed');
+  } catch (err) {
+    logger.error('Keyphrase extractor test failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runKeyphraseExtractorTest();
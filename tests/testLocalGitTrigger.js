@@ -0,0 +1,117 @@
+// tests/testLocalGitTrigger.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json and the README cache untouched
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-git-'));
+process.env.README_CACHE_DIR = path.join(tmpDir, 'readmes');
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+
+const { LocalGitTrigger } = require('../triggers/localGitTrigger');
+
+// Create a checkout with one commit
+function createRepo(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  git(dir, 'init', '-q');
+  fs.writeFileSync(path.join(dir, 'README.md'), '# Demo\n\nA demo project for the local trigger tests.\n');
+  fs.writeFileSync(path.join(dir, 'app.js'), 'module.exports = 1;\n');
+  commitAll(dir, 'feat: initial version');
+}
+
+function git(dir, ...args) {
+  return execFileSync('git', ['-C', dir, '-c', 'user.name=Alice', '-c', 'user.email=alice@example.com', ...args], { encoding: 'utf8' });
+}
+
+function commitAll(dir, message) {
+  git(dir, 'add', '-A');
+  git(dir, 'commit', '-q', '-m', message);
+}
+
+async function runLocalGitTriggerTest() {
+  try {
+    logger.info('Starting local git trigger test');
+    const api = path.join(tmpDir, 'work', 'api');
+    const otherApi = path.join(tmpDir, 'fork', 'api');
+    const web = path.join(tmpDir, 'web');
+    [api, otherApi, web].forEach(createRepo);
+
+    // Checkouts are named by directory or alias; duplicates are renamed, repeats dropped
+    process.env.LOCAL_GIT_REPOS = `${api},${otherApi},site=${web},${api}/`;
+    const trigger = new LocalGitTrigger();
+    assert.deepStrictEqual(trigger.repos, ['api', 'api-2', 'site']);
+    assert.strictEqual(trigger.dirFor('site'), web);
+
+    // The first run takes the latest commits; ids, repos and prompts never see the path
+    const signals = await trigger.detectRepoSignals('api');
+    const commit = signals.find(s => s.type === 'commit');
+    assert.strictEqual(commit.repo, 'api');
+    assert.ok(commit.id.startsWith('local:api:commit:'));
+    assert.ok(!JSON.stringify(signals).includes(tmpDir));
+    assert.deepStrictEqual(commit.data.files.map(f => [f.filename, f.status, f.additions]), [
+      ['README.md', 'added', 3],
+      ['app.js', 'added', 1]
+    ]);
+
+    // Cursors are keyed by path, so same-named checkouts stay apart
+    trigger.markProcessed(commit);
+    assert.ok(stateStore.get('cursors')[`local:${api}`].commit);
+    assert.strictEqual(stateStore.get('cursors')[`local:${otherApi}`], undefined);
+    assert.ok(!JSON.stringify(stateStore.state.processed).includes(tmpDir));
+
+    // parseLog: renames become a removal plus an addition, binary files have no line counts
+    fs.renameSync(path.join(api, 'app.js'), path.join(api, 'server.js'));
+    fs.writeFileSync(path.join(api, 'logo.png'), Buffer.from([0, 1, 2, 3, 0, 255]));
+    commitAll(api, 'refactor: rename app\n\nLonger body');
+    const [latest] = await trigger.listCommits('api', trigger.getCursor('api', 'commit'));
+    assert.strictEqual(latest.message, 'refactor: rename app\n\nLonger body');
+    assert.strictEqual(latest.parent_count, 1);
+    assert.deepStrictEqual(latest.files.map(f => [f.filename, f.status, f.additions]), [
+      ['app.js', 'removed', 0],
+      ['logo.png', 'added', null],
+      ['server.js', 'added', 1]
+    ]);
+
+    // A backlog longer than one run is read oldest first and never skipped
+    for (const signal of await trigger.detectRepoSignals('api-2')) trigger.markProcessed(signal);
+    for (const n of [1, 2, 3]) {
+      fs.writeFileSync(path.join(otherApi, 'app.js'), `module.exports = ${n + 1};\n`);
+      commitAll(otherApi, `fix: change ${n}`);
+    }
+    trigger.maxCommits = 2;
+    const backlog = (await trigger.detectRepoSignals('api-2')).filter(s => s.type === 'commit');
+    assert.deepStrictEqual(backlog.map(s => s.data.message), ['fix: change 2', 'fix: change 1']);
+    backlog.forEach(signal => trigger.markProcessed(signal));
+    const rest = (await trigger.detectRepoSignals('api-2')).filter(s => s.type === 'commit');
+    assert.deepStrictEqual(rest.map(s => s.data.message), ['fix: change 3']);
+
+    // Tags: the first run takes the latest few; later ones stay pending until consumed, and
+    // names that are not versions are remembered without a signal
+    git(web, 'tag', 'v1.0.0');
+    const first = await trigger.detectRepoSignals('site');
+    assert.deepStrictEqual(first.filter(s => s.type === 'release').map(s => s.data.tag_name), ['v1.0.0']);
+    git(web, 'tag', '-a', 'v1.1.0', '--cleanup=verbatim', '-m', '## Features\n- Dark mode');
+    git(web, 'tag', 'nightly');
+    const release = (await trigger.detectRepoSignals('site')).find(s => s.type === 'release' && s.data.tag_name === 'v1.1.0');
+    assert.deepStrictEqual(release.data.notes.features, ['Dark mode']);
+    assert.ok(!trigger.getCursor('site', 'tag').names.includes('v1.1.0'));
+    assert.ok(trigger.getCursor('site', 'tag').names.includes('nightly'));
+    trigger.markProcessed(release);
+    assert.ok(trigger.getCursor('site', 'tag').names.includes('v1.1.0'));
+    assert.ok(!(await trigger.detectRepoSignals('site')).some(s => s.type === 'release' && s.data.tag_name === 'v1.1.0'));
+
+    logger.info('Local git trigger test passed');
+  } catch (err) {
+    logger.error('Local git trigger test failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runLocalGitTriggerTest();
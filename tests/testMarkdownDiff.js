@@ -0,0 +1,96 @@
+// tests/testMarkdownDiff.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const { parseSections, diffMarkdown } = require('../utils/markdownDiff');
+const { SignalClassifier } = require('../triggers/signalClassifier');
+const { FeedbackModel } = require('../triggers/feedbackModel');
+
+const BEFORE = `# App
+[![CI](https://github.com/octo/app/actions/workflows/ci.yml/badge.svg)](https://github.com/octo/app/actions)
+
+A tool for things.
+
+## Install
+npm install app
+
+## Usage
+\`\`\`bash
+# not a heading
+app run
+\`\`\`
+
+## Legacy API
+Old stuff.
+`;
+
+const AFTER = `# App
+[![CI](https://github.com/octo/app/actions/workflows/ci.yml/badge.svg)](https://github.com/octo/app/actions)
+![Coverage](https://img.shields.io/codecov/c/github/octo/app)
+
+A   tool for things.
+
+## Install
+npm install app
+Requires Node 20.
+
+## usage
+\`\`\`bash
+# not a heading
+app run --fast
+\`\`\`
+
+## Plugins
+Extend the app with plugins.
+\`\`\`js
+app.use(plugin);
+\`\`\`
+`;
+
+function readme(diff) {
+  return { id: 'r', type: 'readme_update', repo: 'octo/app', confidence: 0.6, data: { diff } };
+}
+
+function runMarkdownDiffTest() {
+  try {
+    logger.info('Starting markdown diff test');
+
+    // Headings inside code blocks are code; code is diffed but kept out of excerpts
+    const sections = parseSections(AFTER);
+    assert.deepStrictEqual(sections.map(s => s.heading), [null, 'App', 'Install', 'usage', 'Plugins']);
+    assert.deepStrictEqual(sections[3].prose, []);
+
+    const diff = diffMarkdown(BEFORE, AFTER);
+    assert.strictEqual(diff.has_changes, true);
+    assert.deepStrictEqual(diff.added_sections, [
+      { heading: 'Plugins', level: 2, excerpt: ['Extend the app with plugins.'] }
+    ]);
+    assert.deepStrictEqual(diff.removed_sections, ['Legacy API']);
+    // Headings match case-insensitively and whitespace changes are not changes
+    assert.deepStrictEqual(diff.changed_sections, [
+      { heading: 'Install', added_lines: ['Requires Node 20.'], removed_lines: [] },
+      { heading: 'usage', added_lines: ['app run --fast'], removed_lines: ['app run'] }
+    ]);
+    assert.deepStrictEqual(diff.removed_text, ['app run', 'Old stuff.']);
+    // Badges are reported on their own
+    assert.deepStrictEqual(diff.added_badges, ['Coverage']);
+    assert.deepStrictEqual(diff.removed_badges, []);
+
+    // A badge-only edit is a change, but no section changed
+    const badgeOnly = diffMarkdown(BEFORE, BEFORE.replace('ci.yml', 'test.yml'));
+    assert.deepStrictEqual([badgeOnly.changed_sections, badgeOnly.added_badges, badgeOnly.removed_badges], [[], ['CI'], ['CI']]);
+    assert.strictEqual(diffMarkdown(BEFORE, BEFORE.replace('things.', 'things. ')).has_changes, false);
+
+    // New sections make a README update more post-worthy than a badge tweak
+    const classifier = new SignalClassifier(undefined, new FeedbackModel('/nonexistent/feedback.json'));
+    const announced = classifier.classifyReadme(readme(diff));
+    const tweaked = classifier.classifyReadme(readme(badgeOnly));
+    assert.ok(announced.confidence > tweaked.confidence);
+
+    logger.info('Markdown diff test passed');
+  } catch (err) {
+    logger.error('Markdown diff test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runMarkdownDiffTest();
@@ -0,0 +1,102 @@
+// tests/testMilestoneDetector.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+process.env.MILESTONE_STAR_THRESHOLDS = '50,100,250';
+process.env.MILESTONE_CONTRIBUTOR_THRESHOLDS = '10';
+process.env.MILESTONE_DOWNLOAD_THRESHOLDS = '1000';
+process.env.MILESTONE_INTERNAL_AUTHORS = 'Alice';
+
+const { MilestoneDetector } = require('../triggers/milestoneDetector');
+
+const REPO = 'octo/app';
+
+// GitHub as the detector sees it; counts and logins are changed between runs
+const github = { stars: 40, forks: 2, logins: ['octo', 'alice', 'dependabot[bot]'], downloads: 300 };
+const calls = { logins: 0, downloads: 0 };
+const client = {
+  get: async () => ({
+    owner: { login: 'octo' },
+    description: 'An app',
+    html_url: 'https://github.com/octo/app',
+    stargazers_count: github.stars,
+    forks_count: github.forks
+  }),
+  // One-item contributor page: the count comes from the Link header
+  request: async () => ({
+    data: [{ login: 'octo' }],
+    headers: { link: `<https://api.github.com/repositories/1/contributors?per_page=1&page=${github.logins.length}>; rel="last"` }
+  }),
+  paginate: async apiPath => {
+    if (apiPath.endsWith('/contributors')) {
+      calls.logins++;
+      return { items: github.logins.map(login => ({ login })), truncated: false };
+    }
+    calls.downloads++;
+    return { items: [{ assets: [{ download_count: github.downloads }, { download_count: 0 }] }], truncated: false };
+  }
+};
+
+async function runMilestoneDetectorTest() {
+  try {
+    logger.info('Starting milestone detector test');
+    const detector = new MilestoneDetector(client);
+
+    // The first run only seeds history, even for thresholds already passed
+    github.stars = 60;
+    assert.deepStrictEqual(await detector.detectSignals(REPO), []);
+    const seeded = stateStore.get('repoStats')[REPO];
+    assert.deepStrictEqual(seeded.crossed.stars, [50]);
+    assert.strictEqual(seeded.history[0].contributors, 3);
+    assert.deepStrictEqual(seeded.external_contributors, []);
+
+    // Only the largest threshold crossed since the last run is announced
+    github.stars = 260;
+    const [stars] = await detector.detectSignals(REPO);
+    assert.strictEqual(stars.id, 'octo/app:milestone:stars:250');
+    assert.deepStrictEqual([stars.data.value, stars.data.previous_value], [260, 60]);
+    assert.deepStrictEqual(stateStore.get('repoStats')[REPO].crossed.stars, [50, 100]);
+
+    // A deferred milestone is announced again, and a consumed one never
+    assert.deepStrictEqual((await detector.detectSignals(REPO)).map(s => s.id), ['octo/app:milestone:stars:250']);
+    detector.markProcessed(stars);
+    assert.deepStrictEqual(await detector.detectSignals(REPO), []);
+
+    // Logins are listed only while the contributor count moves
+    const listed = calls.logins;
+    await detector.detectSignals(REPO);
+    assert.strictEqual(calls.logins, listed);
+
+    // The first contributor outside the team is a milestone; bots and the owner are not
+    github.logins = ['octo', 'alice', 'dependabot[bot]', 'carol'];
+    const [external] = await detector.detectSignals(REPO);
+    assert.strictEqual(external.id, 'octo/app:milestone:first_external_contributor:1');
+    assert.strictEqual(external.data.contributor, 'carol');
+    detector.markProcessed(external);
+    assert.deepStrictEqual(stateStore.get('repoStats')[REPO].external_contributors, ['carol']);
+    github.logins.push('dave');
+    assert.deepStrictEqual(await detector.detectSignals(REPO), []);
+
+    // Downloads are summed at most once per refresh window while a threshold is ahead
+    const summed = calls.downloads;
+    github.downloads = 5000;
+    assert.deepStrictEqual(await detector.detectSignals(REPO), []);
+    assert.strictEqual(calls.downloads, summed);
+    const record = stateStore.get('repoStats')[REPO];
+    record.downloads_checked_at = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    const [downloads] = await detector.detectSignals(REPO);
+    assert.strictEqual(downloads.id, 'octo/app:milestone:downloads:1000');
+    assert.strictEqual(calls.downloads, summed + 1);
+
+    logger.info('Milestone detector test passed');
+  } catch (err) {
+    logger.error('Milestone detector test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runMilestoneDetectorTest();
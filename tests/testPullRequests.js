@@ -0,0 +1,131 @@
+// tests/testPullRequests.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+process.env.GITHUB_TOKEN = 'test-token';
+
+const { GitHubTrigger } = require('../triggers/githubTrigger');
+const { SignalClassifier } = require('../triggers/signalClassifier');
+const { FeedbackModel } = require('../triggers/feedbackModel');
+const { DataFetcher } = require('../services/dataFetcher');
+
+const REPO = 'octo/app';
+
+function pull(number, mergedAt, updatedAt, details = {}) {
+  return {
+    number,
+    title: `Change ${number}`,
+    body: '',
+    user: { login: 'alice', type: 'User' },
+    merged_at: mergedAt,
+    updated_at: updatedAt,
+    html_url: `https://github.com/octo/app/pull/${number}`,
+    labels: [],
+    additions: 20,
+    deletions: 5,
+    changed_files: 2,
+    ...details
+  };
+}
+
+// The closed pull requests list, most recently updated first
+let closed = [
+  pull(1, '2024-03-03T10:00:00Z', '2024-03-04T10:00:00Z', {
+    title: 'Add retry with backoff',
+    body: 'Fixes #7\n\nAlso closes #8 and fixes #7 again.',
+    labels: [{ name: 'enhancement' }],
+    additions: 250,
+    deletions: 10
+  }),
+  pull(3, null, '2024-03-03T12:00:00Z'),
+  pull(2, '2024-03-02T10:00:00Z', '2024-03-02T10:00:00Z', { title: 'chore: bump deps', additions: 2, deletions: 1 })
+];
+const paged = [];
+const client = {
+  paginate: async (apiPath, params, options) => {
+    paged.push({ params, options });
+    return { items: closed, truncated: false };
+  },
+  get: async apiPath => {
+    const [, number, reviews] = apiPath.match(/\/pulls\/(\d+)(\/reviews)?$/);
+    if (reviews) {
+      return number === '1'
+        ? [{ user: { login: 'bob' } }, { user: { login: 'bob' } }, { user: { login: 'carol' } }, { user: null }]
+        : [];
+    }
+    return closed.find(pr => pr.number === parseInt(number, 10));
+  }
+};
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+async function runPullRequestsTest() {
+  try {
+    logger.info('Starting pull requests test');
+    const trigger = new GitHubTrigger();
+    trigger.client = client;
+
+    // Merged pull requests only, newest merge first, with details, reviewers and linked issues
+    const signals = await trigger.detectRepoSignals(REPO, ['pull_request']);
+    assert.deepStrictEqual(signals.map(s => s.id), ['octo/app:pr:1', 'octo/app:pr:2']);
+    assert.deepStrictEqual(paged[0].params, { state: 'closed', per_page: trigger.bootstrapLimit, sort: 'updated', direction: 'desc' });
+    const [feature, chore] = signals;
+    assert.deepStrictEqual(feature.data, {
+      number: 1,
+      title: 'Add retry with backoff',
+      body: 'Fixes #7\n\nAlso closes #8 and fixes #7 again.',
+      author: 'alice',
+      author_type: 'User',
+      merged_at: '2024-03-03T10:00:00Z',
+      url: 'https://github.com/octo/app/pull/1',
+      labels: ['enhancement'],
+      additions: 250,
+      deletions: 10,
+      changed_files: 2,
+      linked_issues: [7, 8],
+      reviewers: ['bob', 'carol']
+    });
+
+    // Consumed pull requests move the cursor; later runs stop paging at it and skip what it passed
+    trigger.markProcessed(chore);
+    trigger.markProcessed(feature);
+    const cursor = trigger.getCursor(REPO, 'pull_request');
+    assert.deepStrictEqual([cursor.number, cursor.merged_at], [1, '2024-03-03T10:00:00Z']);
+    closed = [pull(4, '2024-03-05T10:00:00Z', '2024-03-05T10:00:00Z'), ...closed];
+    const later = await trigger.detectRepoSignals(REPO, ['pull_request']);
+    assert.deepStrictEqual(later.map(s => s.id), ['octo/app:pr:4']);
+    const { params, options } = paged[paged.length - 1];
+    assert.strictEqual(params.per_page, trigger.pageSize);
+    assert.deepStrictEqual([options.stopWhen(closed[1]), options.stopWhen(closed[3])], [false, true]);
+
+    // Webhooks build the same signal from a merged pull request; unmerged closes and consumed ones are ignored
+    const repository = { full_name: REPO };
+    const [hooked] = await trigger.signalsFromWebhook('pull_request', { action: 'closed', repository, pull_request: { ...closed[0], merged: true } });
+    assert.deepStrictEqual([hooked.id, hooked.data], [later[0].id, later[0].data]);
+    assert.deepStrictEqual(await trigger.signalsFromWebhook('pull_request', { action: 'closed', repository, pull_request: { ...closed[2], merged: false } }), []);
+    assert.deepStrictEqual(await trigger.signalsFromWebhook('pull_request', { action: 'closed', repository, pull_request: { ...closed[1], merged: true } }), []);
+
+    // Labels or title set the category; size, closed issues and reviews adjust confidence
+    const classifier = new SignalClassifier(undefined, new FeedbackModel('/nonexistent/feedback.json'));
+    const big = classifier.classifyPullRequest(feature);
+    assert.deepStrictEqual([big.category, big.classification.lines_changed], ['code', 260]);
+    near(big.confidence, 1.0);
+    const small = classifier.classifyPullRequest(chore);
+    assert.strictEqual(small.category, 'config');
+    near(small.confidence, 0.6);
+
+    // Keywords come from the title and labels
+    assert.strictEqual(new DataFetcher([]).keywordText(feature), 'Add retry with backoff enhancement');
+
+    logger.info('Pull requests test passed');
+  } catch (err) {
+    logger.error('Pull requests test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runPullRequestsTest();
@@ -0,0 +1,62 @@
+// tests/testReleaseNotes.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const { parseReleaseNotes, parseVersion, compareVersions } = require('../utils/releaseNotes');
+
+function runReleaseNotesTest() {
+  try {
+    logger.info('Starting release notes test');
+
+    // Tags with and without prefixes
+    assert.deepStrictEqual(parseVersion('v2.0.0'), { major: 2, minor: 0, patch: 0, prerelease: null, bump: 'major' });
+    assert.strictEqual(parseVersion('release-1.4.0-beta.1').prerelease, 'beta.1');
+    assert.strictEqual(parseVersion('pkg@1.4.0').bump, 'minor');
+    assert.strictEqual(parseVersion('1.4.2').bump, 'patch');
+    assert.strictEqual(parseVersion('nightly'), null);
+
+    // Semver precedence, pre-releases before their release
+    const order = ['1.10.0', '1.2.0', '1.10.0-rc.2', '1.10.0-rc.10']
+      .map(parseVersion)
+      .sort(compareVersions)
+      .map(v => `${v.major}.${v.minor}.${v.patch}${v.prerelease ? `-${v.prerelease}` : ''}`);
+    assert.deepStrictEqual(order, ['1.2.0', '1.10.0-rc.2', '1.10.0-rc.10', '1.10.0']);
+
+    // Headings pick the bucket; "Additional notes" and "Patching guide" are not features or fixes
+    const notes = parseReleaseNotes([
+      '## ✨ Features',
+      '- OAuth login',
+      '## Bug Fixes',
+      '* Retry on timeouts',
+      '## Additional notes',
+      '- Thanks to everyone',
+      '## Patching guide',
+      '1. Update the lockfile',
+      '**Breaking changes**',
+      '- Node 16 is no longer supported'
+    ].join('\n'));
+    assert.deepStrictEqual(notes.features, ['OAuth login']);
+    assert.deepStrictEqual(notes.fixes, ['Retry on timeouts']);
+    assert.deepStrictEqual(notes.breaking, ['Node 16 is no longer supported']);
+    assert.deepStrictEqual(notes.other, ['Thanks to everyone', 'Update the lockfile']);
+
+    // Generated notes: item prefixes win, and "by @user in <url>" is dropped
+    const generated = parseReleaseNotes([
+      "## What's Changed",
+      '* feat: add webhooks by @alice in https://github.com/o/r/pull/1',
+      '* fix(api)!: drop v1 endpoints by @bob in https://github.com/o/r/pull/2',
+      '* docs: typo by @dependabot[bot] in https://github.com/o/r/pull/3'
+    ].join('\n'));
+    assert.deepStrictEqual(generated.features, ['feat: add webhooks']);
+    assert.deepStrictEqual(generated.breaking, ['fix(api)!: drop v1 endpoints']);
+    assert.deepStrictEqual(generated.other, ['docs: typo']);
+
+    assert.deepStrictEqual(parseReleaseNotes(null), { features: [], fixes: [], breaking: [], other: [] });
+
+    logger.info('Release notes test passed');
+  } catch (err) {
+    logger.error('Release notes test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runReleaseNotesTest();
@@ -0,0 +1,80 @@
+// tests/testRepoWatchList.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-list-'));
+const watchFile = path.join(tmpDir, 'watch.json');
+fs.writeFileSync(watchFile, JSON.stringify([
+  { target: 'acme/*', exclude: ['*-archive', 'acme/legacy-?'], signals: ['release'] },
+  { target: 'acme/api-*', include: ['*-service'] }
+]));
+process.env.GITHUB_REPOS = 'octo/app, octo/app';
+process.env.GITHUB_WATCH_FILE = watchFile;
+
+const { RepoWatchList } = require('../triggers/repoWatchList');
+
+const ACME = ['api-service', 'api-docs', 'web', 'web-archive', 'legacy-1', 'legacy-12', 'secret', 'old']
+  .map(name => ({ full_name: `acme/${name}`, private: name === 'secret', archived: name === 'old' }));
+
+async function runRepoWatchListTest() {
+  try {
+    logger.info('Starting repo watch list test');
+    const calls = [];
+    const trigger = {
+      repo: null,
+      client: {
+        get: async (apiPath, params) => {
+          calls.push(apiPath);
+          if (apiPath === '/users/acme') return { type: 'Organization' };
+          assert.strictEqual(apiPath, '/orgs/acme/repos');
+          return params.page === 1 ? ACME : [];
+        }
+      }
+    };
+    const watchList = new RepoWatchList(trigger);
+
+    // Globs without a slash match the repository name, "?" stands for one character
+    assert.ok(watchList.matchesGlob('acme/api-service', 'api-*'));
+    assert.ok(watchList.matchesGlob('acme/api-service', 'ACME/api-*'));
+    assert.ok(!watchList.matchesGlob('acme/api-service', 'other/api-*'));
+    assert.ok(watchList.matchesGlob('acme/legacy-1', 'legacy-?'));
+    assert.ok(!watchList.matchesGlob('acme/legacy-12', 'legacy-?'));
+
+    // Explicit repos, organizations and name globs; private, archived and excluded repos are left out
+    const resolved = await watchList.resolve();
+    assert.deepStrictEqual(resolved, [
+      { repo: 'octo/app', signals: null },
+      { repo: 'acme/api-service', signals: ['release'] },
+      { repo: 'acme/api-docs', signals: ['release'] },
+      { repo: 'acme/web', signals: ['release'] },
+      { repo: 'acme/legacy-12', signals: ['release'] }
+    ]);
+    assert.ok(!calls.includes('/users/octo'));
+
+    // A target's include globs narrow it down
+    const entry = { target: 'acme/api-*', include: ['*-service'], exclude: [] };
+    const names = (await watchList.expandTarget(entry.target)).filter(name => watchList.isIncluded(name, entry));
+    assert.deepStrictEqual(names, ['acme/api-service']);
+
+    // Without any configuration the single GITHUB_REPO is watched
+    delete process.env.GITHUB_REPOS;
+    const single = new RepoWatchList({ repo: 'app', qualifyRepo: repo => `octo/${repo}` });
+    single.watchFile = null;
+    assert.deepStrictEqual(await single.resolve(), [{ repo: 'octo/app', signals: null }]);
+
+    fs.writeFileSync(watchFile, JSON.stringify({ repos: [{ include: ['x'] }] }));
+    assert.throws(() => watchList.loadEntries(), /missing a "target"/);
+
+    logger.info('Repo watch list test passed');
+  } catch (err) {
+    logger.error('Repo watch list test failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runRepoWatchListTest();
@@ -0,0 +1,170 @@
+// tests/testRepositoryProfiler.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+process.env.PROFILE_TTL_HOURS = '24';
+
+const { RepositoryProfiler, parseManifest, readmeIntro } = require('../services/repositoryProfiler');
+const { PromptBuilder } = require('../services/promptBuilder');
+
+const PYPROJECT = `
+[build-system]
+requires = ["hatchling"]
+
+[project]
+name = "octo-app"
+description = 'Resilient HTTP toolkit'
+keywords = ["http", "retry"]
+dependencies = [
+  "requests>=2.31; python_version > '3.8'",
+  # pinned for the retry hooks
+  "urllib3==2.2.1",
+]
+
+[project.urls]
+Homepage = "https://octo.example.com"
+`;
+
+const POETRY = `
+[tool.poetry]
+name = "octo-cli"
+description = "Command line for octo"
+
+[tool.poetry.dependencies]
+python = "^3.10"
+click = "^8.1"
+"rich-click" = { version = "^1.7", optional = true }
+`;
+
+const CARGO = `
+[package]
+name = "octo"
+description = "Fast octo client"
+keywords = ["http"]
+
+[dependencies]
+tokio = { version = "1", features = ["full"] }
+serde = "1.0"
+
+[dev-dependencies]
+mockito = "1"
+`;
+
+const README = `<!-- generated -->
+# octo/app
+
+[![CI](https://img.shields.io/ci.svg)](https://ci.example.com) ![logo](logo.png)
+
+> **octo** is a [resilient](docs/retry.md) HTTP toolkit for \`Node.js\` services.
+
+## Install
+`;
+
+const encode = text => ({ content: Buffer.from(text).toString('base64') });
+
+// GitHub as the profiler sees it; the repository can go offline
+const github = { calls: 0, offline: false, description: 'Resilient HTTP toolkit' };
+const client = {
+  token: 'test-token',
+  get: async apiPath => {
+    github.calls++;
+    if (github.offline) throw new Error('502 Bad Gateway');
+    const files = {
+      '/repos/octo/app/languages': { JavaScript: 9000, Shell: 960, Dockerfile: 40 },
+      '/repos/octo/app/contents/package.json': encode(JSON.stringify({ name: '@octo/app', description: 'HTTP toolkit', dependencies: { axios: '^1.7.0' } })),
+      '/repos/octo/app/contents/Cargo.toml': encode('[workspace]\nmembers = ["cli"]\n'),
+      '/repos/octo/app/readme': encode(README)
+    };
+    if (apiPath === '/repos/octo/app') {
+      return { full_name: 'octo/app', description: github.description, html_url: 'https://github.com/octo/app', topics: ['http'], license: { spdx_id: 'MIT' }, stargazers_count: 120 };
+    }
+    if (apiPath in files) return files[apiPath];
+    throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+  }
+};
+
+const signal = { id: 'octo/app:commit:1', type: 'commit', repo: 'octo/app', data: {} };
+
+async function runRepositoryProfilerTest() {
+  try {
+    logger.info('Starting repository profiler test');
+
+    // Manifests: package.json, PEP 621 and Poetry pyproject.toml, Cargo.toml
+    assert.deepStrictEqual(parseManifest('pyproject.toml', PYPROJECT), {
+      ecosystem: 'python',
+      name: 'octo-app',
+      description: 'Resilient HTTP toolkit',
+      keywords: ['http', 'retry'],
+      dependencies: ['requests', 'urllib3']
+    });
+    const poetry = parseManifest('pyproject.toml', POETRY);
+    assert.deepStrictEqual([poetry.name, poetry.dependencies], ['octo-cli', ['click', 'rich-click']]);
+    const cargo = parseManifest('Cargo.toml', CARGO);
+    assert.deepStrictEqual([cargo.ecosystem, cargo.keywords, cargo.dependencies], ['cargo', ['http'], ['tokio', 'serde']]);
+    // Workspaces, tool-only pyproject files and broken JSON have nothing to say
+    assert.strictEqual(parseManifest('Cargo.toml', '[workspace]\nmembers = ["cli"]\n'), null);
+    assert.strictEqual(parseManifest('pyproject.toml', '[tool.black]\nline-length = 100\n'), null);
+    assert.strictEqual(parseManifest('package.json', '{ "name": '), null);
+
+    // The README intro skips comments, headings and badges, and keeps link text
+    assert.strictEqual(readmeIntro(README), 'octo is a resilient HTTP toolkit for Node.js services.');
+    assert.strictEqual(readmeIntro('# Title\n\n[![x](b.svg)](c)\n'), null);
+
+    // Profiles are built from the API: top languages, license, manifests, README
+    const profiler = new RepositoryProfiler();
+    profiler._client = client;
+    const profile = await profiler.profile(signal);
+    assert.deepStrictEqual(profile, {
+      repo: 'octo/app',
+      description: 'Resilient HTTP toolkit',
+      homepage: null,
+      url: 'https://github.com/octo/app',
+      topics: ['http'],
+      languages: [{ name: 'JavaScript', share: 90 }, { name: 'Shell', share: 10 }],
+      license: 'MIT',
+      stars: 120,
+      manifests: [{ ecosystem: 'npm', name: '@octo/app', description: 'HTTP toolkit', keywords: [], dependencies: ['axios'] }],
+      readme_intro: 'octo is a resilient HTTP toolkit for Node.js services.'
+    });
+
+    // Cached for PROFILE_TTL_HOURS; a failed refresh serves the stale profile
+    const calls = github.calls;
+    github.description = 'Changed';
+    assert.strictEqual((await profiler.profile(signal)).description, 'Resilient HTTP toolkit');
+    assert.strictEqual(github.calls, calls);
+    stateStore.get('repoProfiles')['octo/app'].fetchedAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    github.offline = true;
+    assert.strictEqual((await profiler.profile(signal)).description, 'Resilient HTTP toolkit');
+    github.offline = false;
+    assert.strictEqual((await profiler.profile(signal)).description, 'Changed');
+
+    // Other sources, malformed repos and PROFILE_ENABLED=false have no profile
+    assert.strictEqual(await profiler.profile({ ...signal, source: 'gitlab' }), null);
+    assert.strictEqual(await profiler.profile({ ...signal, repo: '/home/me/app' }), null);
+    profiler.enabled = false;
+    assert.strictEqual(await profiler.profile(signal), null);
+
+    // The prompt gets a stable "about this project" section
+    assert.strictEqual(new PromptBuilder().formatProjectProfile(profile), [
+      'About this project: octo/app - Resilient HTTP toolkit',
+      'README: octo is a resilient HTTP toolkit for Node.js services.',
+      'Languages: JavaScript (90%), Shell (10%)',
+      'Topics: http',
+      'Package (npm): @octo/app - HTTP toolkit; built on axios',
+      'License: MIT, Stars: 120',
+      '',
+      ''
+    ].join('\n'));
+
+    logger.info('Repository profiler test passed');
+  } catch (err) {
+    logger.error('Repository profiler test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runRepositoryProfilerTest();
@@ -0,0 +1,97 @@
+// tests/testSignalCursor.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+process.env.GITHUB_TOKEN = 'test-token';
+
+const { isConsumed, planCursor, cursorReady } = require('../triggers/signalCursor');
+const { GitHubTrigger } = require('../triggers/githubTrigger');
+
+const REPO = 'octo/app';
+
+function entry(n, signal = true) {
+  return { mark: { sha: `c${n}` }, signal: signal ? { id: `s${n}` } : null };
+}
+
+function listed(n) {
+  return { sha: `c${n}`, commit: { committer: { date: `2024-03-0${n}T10:00:00Z` } } };
+}
+
+async function runSignalCursorTest() {
+  try {
+    logger.info('Starting signal cursor test');
+
+    // Newest first: c5 (signal), c4 (none), c3 (signal), c2 (consumed), c1 (none)
+    stateStore.markProcessed('s2', {});
+    const entries = [entry(5), entry(4, false), entry(3), entry(2), entry(1, false)];
+    const safe = planCursor(entries, 'commit');
+    // Everything up to the oldest unconsumed signal can be stored right away
+    assert.deepStrictEqual(safe, { sha: 'c2' });
+    // Each pending signal carries the mark to store once consumed, reaching up to the next one
+    assert.deepStrictEqual(entries[2].signal.cursor, { type: 'commit', mark: { sha: 'c4' }, after: [] });
+    assert.deepStrictEqual(entries[0].signal.cursor, { type: 'commit', mark: { sha: 'c5' }, after: ['s3'] });
+
+    // A newer signal's mark waits for the older ones
+    stateStore.markProcessed('s5', {});
+    assert.strictEqual(cursorReady(entries[0].signal), false);
+    stateStore.markProcessed('s3', {});
+    assert.strictEqual(cursorReady(entries[0].signal), true);
+    assert.strictEqual(cursorReady({ id: 'x' }), false);
+
+    // Signals waiting in a digest buffer, or merged into a buffered one, count as consumed
+    stateStore.set('digestBuffer', { 'github:octo/app': { items: [{ id: 'd1', related: ['d2'] }] } });
+    assert.ok(isConsumed('d1') && isConsumed('d2') && !isConsumed('d3'));
+
+    // End to end: a deferred commit holds the cursor back and is detected again
+    const trigger = new GitHubTrigger();
+    let commits = [listed(3), listed(2), listed(1)];
+    const paged = [];
+    trigger.client = {
+      paginate: async (apiPath, params, options) => {
+        paged.push({ params, options });
+        return { items: commits, truncated: false };
+      },
+      get: async apiPath => {
+        const sha = apiPath.split('/').pop();
+        return { sha, commit: { message: `feat: ${sha}`, author: { name: 'Alice', date: '2024-03-01T10:00:00Z' } }, files: [] };
+      }
+    };
+
+    // The first run takes one small page, without a high-water mark
+    const first = await trigger.detectRepoSignals(REPO, ['commit']);
+    assert.deepStrictEqual(first.map(s => s.data.sha), ['c3', 'c2', 'c1']);
+    assert.deepStrictEqual([paged[0].params, paged[0].options.maxPages], [{ per_page: trigger.bootstrapLimit }, 1]);
+    assert.strictEqual(trigger.getCursor(REPO, 'commit'), null);
+
+    // c1 is deferred by the policy: consuming c2 and c3 does not move the cursor
+    trigger.markProcessed(first[0]);
+    trigger.markProcessed(first[1]);
+    assert.strictEqual(trigger.getCursor(REPO, 'commit'), null);
+
+    // The next run detects c1 again and skips the consumed commits
+    commits = [listed(3), listed(2), listed(1)];
+    const second = await trigger.detectRepoSignals(REPO, ['commit']);
+    assert.deepStrictEqual(second.map(s => s.data.sha), ['c1']);
+    trigger.markProcessed(second[0]);
+    assert.strictEqual(trigger.getCursor(REPO, 'commit').sha, 'c3');
+
+    // Once a mark is stored, runs page from it
+    commits = [listed(4)];
+    await trigger.detectRepoSignals(REPO, ['commit']);
+    const { params, options } = paged[paged.length - 1];
+    assert.deepStrictEqual(params, { per_page: trigger.pageSize, since: '2024-03-03T10:00:00Z' });
+    assert.strictEqual(options.maxPages, trigger.maxPages);
+    assert.strictEqual(options.stopWhen({ sha: 'c3' }), true);
+
+    logger.info('Signal cursor test passed');
+  } catch (err) {
+    logger.error('Signal cursor test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runSignalCursorTest();
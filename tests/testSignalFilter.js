@@ -0,0 +1,75 @@
+// tests/testSignalFilter.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+process.env.FILTER_AUTHORS_DENY = 'Mallory';
+process.env.FILTER_IGNORE_PATHS = '*.lock,package-lock.json';
+
+const { SignalFilter } = require('../triggers/signalFilter');
+
+function commit(id, data) {
+  return { id, type: 'commit', repo: 'octo/app', data: { author: 'alice', message: 'feat: search', parent_count: 1, ...data } };
+}
+
+function files(...names) {
+  return names.map(filename => ({ filename }));
+}
+
+function runSignalFilterTest() {
+  try {
+    logger.info('Starting signal filter test');
+    const filter = new SignalFilter();
+
+    // Authors: deny list (any of their names, any case), then bots
+    assert.strictEqual(filter.evaluate(commit('c', { author: 'MALLORY' })), 'author_denied');
+    assert.strictEqual(filter.evaluate(commit('c', { author: 'M', author_login: 'mallory' })), 'author_denied');
+    assert.strictEqual(filter.evaluate(commit('c', { author: 'dependabot[bot]' })), 'bot');
+    assert.strictEqual(filter.evaluate(commit('c', { author: 'renovate' })), 'bot');
+    assert.strictEqual(filter.evaluate(commit('c', { author: 'Deploy', author_type: 'Bot' })), 'bot');
+    assert.strictEqual(filter.evaluate(commit('c', { author: 'renovated-team' })), null);
+
+    // Merges by parent count, or by message when it is unknown; reverts by message
+    assert.strictEqual(filter.evaluate(commit('c', { parent_count: 2 })), 'merge_commit');
+    assert.strictEqual(filter.evaluate(commit('c', { parent_count: null, message: 'Merge pull request #4 from a/b' })), 'merge_commit');
+    assert.strictEqual(filter.evaluate(commit('c', { message: 'Revert "feat: search"' })), 'revert');
+    assert.strictEqual(filter.evaluate(commit('c', { message: 'undo\n\nThis reverts commit abcdef1.' })), 'revert');
+    const revertPr = { id: 'p', type: 'pull_request', data: { author: 'alice', title: 'Revert "feat: search"' } };
+    assert.strictEqual(filter.evaluate(revertPr), 'revert');
+
+    // Commits that only touch ignored paths are dropped; mixed ones are kept
+    assert.strictEqual(filter.evaluate(commit('c', { files: files('yarn.lock', 'web/package-lock.json') })), 'ignored_paths_only');
+    assert.strictEqual(filter.evaluate(commit('c', { files: files('yarn.lock', 'src/app.js') })), null);
+
+    // An allow list keeps only its authors; anonymous feed entries pass, and feed authors are never bots
+    const allowed = new SignalFilter();
+    allowed.allowAuthors = ['alice'];
+    allowed.onlyPaths = filter.ignorePaths;
+    assert.strictEqual(allowed.evaluate(commit('c', { author: 'bob' })), 'author_not_allowed');
+    assert.strictEqual(allowed.evaluate({ id: 'a', type: 'article', data: {} }), null);
+    assert.strictEqual(allowed.evaluate(commit('c', { files: files('src/app.js') })), 'no_matching_paths');
+    const feedBot = { id: 'a', type: 'article', data: { author: 'release-bot[bot]' } };
+    assert.strictEqual(filter.evaluate(feedBot), null);
+
+    // Dropped signals are stored as processed with their reason
+    const kept = filter.apply([
+      commit('octo/app:commit:1', {}),
+      commit('octo/app:commit:2', { author: 'snyk-bot' }),
+      commit('octo/app:commit:3', { parent_count: 3 })
+    ]);
+    assert.deepStrictEqual(kept.map(s => s.id), ['octo/app:commit:1']);
+    assert.strictEqual(stateStore.state.processed['octo/app:commit:2'].filtered, 'bot');
+    assert.strictEqual(stateStore.state.processed['octo/app:commit:3'].filtered, 'merge_commit');
+    assert.ok(!stateStore.hasProcessed('octo/app:commit:1'));
+
+    logger.info('Signal filter test passed');
+  } catch (err) {
+    logger.error('Signal filter test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runSignalFilterTest();
@@ -0,0 +1,94 @@
+// tests/testSignalPolicy.js
+const assert = require('assert');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+process.env.POLICY_MAX_POSTS_PER_DAY = '2';
+process.env.POLICY_MAX_POSTS_PER_WEEK = '4';
+process.env.POLICY_REPO_GAP_HOURS = '0';
+
+const { SignalPolicy } = require('../triggers/signalPolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function signal(id, type, confidence, repo = 'octo/app') {
+  return { id, type, repo, category: type, confidence, classification: {} };
+}
+
+function posts(count, hoursAgo) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `old-${hoursAgo}-${i}`,
+    type: 'commit',
+    source: 'github',
+    repo: 'octo/old',
+    at: new Date(Date.now() - hoursAgo * HOUR_MS).toISOString()
+  }));
+}
+
+function runSignalPolicyTest() {
+  try {
+    logger.info('Starting signal policy test');
+    const policy = new SignalPolicy();
+
+    // Priority order, daily budget, threshold rejection
+    const decided = policy.decide([
+      signal('c1', 'commit', 0.9),
+      signal('r1', 'release', 0.6),
+      signal('c2', 'commit', 0.7),
+      signal('weak', 'commit', 0.2)
+    ]);
+    assert.deepStrictEqual(decided.map(s => [s.id, s.reason]), [
+      ['r1', 'accepted'],
+      ['c1', 'accepted'],
+      ['c2', 'daily_budget'],
+      ['weak', 'below_threshold:0.20<0.5']
+    ]);
+    assert.ok(stateStore.hasProcessed('weak'));
+    assert.ok(!stateStore.hasProcessed('c2'));
+    assert.ok(policy.isRejected(decided[3]));
+    assert.ok(!policy.isRejected(decided[2]));
+
+    // A deferred signal stays deferred while slots are held
+    assert.strictEqual(policy.reconsider(decided[2]).shouldProcess, false);
+
+    // A failed signal gives its slot back to the next deferred one
+    policy.release(decided[1]);
+    const retried = policy.reconsider(decided[2]);
+    assert.strictEqual(retried.shouldProcess, true);
+    assert.strictEqual(retried.reason, 'accepted');
+
+    // Posted signals count against later runs
+    policy.recordPost(decided[0]);
+    policy.recordPost(retried);
+    assert.strictEqual(policy.decide([signal('c3', 'commit', 0.9)])[0].reason, 'daily_budget');
+
+    // Yesterday's posts leave today's budget alone but count for the week
+    stateStore.set('postHistory', posts(3, 30));
+    assert.strictEqual(policy.decide([signal('c4', 'commit', 0.9)])[0].reason, 'accepted');
+    stateStore.set('postHistory', posts(4, 30));
+    assert.strictEqual(policy.decide([signal('c5', 'commit', 0.9)])[0].reason, 'weekly_budget');
+
+    // Posts older than a week are forgotten
+    stateStore.set('postHistory', posts(4, 8 * 24));
+    assert.strictEqual(policy.decide([signal('c6', 'commit', 0.9)])[0].reason, 'accepted');
+
+    // A recent post about the same repository defers the next one
+    process.env.POLICY_REPO_GAP_HOURS = '24';
+    const gapped = new SignalPolicy();
+    stateStore.set('postHistory', posts(1, 2));
+    assert.deepStrictEqual(
+      gapped.decide([signal('o1', 'commit', 0.9, 'octo/old'), signal('a1', 'commit', 0.8)]).map(s => s.reason),
+      ['accepted', 'repo_gap']
+    );
+
+    logger.info('Signal policy test passed');
+  } catch (err) {
+    logger.error('Signal policy test failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+runSignalPolicyTest();
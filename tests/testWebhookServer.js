@@ -0,0 +1,108 @@
+// tests/testWebhookServer.js
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+// Keep state.json untouched
+stateStore.state = { processed: {}, executions: [], metadata: {} };
+stateStore.save = () => {};
+process.env.GITHUB_WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_PORT = '0';
+
+const { WebhookServer } = require('../triggers/webhookServer');
+
+const PUSH = JSON.stringify({ ref: 'refs/heads/main', repository: { full_name: 'octo/app', default_branch: 'main' } });
+
+function sign(body, secret = 'test-secret') {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// POST a delivery and resolve with { status, body }
+function deliver(port, { body = PUSH, event = 'push', id, signature = sign(body) }) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json', 'X-GitHub-Event': event };
+    if (id) headers['X-GitHub-Delivery'] = id;
+    if (signature) headers['X-Hub-Signature-256'] = signature;
+    const req = http.request({ port, method: 'POST', path: '/webhooks/github', headers }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function runWebhookServerTest() {
+  let server;
+  try {
+    logger.info('Starting webhook server test');
+
+    // The engine takes a moment, and fails the first time it sees "flaky"
+    const processed = [];
+    const attempts = {};
+    const engine = {
+      async processSignals(signals, options) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        attempts[options.deliveryId] = (attempts[options.deliveryId] || 0) + 1;
+        processed.push(options.deliveryId);
+        const failed = options.deliveryId === 'flaky' && attempts.flaky === 1;
+        return { results: signals.map(signal => ({ signal, status: failed ? 'error' : 'queued' })) };
+      }
+    };
+    const trigger = { signalsFromWebhook: async () => [{ id: 'commit:1', type: 'commit', repo: 'octo/app' }] };
+    server = new WebhookServer(engine, trigger);
+
+    // Signatures: exact HMAC of the raw body only
+    const body = Buffer.from(PUSH);
+    assert.strictEqual(server.verifySignature(body, sign(PUSH)), true);
+    assert.strictEqual(server.verifySignature(body, sign(PUSH, 'other-secret')), false);
+    assert.strictEqual(server.verifySignature(Buffer.from(`${PUSH} `), sign(PUSH)), false);
+    assert.strictEqual(server.verifySignature(body, sign(PUSH).replace('sha256=', 'sha1=')), false);
+    assert.strictEqual(server.verifySignature(body, 'sha256=abc'), false);
+    assert.strictEqual(server.verifySignature(body, undefined), false);
+
+    await server.start();
+    const { port } = server.server.address();
+
+    assert.strictEqual((await deliver(port, { id: 'bad', signature: sign(PUSH, 'other-secret') })).status, 401);
+    assert.strictEqual((await deliver(port, { id: 'unsigned', signature: null })).status, 401);
+    assert.strictEqual((await deliver(port, { id: undefined })).status, 400);
+
+    // A delivery is a duplicate while it is processed and after it succeeded
+    const accepted = await deliver(port, { id: 'd1' });
+    assert.deepStrictEqual(accepted, { status: 202, body: { status: 'accepted', deliveryId: 'd1' } });
+    assert.strictEqual((await deliver(port, { id: 'd1' })).body.status, 'duplicate');
+    assert.strictEqual(stateStore.get('webhookDeliveries'), null);
+    await server.processing;
+    const again = await deliver(port, { id: 'd1' });
+    assert.deepStrictEqual(again, { status: 200, body: { status: 'duplicate', deliveryId: 'd1' } });
+    assert.deepStrictEqual(processed, ['d1']);
+    assert.deepStrictEqual(stateStore.get('webhookDeliveries'), ['d1']);
+
+    // A failed delivery is not remembered, so a redelivery is processed again
+    await deliver(port, { id: 'flaky' });
+    await server.processing;
+    assert.ok(!stateStore.get('webhookDeliveries').includes('flaky'));
+    assert.strictEqual((await deliver(port, { id: 'flaky' })).body.status, 'accepted');
+    await server.processing;
+    assert.strictEqual(attempts.flaky, 2);
+    assert.ok(stateStore.get('webhookDeliveries').includes('flaky'));
+
+    // Pings are answered and remembered; unsupported events are ignored
+    assert.deepStrictEqual((await deliver(port, { id: 'p1', event: 'ping' })).body, { status: 'pong' });
+    assert.strictEqual((await deliver(port, { id: 's1', event: 'star' })).status, 202);
+    assert.ok(!stateStore.get('webhookDeliveries').includes('s1'));
+
+    logger.info('Webhook server test passed');
+  } catch (err) {
+    logger.error('Webhook server test failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    if (server) await server.stop();
+  }
+}
+
+runWebhookServerTest();
@@ -0,0 +1,374 @@
+// triggers/actionsTrigger.js
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const { RateLimitError } = require('./githubClient');
+const { parseVersion } = require('../utils/releaseNotes');
+const { isConsumed, planCursor, cursorReady } = require('./signalCursor');
+
+const DEPLOYED_VERSIONS_LIMIT = 200;
+
+/**
+ * GitHub Actions / Deployments detector
+ * Emits:
+ *   - `deployment` signals for the first successful deploy of a new version
+ *     (Deployments API, or a successful run of a deploy-like workflow for a version tag)
+ *   - `workflow_run` signals when a workflow goes green after a long red streak
+ * Per-workflow streaks and deployed versions are tracked in stateStore, so
+ * streaks longer than one page of runs are still counted. State only moves past
+ * a signal once it is consumed, so a deferred one is detected again next run.
+ * The first run for a repository only seeds this state: past deploys and
+ * recoveries are history, not news.
+ */
+class ActionsTrigger {
+  constructor(client) {
+    this.client = client;
+    this.signalTypes = ['deployment', 'workflow_run'];
+    this.branches = (process.env.ACTIONS_BRANCHES || 'main,master')
+      .split(',').map(b => b.trim()).filter(Boolean);
+    this.redStreakMin = parseInt(process.env.ACTIONS_RED_STREAK_MIN || '3', 10);
+    this.environments = (process.env.ACTIONS_DEPLOY_ENVIRONMENTS || 'production')
+      .split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+    this.deployWorkflowPattern = new RegExp(process.env.ACTIONS_DEPLOY_WORKFLOWS || 'deploy|release|publish', 'i');
+  }
+
+  // Fetch recent completed workflow runs (newest first)
+  async fetchWorkflowRuns(repo) {
+    const data = await this.client.get(
+      `/repos/${repo}/actions/runs`,
+      { status: 'completed', per_page: 50 },
+      { conditional: true }
+    );
+    return data.workflow_runs || [];
+  }
+
+  // Fetch recent deployments (newest first)
+  async fetchDeployments(repo) {
+    return await this.client.get(
+      `/repos/${repo}/deployments`,
+      { per_page: 30 },
+      { conditional: true }
+    );
+  }
+
+  // Fetch the latest status for a deployment
+  async fetchDeploymentStatus(repo, deploymentId) {
+    const statuses = await this.client.get(
+      `/repos/${repo}/deployments/${deploymentId}/statuses`,
+      { per_page: 1 }
+    );
+    return statuses[0] || null;
+  }
+
+  // Seconds between two ISO timestamps
+  durationSeconds(start, end) {
+    if (!start || !end) return null;
+    return Math.round((new Date(end) - new Date(start)) / 1000);
+  }
+
+  // Commit details attached to a workflow run
+  runCommit(run) {
+    if (!run || !run.head_commit) return null;
+    return {
+      sha: run.head_sha,
+      message: run.head_commit.message,
+      author: run.head_commit.author ? run.head_commit.author.name : null
+    };
+  }
+
+  // Version tag a workflow run was triggered for (tag push or release event), or null
+  runVersion(run) {
+    if (run.event !== 'push' && run.event !== 'release') return null;
+    return run.head_branch && parseVersion(run.head_branch) ? run.head_branch : null;
+  }
+
+  // Shared fields describing a workflow run
+  runDetails(run) {
+    return {
+      workflow: run.name,
+      workflow_id: run.workflow_id,
+      run_id: run.id,
+      run_number: run.run_number,
+      branch: run.head_branch,
+      event: run.event,
+      conclusion: run.conclusion,
+      duration_seconds: this.durationSeconds(run.run_started_at || run.created_at, run.updated_at),
+      url: run.html_url,
+      commit: this.runCommit(run)
+    };
+  }
+
+  // Build a "first successful deploy of a version" signal
+  buildDeploymentSignal(repo, environment, version, details) {
+    return {
+      type: 'deployment',
+      repo,
+      id: `${repo}:deployment:${environment}:${version}`,
+      data: {
+        environment,
+        version,
+        ...details
+      },
+      confidence: 0.75 // Shipping to users is a concrete story
+    };
+  }
+
+  // Walk runs oldest-to-newest, updating per-workflow red streaks
+  // A workflow stops just before a pending recovery; its streak moves on once the signal is consumed
+  detectRecoveries(repo, runs, state) {
+    const signals = [];
+    const seeding = !state.workflows;
+    const workflows = state.workflows || {};
+    const blocked = new Set();
+    const ordered = runs
+      .filter(run => this.branches.includes(run.head_branch))
+      .sort((a, b) => a.id - b.id);
+
+    for (const run of ordered) {
+      if (blocked.has(run.workflow_id)) continue;
+      const tracked = { ...(workflows[run.workflow_id] || { last_run_id: 0, red_streak: 0, red_since: null }) };
+      if (run.id <= tracked.last_run_id) continue;
+
+      if (run.conclusion === 'failure' || run.conclusion === 'timed_out') {
+        tracked.red_streak += 1;
+        tracked.red_since = tracked.red_since || run.created_at;
+      } else if (run.conclusion === 'success') {
+        if (tracked.red_streak >= this.redStreakMin && !seeding) {
+          const signalId = `${repo}:workflow_run:${run.id}`;
+          if (!isConsumed(signalId)) {
+            signals.push({
+              type: 'workflow_run',
+              repo,
+              id: signalId,
+              data: {
+                ...this.runDetails(run),
+                red_streak: tracked.red_streak,
+                red_since: tracked.red_since,
+                red_for_hours: Math.round(this.durationSeconds(tracked.red_since, run.updated_at) / 3600)
+              },
+              confidence: 0.6, // Fixing a broken build is a good, if niche, story
+              cursor: {
+                type: 'workflow',
+                mark: { workflow_id: run.workflow_id, last_run_id: run.id, red_streak: 0, red_since: null },
+                after: []
+              }
+            });
+            blocked.add(run.workflow_id);
+            logger.info('Workflow recovered after red streak', {
+              repo,
+              workflow: run.name,
+              red_streak: tracked.red_streak
+            });
+            continue;
+          }
+        }
+        tracked.red_streak = 0;
+        tracked.red_since = null;
+      }
+      // cancelled/skipped/neutral runs neither break nor extend a streak
+
+      tracked.last_run_id = run.id;
+      workflows[run.workflow_id] = tracked;
+    }
+
+    state.workflows = workflows;
+    return signals;
+  }
+
+  // Remember a deployed version so only its first successful deploy is announced
+  markDeployed(state, environment, version) {
+    const key = `${environment}:${version}`;
+    state.deployed = [...(state.deployed || []).filter(k => k !== key), key]
+      .slice(-DEPLOYED_VERSIONS_LIMIT);
+  }
+
+  isDeployed(state, environment, version) {
+    return (state.deployed || []).includes(`${environment}:${version}`);
+  }
+
+  // True if the version was already announced for any environment
+  isVersionDeployed(state, version) {
+    return (state.deployed || []).some(key => key.endsWith(`:${version}`));
+  }
+
+  // Store the last id no pending deployment depends on; each signal carries the id and
+  // version to record once it is consumed
+  planDeployCursor(state, field, entries) {
+    const safe = planCursor([...entries].reverse(), field);
+    if (safe) state[field] = safe.id;
+    for (const { signal, deployed } of entries) {
+      if (signal && signal.cursor) signal.cursor.deployed = deployed;
+    }
+  }
+
+  // Deployments API: first successful deploy of each ref to a watched environment
+  async detectDeployments(repo, runs, state) {
+    const signals = [];
+    const entries = [];
+    const deployments = await this.fetchDeployments(repo);
+    if (state.last_deployment_id === undefined) {
+      state.last_deployment_id = Math.max(0, ...deployments.map(deployment => deployment.id));
+      return signals;
+    }
+    const lastSeen = state.last_deployment_id;
+
+    for (const deployment of [...deployments].reverse()) {
+      const environment = (deployment.environment || '').toLowerCase();
+      if (deployment.id <= lastSeen) continue;
+
+      const mark = { id: deployment.id };
+      if (!this.environments.includes(environment)) {
+        entries.push({ mark, signal: null });
+        continue;
+      }
+
+      const status = await this.fetchDeploymentStatus(repo, deployment.id);
+      // Pending deployments are revisited on the next run
+      if (!status || status.state === 'in_progress' || status.state === 'queued' || status.state === 'pending') {
+        break;
+      }
+
+      const version = deployment.ref;
+      const signalId = `${repo}:deployment:${environment}:${version}`;
+      if (status.state !== 'success' || this.isDeployed(state, environment, version) ||
+          signals.some(signal => signal.id === signalId)) {
+        entries.push({ mark, signal: null });
+        continue;
+      }
+      if (isConsumed(signalId)) {
+        this.markDeployed(state, environment, version);
+        entries.push({ mark, signal: null });
+        continue;
+      }
+
+      const run = runs.find(r => r.head_sha === deployment.sha);
+      const details = {
+        sha: deployment.sha,
+        creator: deployment.creator ? deployment.creator.login : null,
+        deployed_at: status.created_at,
+        duration_seconds: this.durationSeconds(deployment.created_at, status.created_at),
+        url: status.environment_url || status.log_url || deployment.url,
+        ...(run && {
+          workflow: run.name,
+          branch: run.head_branch,
+          run_url: run.html_url,
+          commit: this.runCommit(run)
+        })
+      };
+
+      const signal = this.buildDeploymentSignal(repo, environment, version, details);
+      signals.push(signal);
+      entries.push({ mark, signal, deployed: `${environment}:${version}` });
+      logger.info('New deployment signal detected', { repo, environment, version });
+    }
+
+    this.planDeployCursor(state, 'last_deployment_id', entries);
+    return signals;
+  }
+
+  // Deploy-like workflows without the Deployments API: first green run per commit/tag
+  // `announced` lists versions the Deployments API reported this run
+  detectWorkflowDeployments(repo, runs, state, announced = []) {
+    const signals = [];
+    const deployRuns = runs
+      .filter(run => this.deployWorkflowPattern.test(run.name) && run.conclusion === 'success')
+      .sort((a, b) => a.id - b.id);
+    if (state.last_deploy_run_id === undefined) {
+      state.last_deploy_run_id = Math.max(0, ...deployRuns.map(run => run.id));
+      return signals;
+    }
+    const lastSeen = state.last_deploy_run_id;
+
+    const entries = [];
+
+    for (const run of deployRuns.filter(r => r.id > lastSeen)) {
+      const mark = { id: run.id };
+
+      // Only a tag push or release names a version; a branch deploy ships a commit, not a version
+      const version = this.runVersion(run);
+      // Deployments API events for the same version take precedence
+      const signalId = `${repo}:deployment:workflow:${version}`;
+      if (!version || this.isVersionDeployed(state, version) || announced.includes(version) ||
+          signals.some(signal => signal.id === signalId)) {
+        entries.push({ mark, signal: null });
+        continue;
+      }
+      if (isConsumed(signalId)) {
+        this.markDeployed(state, 'workflow', version);
+        entries.push({ mark, signal: null });
+        continue;
+      }
+
+      const signal = this.buildDeploymentSignal(repo, 'workflow', version, {
+        sha: run.head_sha,
+        deployed_at: run.updated_at,
+        ...this.runDetails(run)
+      });
+      signals.push(signal);
+      entries.push({ mark, signal, deployed: `workflow:${version}` });
+      logger.info('New workflow deployment signal detected', { repo, workflow: run.name, version });
+    }
+
+    this.planDeployCursor(state, 'last_deploy_run_id', entries);
+    return signals;
+  }
+
+  /**
+   * Detect CI/CD signals for one repository
+   * @param {String} repo - "owner/name"
+   * @returns {Array} deployment and workflow_run signals
+   */
+  async detectSignals(repo) {
+    logger.info('Detecting Actions signals', { repo });
+
+    const allState = stateStore.get('actionsState', {});
+    const state = allState[repo] || {};
+    const runs = await this.fetchWorkflowRuns(repo);
+    const signals = [];
+
+    signals.push(...this.detectRecoveries(repo, runs, state));
+
+    try {
+      signals.push(...await this.detectDeployments(repo, runs, state));
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      // Tokens without deployment access still get workflow signals
+      logger.debug('Deployment check skipped', { repo, error: error.message });
+    }
+
+    const announced = signals.filter(signal => signal.type === 'deployment').map(signal => signal.data.version);
+    signals.push(...this.detectWorkflowDeployments(repo, runs, state, announced));
+
+    allState[repo] = state;
+    stateStore.set('actionsState', allState);
+
+    logger.info('Actions signal detection complete', { repo, total_signals: signals.length });
+    return signals;
+  }
+
+  // Move a repository's Actions state past a consumed signal
+  markProcessed(signal) {
+    if (!cursorReady(signal)) return;
+
+    const allState = stateStore.get('actionsState', {});
+    const state = allState[signal.repo] || {};
+    const { type, mark, deployed } = signal.cursor;
+
+    if (type === 'workflow') {
+      const { workflow_id: workflowId, ...tracked } = mark;
+      const workflows = state.workflows || {};
+      if (!workflows[workflowId] || workflows[workflowId].last_run_id < tracked.last_run_id) {
+        workflows[workflowId] = tracked;
+      }
+      state.workflows = workflows;
+    } else {
+      state[type] = Math.max(state[type] || 0, mark.id);
+      const [environment, ...version] = deployed.split(':');
+      this.markDeployed(state, environment, version.join(':'));
+    }
+
+    allState[signal.repo] = state;
+    stateStore.set('actionsState', allState);
+  }
+}
+
+module.exports = { ActionsTrigger };
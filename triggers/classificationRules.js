@@ -0,0 +1,336 @@
+// triggers/classificationRules.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { pathGlobToRegExp } = require('../utils/pathGlob');
+const DEFAULT_RULES = require('./classificationRules.json');
+
+const SECTIONS = [
+  'extensions', 'paths', 'importantFiles', 'adjustments', 'commitTypes', 'commitKeywords', 'signalAdjustments', 'rules'
+];
+const MATCH_KEYS = ['type', 'message', 'labels', 'paths', 'author'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+// Collect a problem when a regex string does not compile
+function checkPattern(pattern, where, errors) {
+  if (typeof pattern !== 'string') {
+    errors.push(`${where}: pattern must be a string`);
+    return;
+  }
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    errors.push(`${where}: invalid pattern (${error.message})`);
+  }
+}
+
+const isAdjustment = value => typeof value === 'number' && Math.abs(value) <= 1;
+
+// Check one signal type's adjustments against the shape of its defaults
+function checkSignalAdjustments(entry, defaults, where, errors) {
+  if (!isObject(entry)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(entry)) {
+    const expected = defaults[key];
+    if (expected === undefined) {
+      errors.push(`${where}: unknown adjustment "${key}"`);
+    } else if (key === 'labels' || key === 'titles') {
+      if (!Array.isArray(value)) {
+        errors.push(`${where}.${key}: must be an array`);
+        continue;
+      }
+      value.forEach((item, i) => {
+        const at = `${where}.${key}[${i}]`;
+        if (!isObject(item)) {
+          errors.push(`${at}: must be an object`);
+          return;
+        }
+        if (key === 'titles') checkPattern(item.pattern, at, errors);
+        if (key === 'labels' && !(Array.isArray(item.labels) && item.labels.every(l => typeof l === 'string' && l))) {
+          errors.push(`${at}: "labels" must be an array of label names`);
+        }
+        if (typeof item.category !== 'string') errors.push(`${at}: "category" is required`);
+        if (!isAdjustment(item.adjustment)) errors.push(`${at}: "adjustment" must be a number between -1 and 1`);
+      });
+    } else if (isObject(expected)) {
+      if (!isObject(value) || !Object.values(value).every(isAdjustment)) {
+        errors.push(`${where}.${key}: must map names to numbers between -1 and 1`);
+      }
+    } else if (!isAdjustment(value)) {
+      errors.push(`${where}.${key}: must be a number between -1 and 1`);
+    }
+  }
+}
+
+function checkRule(rule, where, errors) {
+  if (!isObject(rule)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  if (typeof rule.name !== 'string' || !rule.name) errors.push(`${where}: "name" is required`);
+
+  if (!isObject(rule.match) || Object.keys(rule.match).length === 0) {
+    errors.push(`${where}: "match" must be an object with at least one condition`);
+  } else {
+    for (const [key, value] of Object.entries(rule.match)) {
+      if (!MATCH_KEYS.includes(key)) {
+        errors.push(`${where}: unknown match condition "${key}" (expected ${MATCH_KEYS.join(', ')})`);
+      } else if (key === 'message') {
+        checkPattern(value, `${where}.match.message`, errors);
+      } else if (!toList(value).every(item => typeof item === 'string' && item)) {
+        errors.push(`${where}.match.${key}: must be a string or an array of strings`);
+      }
+    }
+  }
+
+  if (rule.category === undefined && rule.adjust === undefined && rule.drop === undefined) {
+    errors.push(`${where}: needs at least one action ("category", "adjust" or "drop")`);
+  }
+  if (rule.category !== undefined && (typeof rule.category !== 'string' || !rule.category)) {
+    errors.push(`${where}.category: must be a non-empty string`);
+  }
+  if (rule.adjust !== undefined && (typeof rule.adjust !== 'number' || Math.abs(rule.adjust) > 1)) {
+    errors.push(`${where}.adjust: must be a number between -1 and 1`);
+  }
+  if (rule.drop !== undefined && typeof rule.drop !== 'boolean') {
+    errors.push(`${where}.drop: must be true or false`);
+  }
+}
+
+/**
+ * Validate a (possibly partial) rules document
+ * @param {Object} config - Parsed rules
+ * @param {String} label - Where the rules came from, used in messages
+ * @param {Boolean} allowRepos - Whether a "repos" override section is allowed
+ * @returns {Array} Problems found; empty when the rules are valid
+ */
+function validateRules(config, label, allowRepos = true) {
+  const errors = [];
+  if (!isObject(config)) return [`${label}: must be a JSON object`];
+
+  for (const key of Object.keys(config)) {
+    if (!SECTIONS.includes(key) && !(allowRepos && key === 'repos')) {
+      errors.push(`${label}: unknown section "${key}"`);
+    }
+  }
+
+  if (config.extensions !== undefined) {
+    if (!isObject(config.extensions)) {
+      errors.push(`${label}.extensions: must map extensions to categories`);
+    } else {
+      for (const [ext, category] of Object.entries(config.extensions)) {
+        if (typeof category !== 'string') errors.push(`${label}.extensions.${ext}: category must be a string`);
+      }
+    }
+  }
+
+  for (const section of ['paths', 'commitKeywords']) {
+    if (config[section] === undefined) continue;
+    if (!Array.isArray(config[section])) {
+      errors.push(`${label}.${section}: must be an array`);
+      continue;
+    }
+    config[section].forEach((entry, i) => {
+      const where = `${label}.${section}[${i}]`;
+      if (!isObject(entry)) {
+        errors.push(`${where}: must be an object`);
+        return;
+      }
+      checkPattern(entry.pattern, where, errors);
+      if (typeof entry.category !== 'string') errors.push(`${where}: "category" is required`);
+      if (section === 'commitKeywords' && typeof entry.adjustment !== 'number') {
+        errors.push(`${where}: "adjustment" must be a number`);
+      }
+    });
+  }
+
+  if (config.importantFiles !== undefined &&
+      !(Array.isArray(config.importantFiles) && config.importantFiles.every(f => typeof f === 'string'))) {
+    errors.push(`${label}.importantFiles: must be an array of file name prefixes`);
+  }
+
+  if (config.adjustments !== undefined) {
+    if (!isObject(config.adjustments)) {
+      errors.push(`${label}.adjustments: must be an object`);
+    } else {
+      for (const [key, value] of Object.entries(config.adjustments)) {
+        if (!(key in DEFAULT_RULES.adjustments)) {
+          errors.push(`${label}.adjustments: unknown adjustment "${key}"`);
+        } else if (typeof value !== 'number' || Math.abs(value) > 1) {
+          errors.push(`${label}.adjustments.${key}: must be a number between -1 and 1`);
+        }
+      }
+    }
+  }
+
+  if (config.signalAdjustments !== undefined) {
+    if (!isObject(config.signalAdjustments)) {
+      errors.push(`${label}.signalAdjustments: must map signal types to adjustments`);
+    } else {
+      for (const [type, entry] of Object.entries(config.signalAdjustments)) {
+        const defaults = DEFAULT_RULES.signalAdjustments[type];
+        if (!defaults) {
+          errors.push(`${label}.signalAdjustments: unknown signal type "${type}"`);
+        } else {
+          checkSignalAdjustments(entry, defaults, `${label}.signalAdjustments.${type}`, errors);
+        }
+      }
+    }
+  }
+
+  if (config.commitTypes !== undefined) {
+    if (!isObject(config.commitTypes)) {
+      errors.push(`${label}.commitTypes: must be an object`);
+    } else {
+      for (const [type, entry] of Object.entries(config.commitTypes)) {
+        if (!isObject(entry) || typeof entry.category !== 'string' || typeof entry.adjustment !== 'number') {
+          errors.push(`${label}.commitTypes.${type}: needs a "category" and a numeric "adjustment"`);
+        }
+      }
+    }
+  }
+
+  if (config.rules !== undefined) {
+    if (!Array.isArray(config.rules)) {
+      errors.push(`${label}.rules: must be an array`);
+    } else {
+      const names = new Set();
+      config.rules.forEach((rule, i) => {
+        checkRule(rule, `${label}.rules[${i}]`, errors);
+        if (rule && names.has(rule.name)) errors.push(`${label}.rules[${i}]: duplicate rule name "${rule.name}"`);
+        if (rule) names.add(rule.name);
+      });
+    }
+  }
+
+  if (allowRepos && config.repos !== undefined) {
+    if (!isObject(config.repos)) {
+      errors.push(`${label}.repos: must map repository names to overrides`);
+    } else {
+      for (const [repo, override] of Object.entries(config.repos)) {
+        errors.push(...validateRules(override, `${label}.repos["${repo}"]`, false));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Layer one signal type's adjustments: label/title patterns are checked before the defaults,
+// maps are merged and plain numbers replaced
+function mergeSignalAdjustments(base, override = {}) {
+  const merged = {};
+  for (const [type, entry] of Object.entries(base)) {
+    const layer = override[type] || {};
+    merged[type] = { ...entry };
+    for (const [key, value] of Object.entries(layer)) {
+      if (Array.isArray(value)) merged[type][key] = [...value, ...entry[key]];
+      else if (isObject(value)) merged[type][key] = { ...entry[key], ...value };
+      else merged[type][key] = value;
+    }
+  }
+  return merged;
+}
+
+// Compile label lists and title patterns of the signal type adjustments
+function compileSignalAdjustments(adjustments) {
+  const compiled = {};
+  for (const [type, entry] of Object.entries(adjustments)) {
+    compiled[type] = {
+      ...entry,
+      ...(entry.labels && { labels: entry.labels.map(rule => ({ ...rule, labels: rule.labels.map(l => l.toLowerCase()) })) }),
+      ...(entry.titles && { titles: entry.titles.map(rule => ({ ...rule, pattern: new RegExp(rule.pattern, 'i') })) })
+    };
+  }
+  return compiled;
+}
+
+// Layer an override on top of a rules document; override entries win
+function mergeRules(base, override) {
+  return {
+    extensions: { ...base.extensions, ...override.extensions },
+    paths: [...(override.paths || []), ...base.paths],
+    importantFiles: [...new Set([...base.importantFiles, ...(override.importantFiles || [])])],
+    adjustments: { ...base.adjustments, ...override.adjustments },
+    commitTypes: { ...base.commitTypes, ...override.commitTypes },
+    commitKeywords: [...(override.commitKeywords || []), ...base.commitKeywords],
+    signalAdjustments: mergeSignalAdjustments(base.signalAdjustments, override.signalAdjustments),
+    rules: [...base.rules, ...(override.rules || [])]
+  };
+}
+
+// Turn pattern strings into RegExps and normalize match lists once, at load time
+function compileRules(config) {
+  return {
+    extensions: config.extensions,
+    paths: config.paths.map(rule => ({ pattern: new RegExp(rule.pattern, 'i'), category: rule.category })),
+    importantFiles: config.importantFiles.map(name => name.toLowerCase()),
+    adjustments: config.adjustments,
+    commitTypes: config.commitTypes,
+    commitKeywords: config.commitKeywords.map(rule => ({ ...rule, pattern: new RegExp(rule.pattern, 'i') })),
+    signalAdjustments: compileSignalAdjustments(config.signalAdjustments),
+    rules: config.rules.map(rule => {
+      const { type, message, labels, paths, author } = rule.match;
+      return {
+        name: rule.name,
+        match: {
+          ...(type && { type: toList(type) }),
+          ...(message && { message: new RegExp(message, 'i') }),
+          ...(labels && { labels: toList(labels).map(l => l.toLowerCase()) }),
+          ...(paths && { paths: toList(paths).map(pathGlobToRegExp) }),
+          ...(author && { author: toList(author).map(a => a.toLowerCase()) })
+        },
+        category: rule.category || null,
+        adjust: rule.adjust || 0,
+        drop: rule.drop === true
+      };
+    })
+  };
+}
+
+/**
+ * Load classification rules: built-in defaults, then CLASSIFICATION_RULES_FILE on top,
+ * then each repository's override on top of that. Invalid rules fail at startup.
+ * @param {String} file - Rules file path (defaults to CLASSIFICATION_RULES_FILE)
+ * @returns {Object} { base, repos: { "owner/repo": rules } } with compiled rules
+ */
+function loadClassificationRules(file = process.env.CLASSIFICATION_RULES_FILE) {
+  let custom = {};
+
+  if (file) {
+    const filePath = path.resolve(file);
+    try {
+      custom = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read classification rules ${filePath}: ${error.message}`);
+    }
+
+    const errors = validateRules(custom, path.basename(filePath));
+    if (errors.length > 0) {
+      throw new Error(`Invalid classification rules:\n  ${errors.join('\n  ')}`);
+    }
+  }
+
+  const merged = mergeRules(DEFAULT_RULES, custom);
+  const repos = {};
+  for (const [repo, override] of Object.entries(custom.repos || {})) {
+    repos[repo] = compileRules(mergeRules(merged, override));
+  }
+
+  if (file) {
+    logger.info('Classification rules loaded', {
+      file,
+      rules: merged.rules.length,
+      repoOverrides: Object.keys(repos).length
+    });
+  }
+
+  return { base: compileRules(merged), repos };
+}
+
+module.exports = { loadClassificationRules, validateRules };
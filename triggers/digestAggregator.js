@@ -0,0 +1,197 @@
+// triggers/digestAggregator.js
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const { Redactor } = require('../services/redactor');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Digest aggregation stage (runs between detection and classification)
+ * Buffers small signals (commits, issues, pull requests by default) per repo in
+ * stateStore under `digestBuffer`. Once DIGEST_WINDOW_DAYS have passed and at
+ * least DIGEST_MIN_ITEMS are buffered, a single `digest` signal with counts,
+ * highlights and contributors replaces them. The buffer is only cleared when
+ * the digest is marked processed, so a failed post is retried next run.
+ * Buffered titles, authors, URLs and labels are redacted before they are saved,
+ * since they sit in state.json for the whole window.
+ */
+class DigestAggregator {
+  /**
+   * @param {Object} options - { redactor: Redactor shared with the rest of the pipeline }
+   */
+  constructor(options = {}) {
+    this.redactor = options.redactor || new Redactor();
+    this.enabled = process.env.DIGEST_ENABLED === 'true';
+    this.windowDays = parseInt(process.env.DIGEST_WINDOW_DAYS || '7', 10);
+    this.minItems = parseInt(process.env.DIGEST_MIN_ITEMS || '3', 10);
+    this.maxHighlights = parseInt(process.env.DIGEST_HIGHLIGHTS || '5', 10);
+    this.types = (process.env.DIGEST_TYPES || 'commit,issue,pull_request')
+      .split(',').map(t => t.trim()).filter(Boolean);
+  }
+
+  // Buffer key: the same repo name can exist on several sources
+  bufferKey(signal) {
+    return `${signal.source || 'github'}:${signal.repo}`;
+  }
+
+  // Reduce a signal to what a digest needs, keeping the buffer small
+  toItem(signal) {
+    const data = signal.data;
+    return {
+      id: signal.id,
+      type: signal.type,
+      title: (data.title || data.message || '').split('\n')[0],
+      author: data.author || null,
+      url: data.url || null,
+      date: data.merged_at || data.created_at || data.date || new Date().toISOString(),
+      labels: data.labels || [],
+      additions: data.additions || 0,
+      deletions: data.deletions || 0,
+      related: (data.related || []).map(related => related.id)
+    };
+  }
+
+  // Redact an item's text fields; ids and counts are left alone
+  redactItem(item) {
+    const { title, author, url, labels } = item;
+    return { ...item, ...this.redactor.redact({ title, author, url, labels }, 'digest').value };
+  }
+
+  // Rank buffered items: merged PRs first, then substantial or feature commits, then issues
+  score(item) {
+    const size = Math.log10(1 + item.additions + item.deletions);
+    if (item.type === 'pull_request') return 3 + size;
+    if (item.type === 'commit') {
+      return 1 + size + (/^(feat|add|implement|introduce)\b/i.test(item.title) ? 1 : 0) -
+        (/^(chore|bump|merge|wip)\b/i.test(item.title) ? 1 : 0);
+    }
+    return 1;
+  }
+
+  // Build the digest signal for one repository's buffer
+  buildDigestSignal(entry) {
+    const { items } = entry;
+    const counts = {};
+    const authors = {};
+
+    for (const item of items) {
+      counts[item.type] = (counts[item.type] || 0) + 1;
+      if (item.author && !/\[bot\]$/i.test(item.author)) {
+        authors[item.author] = (authors[item.author] || 0) + 1;
+      }
+    }
+
+    const highlights = [...items]
+      .sort((a, b) => this.score(b) - this.score(a))
+      .slice(0, this.maxHighlights)
+      .map(({ type, title, author, url }) => ({ type, title, author, url }));
+
+    const contributors = Object.entries(authors)
+      .sort((a, b) => b[1] - a[1])
+      .map(([login, count]) => ({ login, count }));
+
+    return {
+      type: 'digest',
+      source: entry.source,
+      repo: entry.repo,
+      id: `digest:${entry.source}:${entry.repo}:${entry.window_start.substring(0, 10)}`,
+      data: {
+        repo: entry.repo,
+        window_start: entry.window_start,
+        window_end: new Date().toISOString(),
+        total: items.length,
+        counts,
+        additions: items.reduce((sum, item) => sum + item.additions, 0),
+        deletions: items.reduce((sum, item) => sum + item.deletions, 0),
+        highlights,
+        contributors,
+        item_ids: items.map(item => item.id)
+      },
+      confidence: 0.7 // A week of work is a solid story even when each change is small
+    };
+  }
+
+  /**
+   * Buffer digestible signals and emit digests for windows that are due
+   * @param {Array} signals - Freshly detected signals
+   * @returns {Array} Signals that were not buffered, plus any due digests
+   */
+  aggregate(signals) {
+    if (!this.enabled) return signals;
+
+    const buffer = stateStore.get('digestBuffer', {});
+    const passthrough = [];
+    let buffered = 0;
+
+    for (const signal of signals) {
+      if (!this.types.includes(signal.type)) {
+        passthrough.push(signal);
+        continue;
+      }
+
+      const key = this.bufferKey(signal);
+      const entry = buffer[key] || {
+        source: signal.source || 'github',
+        repo: signal.repo,
+        window_start: new Date().toISOString(),
+        items: []
+      };
+      if (!entry.items.some(item => item.id === signal.id)) {
+        entry.items.push(this.toItem(signal));
+        buffered++;
+      }
+      buffer[key] = entry;
+    }
+
+    // Items buffered by earlier versions were saved unredacted; redacting twice changes nothing
+    for (const entry of Object.values(buffer)) {
+      entry.items = entry.items.map(item => this.redactItem(item));
+    }
+    stateStore.set('digestBuffer', buffer);
+
+    // Windows without enough activity keep collecting instead of posting something thin
+    const due = Object.values(buffer).filter(entry =>
+      Date.now() - new Date(entry.window_start) >= this.windowDays * DAY_MS &&
+      entry.items.length >= this.minItems
+    );
+    const digests = due.map(entry => this.buildDigestSignal(entry));
+
+    logger.info('Digest aggregation complete', {
+      buffered,
+      passthrough: passthrough.length,
+      digests: digests.length
+    });
+
+    return [...passthrough, ...digests];
+  }
+
+  // Clear a published digest's items from the buffer and mark them processed
+  markProcessed(digest) {
+    const buffer = stateStore.get('digestBuffer', {});
+    const key = this.bufferKey(digest);
+    const entry = buffer[key];
+    if (!entry) return;
+
+    const included = new Set(digest.data.item_ids);
+    for (const item of entry.items.filter(item => included.has(item.id))) {
+      stateStore.markProcessed(item.id, { type: 'digest_item', repo: digest.repo, digest: digest.id });
+      // Near-duplicates merged into an item are covered by the digest too
+      for (const id of item.related || []) {
+        stateStore.markProcessed(id, { type: 'digest_item', repo: digest.repo, digest: digest.id, duplicate_of: item.id });
+      }
+    }
+
+    // Items buffered after the digest was built start the next window
+    const remaining = entry.items.filter(item => !included.has(item.id));
+    if (remaining.length > 0) {
+      buffer[key] = { ...entry, window_start: new Date().toISOString(), items: remaining };
+    } else {
+      delete buffer[key];
+    }
+    stateStore.set('digestBuffer', buffer);
+
+    logger.info('Digest items consumed', { digest: digest.id, items: included.size });
+  }
+}
+
+module.exports = { DigestAggregator };
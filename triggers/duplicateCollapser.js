@@ -0,0 +1,197 @@
+// triggers/duplicateCollapser.js
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const { extractLinkedIssues } = require('../utils/linkedIssues');
+
+const HOUR_MS = 60 * 60 * 1000;
+const STOPWORDS = new Set(['a', 'an', 'the', 'in', 'on', 'of', 'to', 'for', 'and', 'again', 'some', 'more']);
+// Shared files only add to titles that already share at least this much
+const FILE_BOOST_MIN = 0.5;
+
+// Jaccard similarity of two arrays treated as sets
+function jaccard(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = new Set(a.filter(item => setB.has(item))).size;
+  return shared / (new Set([...a, ...b]).size);
+}
+
+/**
+ * Near-duplicate collapsing stage (runs after filtering, before digests)
+ * Signals from the same repository are related when they reference each other
+ * (a commit or PR closing an issue) or when the token Jaccard of their title/first
+ * message line (Conventional Commits type dropped), boosted by shared touched files
+ * once the titles are already close, reaches DEDUP_THRESHOLD.
+ * Related signals in one batch merge into the most confident one, which lists the
+ * others in `data.related`; they are marked processed with `duplicate_of` only when
+ * that signal is posted or queued (markProcessed). Posted signals are remembered for
+ * DEDUP_WINDOW_HOURS (stateStore `recentSignals`), and new signals matching one are
+ * absorbed into it right away.
+ */
+class DuplicateCollapser {
+  constructor() {
+    this.enabled = process.env.DEDUP_ENABLED !== 'false';
+    this.threshold = parseFloat(process.env.DEDUP_THRESHOLD || '0.6');
+    this.windowHours = parseFloat(process.env.DEDUP_WINDOW_HOURS || '48');
+    this.types = (process.env.DEDUP_TYPES || 'commit,issue,pull_request')
+      .split(',').map(t => t.trim()).filter(Boolean);
+  }
+
+  // Title-level words: "fix typo in docs" -> ["fix", "typo", "docs"]
+  tokenize(text) {
+    return [...new Set(((text || '').toLowerCase().match(/[a-z0-9][a-z0-9_.-]*/g) || [])
+      .filter(token => !STOPWORDS.has(token)))];
+  }
+
+  // A Conventional Commits type says nothing about the change; its scope might: "fix(auth): x" -> "auth x"
+  stripType(title) {
+    return title.replace(/^\w+(?:\(([^()]*)\))?!?:\s*/, (match, scope) => (scope ? `${scope} ` : ''));
+  }
+
+  // Reduce a signal to what similarity needs; also what `recentSignals` stores
+  fingerprint(signal) {
+    const data = signal.data;
+    const title = (data.title || data.message || '').split('\n')[0];
+    const text = signal.type === 'commit' ? data.message : `${data.title || ''}\n${data.body || ''}`;
+
+    return {
+      id: signal.id,
+      type: signal.type,
+      source: signal.source || 'github',
+      repo: signal.repo,
+      title,
+      url: data.url || null,
+      tokens: this.tokenize(this.stripType(title)),
+      files: (data.files || []).map(file => file.filename),
+      number: signal.type === 'commit' ? null : data.number || null,
+      closes: data.linked_issues || extractLinkedIssues(text),
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Similarity of two fingerprints
+   * @returns {Number} 1 for explicit references, otherwise token Jaccard, boosted by file Jaccard
+   *   when the titles are already close (touching the same file is common for unrelated work)
+   */
+  similarity(a, b) {
+    if (a.source !== b.source || a.repo !== b.repo) return 0;
+
+    // An issue and the commit or pull request that closes it are one story
+    if ((a.type === 'issue' && b.closes.includes(a.number)) ||
+        (b.type === 'issue' && a.closes.includes(b.number))) {
+      return 1;
+    }
+
+    // Shared files strengthen a title match; different files never weaken it
+    const text = jaccard(a.tokens, b.tokens);
+    if (text >= FILE_BOOST_MIN && a.files.length > 0 && b.files.length > 0) {
+      return Math.max(text, 0.6 * text + 0.4 * jaccard(a.files, b.files));
+    }
+    return text;
+  }
+
+  // Fingerprints of recently posted signals, inside the window
+  recent() {
+    const cutoff = Date.now() - this.windowHours * HOUR_MS;
+    return stateStore.get('recentSignals', []).filter(entry => new Date(entry.at).getTime() >= cutoff);
+  }
+
+  // Mark an absorbed signal processed, pointing at the signal that covers it
+  absorb(signal, into, score) {
+    stateStore.markProcessed(signal.id, {
+      type: signal.type,
+      repo: signal.repo,
+      duplicate_of: into,
+      similarity: parseFloat(score.toFixed(2))
+    });
+  }
+
+  /**
+   * Collapse near-duplicates within the batch and against recent history
+   * @param {Array} signals - Filtered signals
+   * @returns {Array} Signals with duplicates merged away
+   */
+  collapse(signals) {
+    if (!this.enabled) return signals;
+
+    const history = this.recent();
+    const passthrough = [];
+    const candidates = [];
+
+    for (const signal of signals) {
+      if (!this.types.includes(signal.type)) {
+        passthrough.push(signal);
+        continue;
+      }
+
+      const print = this.fingerprint(signal);
+      const match = history
+        .filter(entry => entry.id !== signal.id)
+        .map(entry => ({ entry, score: this.similarity(print, entry) }))
+        .sort((a, b) => b.score - a.score)[0];
+
+      if (match && match.score >= this.threshold) {
+        this.absorb(signal, match.entry.id, match.score);
+        logger.info('Signal absorbed into recent signal', { id: signal.id, into: match.entry.id });
+      } else {
+        candidates.push({ signal, print });
+      }
+    }
+
+    // Group the batch: each signal joins the first group holding a similar member
+    const groups = [];
+    for (const candidate of candidates) {
+      const group = groups.find(members =>
+        members.some(member => this.similarity(member.print, candidate.print) >= this.threshold)
+      );
+      if (group) group.push(candidate);
+      else groups.push([candidate]);
+    }
+
+    const kept = groups.map(members => {
+      members.sort((a, b) => b.signal.confidence - a.signal.confidence);
+      const [lead, ...rest] = members;
+      if (rest.length === 0) return lead.signal;
+
+      logger.info('Near-duplicate signals merged', {
+        id: lead.signal.id,
+        absorbed: rest.map(member => member.signal.id)
+      });
+
+      return {
+        ...lead.signal,
+        data: {
+          ...lead.signal.data,
+          related: rest.map(({ print }) => ({
+            id: print.id,
+            type: print.type,
+            title: print.title,
+            url: print.url,
+            similarity: parseFloat(this.similarity(lead.print, print).toFixed(2))
+          }))
+        }
+      };
+    });
+
+    return [...passthrough, ...kept];
+  }
+
+  /**
+   * A posted or queued signal covers the ones merged into it: mark those processed
+   * and remember the signal, so later near-duplicates are absorbed into it
+   * @param {Object} signal - Consumed signal, redacted: its title and files are kept in state.json
+   */
+  markProcessed(signal) {
+    if (!this.enabled || !this.types.includes(signal.type)) return;
+
+    for (const related of signal.data.related || []) {
+      this.absorb({ ...related, repo: signal.repo }, signal.id, related.similarity || 0);
+    }
+
+    const print = this.fingerprint(signal);
+    stateStore.set('recentSignals', [...this.recent().filter(entry => entry.id !== print.id), print]);
+  }
+}
+
+module.exports = { DuplicateCollapser };
@@ -0,0 +1,188 @@
+// triggers/feedTrigger.js
+const axios = require('axios');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const { parseFeed } = require('../utils/feedParser');
+const { isConsumed } = require('./signalCursor');
+
+const SEEN_LIMIT = 500; // GUIDs remembered per feed; far more than any feed lists at once
+
+/**
+ * RSS 2.0 / Atom feed trigger
+ * Polls FEED_URLS (comma-separated) and emits an `article` signal per new entry.
+ * Entries are deduplicated by GUID; seen GUIDs and HTTP validators
+ * (ETag / Last-Modified) are kept per feed in stateStore under `feeds`.
+ * An entry's GUID is only recorded as seen once its signal is consumed, and
+ * validators are dropped while any entry is pending, so a deferred article is
+ * detected again on the next poll.
+ */
+class FeedTrigger {
+  constructor() {
+    this.source = 'feed';
+    this.urls = (process.env.FEED_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+    this.bootstrapLimit = 5; // Entries announced on the first poll of a feed
+    this.maxAgeDays = parseInt(process.env.FEED_MAX_AGE_DAYS || '30', 10);
+    this.timeout = 10000;
+  }
+
+  // Fetch a feed, using stored validators so unchanged feeds cost a 304
+  async fetchFeed(url, state) {
+    const headers = { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' };
+    if (state.etag) headers['If-None-Match'] = state.etag;
+    if (state.last_modified) headers['If-Modified-Since'] = state.last_modified;
+
+    const response = await axios.get(url, {
+      headers,
+      timeout: this.timeout,
+      responseType: 'text',
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    if (response.status === 304) {
+      return null;
+    }
+
+    state.etag = response.headers.etag || null;
+    state.last_modified = response.headers['last-modified'] || null;
+    return parseFeed(response.data);
+  }
+
+  // Short, stable label for a feed ("blog.example.com")
+  feedName(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  // Build an article signal from a parsed feed entry
+  buildArticleSignal(url, feed, entry) {
+    const name = this.feedName(url);
+    return {
+      type: 'article',
+      source: this.source,
+      repo: name,
+      id: `${this.source}:${name}:article:${entry.guid}`,
+      data: {
+        guid: entry.guid,
+        title: entry.title,
+        summary: entry.summary,
+        link: entry.link,
+        published_at: entry.published_at,
+        author: entry.author,
+        categories: entry.categories,
+        feed_title: feed.title || name,
+        feed_url: url
+      },
+      confidence: 0.75 // Articles are already written for an audience
+    };
+  }
+
+  // Entries older than FEED_MAX_AGE_DAYS are history, not news
+  isRecent(entry) {
+    if (!entry.published_at) return true;
+    return Date.now() - new Date(entry.published_at) <= this.maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+
+  // Detect new entries in one feed
+  async detectFeedSignals(url) {
+    const feeds = stateStore.get('feeds', {});
+    const state = feeds[url] || { seen: null };
+
+    const feed = await this.fetchFeed(url, state);
+    if (!feed) {
+      logger.debug('Feed not modified', { url });
+      return [];
+    }
+
+    // First poll: only the newest few entries, everything else is marked seen
+    const seen = new Set(state.seen || []);
+    const candidates = state.seen
+      ? feed.entries.filter(entry => !seen.has(entry.guid))
+      : feed.entries.slice(0, this.bootstrapLimit);
+
+    const signals = candidates
+      .filter(entry => entry.title && this.isRecent(entry))
+      .map(entry => this.buildArticleSignal(url, feed, entry))
+      .filter(signal => !isConsumed(signal.id));
+
+    const pending = new Set(signals.map(signal => signal.data.guid));
+    for (const signal of signals) {
+      signal.cursor = { type: 'seen', mark: { guid: signal.data.guid }, after: [] };
+    }
+    if (pending.size > 0) {
+      state.etag = null;
+      state.last_modified = null;
+    }
+
+    const guids = feed.entries.map(e => e.guid).filter(guid => !pending.has(guid));
+    state.seen = [...new Set([...guids, ...(state.seen || [])])].slice(0, SEEN_LIMIT);
+    state.title = feed.title;
+    state.checked_at = new Date().toISOString();
+    feeds[url] = state;
+    stateStore.set('feeds', feeds);
+
+    logger.info('Feed checked', {
+      url,
+      format: feed.format,
+      entries: feed.entries.length,
+      new_signals: signals.length
+    });
+    return signals;
+  }
+
+  // Detect new articles across every configured feed
+  async detectSignals() {
+    const signals = [];
+
+    for (const url of this.urls) {
+      try {
+        signals.push(...await this.detectFeedSignals(url));
+      } catch (error) {
+        // One broken feed should not hide the others
+        logger.error('Skipping feed after fetch failure', { url, error: error.message });
+      }
+    }
+
+    return signals;
+  }
+
+  // Mark signal as processed and remember its entry as seen
+  markProcessed(signal) {
+    stateStore.markProcessed(signal.id, {
+      type: signal.type,
+      source: this.source,
+      repo: signal.repo,
+      timestamp: new Date().toISOString(),
+      confidence: signal.confidence
+    });
+    logger.debug('Signal marked as processed', { id: signal.id, type: signal.type });
+
+    const feeds = stateStore.get('feeds', {});
+    const state = feeds[signal.data.feed_url];
+    if (signal.cursor && state) {
+      state.seen = [signal.cursor.mark.guid, ...(state.seen || []).filter(guid => guid !== signal.cursor.mark.guid)]
+        .slice(0, SEEN_LIMIT);
+      stateStore.set('feeds', feeds);
+    }
+  }
+
+  // Report feeds that failed on their last poll
+  async healthCheck() {
+    if (this.urls.length === 0) {
+      return { status: 'degraded', source: this.source, message: 'No FEED_URLS configured' };
+    }
+
+    const feeds = stateStore.get('feeds', {});
+    const neverChecked = this.urls.filter(url => !feeds[url] || !feeds[url].checked_at);
+    return {
+      status: neverChecked.length === this.urls.length ? 'degraded' : 'healthy',
+      source: this.source,
+      feeds: this.urls.length,
+      never_checked: neverChecked
+    };
+  }
+}
+
+module.exports = { FeedTrigger };
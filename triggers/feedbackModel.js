@@ -0,0 +1,244 @@
+// triggers/feedbackModel.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const OUTCOMES = ['approve', 'edit', 'reject'];
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'into', 'are', 'was',
+  'not', 'but', 'all', 'can', 'has', 'have', 'its', 'our', 'out', 'you'
+]);
+const MAX_TOKENS = 40;
+
+/**
+ * Features a queue decision is learned from: type, source, category, commit type,
+ * words of the message/title, labels, and top-level directories / extensions of paths
+ * @param {Object} signal - Classified signal
+ * @returns {Array} Feature strings ("type:commit", "token:oauth", "dir:src", ...)
+ */
+function extractFeatures(signal) {
+  const data = signal.data || {};
+  const classification = signal.classification || {};
+  const features = new Set([`type:${signal.type}`, `source:${signal.source || 'github'}`]);
+
+  if (signal.category) features.add(`category:${signal.category}`);
+  if (classification.commit_type) features.add(`commit_type:${classification.commit_type}`);
+  if (classification.breaking) features.add('breaking');
+
+  const text = [data.message, data.title, data.name]
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .toLowerCase();
+  const tokens = (text.match(/[a-z][a-z0-9_-]{2,}/g) || []).filter(token => !STOPWORDS.has(token));
+  for (const token of tokens.slice(0, MAX_TOKENS)) {
+    features.add(`token:${token}`);
+  }
+
+  for (const label of data.labels || []) {
+    features.add(`label:${String(label).toLowerCase()}`);
+  }
+
+  for (const file of data.files || []) {
+    const parts = file.filename.toLowerCase().split('/');
+    if (parts.length > 1) features.add(`dir:${parts[0]}`);
+    const name = parts[parts.length - 1];
+    if (name.includes('.')) features.add(`ext:${name.split('.').pop()}`);
+  }
+
+  return [...features];
+}
+
+// Precision/recall/F1/accuracy from predicted vs. actual booleans
+function metrics(pairs) {
+  const tp = pairs.filter(p => p.predicted && p.actual).length;
+  const fp = pairs.filter(p => p.predicted && !p.actual).length;
+  const fn = pairs.filter(p => !p.predicted && p.actual).length;
+  const correct = pairs.filter(p => p.predicted === p.actual).length;
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+
+  return {
+    precision: parseFloat(precision.toFixed(3)),
+    recall: parseFloat(recall.toFixed(3)),
+    f1: precision + recall > 0 ? parseFloat((2 * precision * recall / (precision + recall)).toFixed(3)) : 0,
+    accuracy: pairs.length > 0 ? parseFloat((correct / pairs.length).toFixed(3)) : 0
+  };
+}
+
+/**
+ * Naive Bayes model of queue decisions
+ * Approved and edited posts count as "worth posting", rejected ones as not. Decisions
+ * and the trained feature counts are persisted to FEEDBACK_MODEL_FILE. Once enough
+ * decisions of both kinds exist, the model's probability is blended into classifier
+ * confidence with weight FEEDBACK_WEIGHT.
+ */
+class FeedbackModel {
+  constructor(file = process.env.FEEDBACK_MODEL_FILE || path.join(__dirname, '../feedback.json')) {
+    this.file = file;
+    this.minDecisions = parseInt(process.env.FEEDBACK_MIN_DECISIONS || '20', 10);
+    this.weight = parseFloat(process.env.FEEDBACK_WEIGHT || '0.3');
+    this.maxDecisions = 2000;
+    this.decisions = this.load();
+    this.model = this.train(this.decisions);
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return [];
+      return JSON.parse(fs.readFileSync(this.file, 'utf8')).decisions || [];
+    } catch (error) {
+      logger.error('Failed to load feedback model, starting empty', { error: error.message });
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.file, JSON.stringify({
+        decisions: this.decisions,
+        model: this.model,
+        updated_at: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      logger.error('Failed to save feedback model', { error: error.message });
+    }
+  }
+
+  /**
+   * Count feature occurrences per class
+   * @param {Array} decisions - Recorded decisions
+   * @returns {Object} { positive: { docs, total, counts }, negative: {...}, vocabulary }
+   */
+  train(decisions) {
+    const model = {
+      positive: { docs: 0, total: 0, counts: {} },
+      negative: { docs: 0, total: 0, counts: {} },
+      vocabulary: 0
+    };
+    const vocabulary = new Set();
+
+    for (const decision of decisions) {
+      const side = decision.outcome === 'reject' ? model.negative : model.positive;
+      side.docs++;
+      for (const feature of decision.features) {
+        side.counts[feature] = (side.counts[feature] || 0) + 1;
+        side.total++;
+        vocabulary.add(feature);
+      }
+    }
+
+    model.vocabulary = vocabulary.size;
+    return model;
+  }
+
+  // Enough decisions of both kinds to say something useful
+  isReady(model = this.model) {
+    return model.positive.docs + model.negative.docs >= this.minDecisions &&
+      model.positive.docs > 0 && model.negative.docs > 0;
+  }
+
+  /**
+   * Probability that a signal with these features is worth posting
+   * @param {Array} features - From extractFeatures()
+   * @param {Object} model - Trained counts (defaults to the persisted model)
+   * @returns {Number} 0..1
+   */
+  score(features, model = this.model) {
+    const { positive, negative } = model;
+    const vocabulary = model.vocabulary + 1;
+    const docs = positive.docs + negative.docs;
+
+    // Log-odds with Laplace smoothing; unseen features count once on both sides
+    let logOdds = Math.log((positive.docs + 1) / (docs + 2)) - Math.log((negative.docs + 1) / (docs + 2));
+    for (const feature of features) {
+      logOdds += Math.log(((positive.counts[feature] || 0) + 1) / (positive.total + vocabulary));
+      logOdds -= Math.log(((negative.counts[feature] || 0) + 1) / (negative.total + vocabulary));
+    }
+
+    return 1 / (1 + Math.exp(-logOdds));
+  }
+
+  /**
+   * Blend the model's score into a classifier confidence
+   * @param {Number} confidence - Rule-based confidence
+   * @param {Array} features - Signal features
+   * @returns {Object|null} { confidence, score }, or null while the model is not ready
+   */
+  blend(confidence, features) {
+    if (!this.isReady()) return null;
+
+    const score = this.score(features);
+    return {
+      confidence: Math.max(0.3, Math.min(1.0, (1 - this.weight) * confidence + this.weight * score)),
+      score: parseFloat(score.toFixed(3))
+    };
+  }
+
+  /**
+   * Record a queue decision and retrain
+   * @param {Object} signal - { id, confidence, features } captured when the post was queued
+   * @param {String} outcome - approve, edit or reject
+   */
+  record(signal, outcome) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown feedback outcome "${outcome}" (expected ${OUTCOMES.join(', ')})`);
+    }
+
+    this.decisions.push({
+      signal_id: signal.id,
+      outcome,
+      confidence: signal.confidence,
+      features: signal.features,
+      decided_at: new Date().toISOString()
+    });
+    if (this.decisions.length > this.maxDecisions) {
+      this.decisions = this.decisions.slice(-this.maxDecisions);
+    }
+
+    this.model = this.train(this.decisions);
+    this.save();
+
+    logger.info('Feedback recorded', { signalId: signal.id, outcome, decisions: this.decisions.length });
+  }
+
+  /**
+   * Cross-validate the model on past decisions
+   * @param {Number} folds - Number of folds
+   * @param {Number} threshold - Score/confidence at which a signal counts as "post it"
+   * @returns {Object} Precision/recall of the model, and of the recorded classifier
+   *                   confidence as a baseline
+   */
+  evaluate(folds = 5, threshold = 0.5) {
+    const decisions = this.decisions;
+    const k = Math.min(folds, decisions.length);
+    const model = [];
+    const baseline = [];
+
+    for (let fold = 0; fold < k; fold++) {
+      const training = decisions.filter((_, i) => i % k !== fold);
+      const trained = this.train(training);
+
+      decisions.forEach((decision, i) => {
+        if (i % k !== fold) return;
+        const actual = decision.outcome !== 'reject';
+        model.push({ predicted: this.score(decision.features, trained) >= threshold, actual });
+        if (typeof decision.confidence === 'number') {
+          baseline.push({ predicted: decision.confidence >= threshold, actual });
+        }
+      });
+    }
+
+    return {
+      decisions: decisions.length,
+      approved: decisions.filter(d => d.outcome === 'approve').length,
+      edited: decisions.filter(d => d.outcome === 'edit').length,
+      rejected: decisions.filter(d => d.outcome === 'reject').length,
+      folds: k,
+      threshold,
+      model: metrics(model),
+      baseline: metrics(baseline)
+    };
+  }
+}
+
+module.exports = { FeedbackModel, extractFeatures };
@@ -0,0 +1,390 @@
+// triggers/forgeTrigger.js
+const axios = require('axios');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const { parseReleaseNotes, parseVersion } = require('../utils/releaseNotes');
+const { extractLinkedIssues } = require('../utils/linkedIssues');
+const { isConsumed, planCursor, cursorReady } = require('./signalCursor');
+
+/**
+ * Shared polling logic for GitHub-like forges (GitLab, Gitea/Forgejo)
+ * Handles cursors, deduplication and the common signal shape; subclasses only
+ * talk to their API and map its objects onto plain items:
+ *   getHeaders()                      -> auth headers
+ *   listCommits(repo, cursor)         -> [{ sha, message, author, author_login, parent_count, date, url }]
+ *   fetchCommitFiles(repo, sha)       -> [{ filename, status, additions, deletions }]
+ *   listMergedRequests(repo, cursor)  -> [{ number, title, body, author, merged_at, url, labels,
+ *                                          additions, deletions, changed_files }]
+ *   fetchReviewers(repo, request)     -> [login]
+ *   listIssues(repo, cursor)          -> [{ number, title, state, author, created_at, url, labels }]
+ *   listReleases(repo, cursor)        -> [{ tag_name, name, body, prerelease, author, published_at,
+ *                                          url, assets }]
+ * All lists are newest first. List methods page through the API with listPages()
+ * until they reach the cursor (at most FORGE_MAX_PAGES pages).
+ */
+class ForgeTrigger {
+  constructor(source, { baseUrl, token, repos, healthPath }) {
+    this.source = source;
+    this.baseUrl = baseUrl;
+    this.token = token;
+    this.repos = repos;
+    this.healthPath = healthPath;
+    this.pageSize = 30;
+    this.pageSizeParam = 'per_page';
+    this.maxPages = parseInt(process.env.FORGE_MAX_PAGES || '5', 10);
+    this.bootstrapLimit = 5; // Items taken on the first run, before any cursor exists
+    this.timeout = 10000;
+  }
+
+  // GET an API path and return the response body
+  async get(path, params = {}) {
+    const response = await axios.get(`${this.baseUrl}${path}`, {
+      headers: this.getHeaders(),
+      params,
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+
+  // Page size for a list request: small on first run, full once a cursor exists
+  limit(cursor) {
+    return cursor ? this.pageSize : this.bootstrapLimit;
+  }
+
+  /**
+   * GET a newest-first list page by page until it reaches the cursor
+   * @param {String} path - API path
+   * @param {Object} params - Query parameters, without paging
+   * @param {Object} cursor - Stream cursor, or null on first run (one small page)
+   * @param {Function} map - Raw page -> plain items (may drop some)
+   * @param {Function} reached - Plain item -> true once it is at or behind the cursor
+   * @returns {Array} Plain items of every page read
+   */
+  async listPages(path, params, cursor, map, reached) {
+    const perPage = this.limit(cursor);
+    const items = [];
+
+    for (let page = 1; page <= (cursor ? this.maxPages : 1); page++) {
+      const batch = await this.get(path, { ...params, page, [this.pageSizeParam]: perPage });
+      const mapped = map(batch);
+      items.push(...mapped);
+      if (batch.length < perPage || mapped.some(reached)) return items;
+    }
+
+    if (cursor) {
+      logger.warn('Pagination cap reached before cursor', { source: this.source, path, maxPages: this.maxPages });
+    }
+    return items;
+  }
+
+  // Cursors share GitHub's stateStore key, namespaced by source
+  cursorKey(repo) {
+    return `${this.source}:${repo}`;
+  }
+
+  getCursor(repo, type) {
+    const cursors = stateStore.get('cursors', {});
+    const key = this.cursorKey(repo);
+    return cursors[key] ? cursors[key][type] || null : null;
+  }
+
+  setCursor(repo, type, mark) {
+    const cursors = stateStore.get('cursors', {});
+    const key = this.cursorKey(repo);
+    cursors[key] = { ...cursors[key], [type]: { ...mark, updated_at: new Date().toISOString() } };
+    stateStore.set('cursors', cursors);
+  }
+
+  // Store the part of a stream's cursor no pending signal depends on; the rest moves in markProcessed
+  trackCursor(repo, type, entries) {
+    const safe = planCursor(entries, type);
+    if (safe) {
+      this.setCursor(repo, type, safe);
+    }
+  }
+
+  // True if an item is newer than the cursor (always true without a cursor). An item sharing
+  // the cursor's timestamp is newer unless it is the cursor's own item (`same`); consumed
+  // ones are skipped by signal id. Compared as dates: self-hosted forges report local offsets
+  isNewer(date, cursor, field, same = false) {
+    if (!cursor || !cursor[field]) return true;
+    const time = new Date(date).getTime();
+    const mark = new Date(cursor[field]).getTime();
+    return time > mark || (time === mark && !same);
+  }
+
+  // isNewer() for each stream, keyed by the item field its cursor remembers
+  commitIsNewer(commit, cursor) {
+    return this.isNewer(commit.date, cursor, 'date', !!cursor && commit.sha === cursor.sha);
+  }
+
+  requestIsNewer(request, cursor) {
+    return this.isNewer(request.merged_at, cursor, 'merged_at', !!cursor && request.number === cursor.number);
+  }
+
+  issueIsNewer(issue, cursor) {
+    return this.isNewer(issue.created_at, cursor, 'created_at', !!cursor && issue.number === cursor.number);
+  }
+
+  releaseIsNewer(release, cursor) {
+    return this.isNewer(release.published_at, cursor, 'published_at', !!cursor && release.tag_name === cursor.tag);
+  }
+
+  // Signal IDs are prefixed with the source so "group/app" on GitLab and GitHub don't collide
+  signalId(repo, kind, key) {
+    return `${this.source}:${repo}:${kind}:${key}`;
+  }
+
+  // Count added/removed lines in a unified diff hunk
+  countDiffLines(diff) {
+    let additions = 0;
+    let deletions = 0;
+    for (const line of (diff || '').split('\n')) {
+      if (line.startsWith('+') && !line.startsWith('+++')) additions++;
+      else if (line.startsWith('-') && !line.startsWith('---')) deletions++;
+    }
+    return { additions, deletions };
+  }
+
+  // Build a commit signal in the same shape GitHubTrigger produces
+  buildCommitSignal(repo, commit, files) {
+    return {
+      type: 'commit',
+      source: this.source,
+      repo,
+      id: this.signalId(repo, 'commit', commit.sha),
+      data: {
+        sha: commit.sha,
+        message: commit.message,
+        author: commit.author,
+        author_login: commit.author_login ?? null,
+        author_type: null,
+        parent_count: commit.parent_count ?? null,
+        date: commit.date,
+        url: commit.url,
+        files_changed: files.length,
+        additions: files.reduce((sum, f) => sum + (f.additions || 0), 0),
+        deletions: files.reduce((sum, f) => sum + (f.deletions || 0), 0),
+        files
+      },
+      confidence: 0.7 // Base confidence for commits
+    };
+  }
+
+  // Build a pull_request signal from a merged pull/merge request
+  buildPullRequestSignal(repo, request, reviewers) {
+    return {
+      type: 'pull_request',
+      source: this.source,
+      repo,
+      id: this.signalId(repo, 'pr', request.number),
+      data: {
+        number: request.number,
+        title: request.title,
+        body: request.body || '',
+        author: request.author,
+        merged_at: request.merged_at,
+        url: request.url,
+        labels: request.labels,
+        additions: request.additions ?? null,
+        deletions: request.deletions ?? null,
+        changed_files: request.changed_files ?? null,
+        linked_issues: extractLinkedIssues(`${request.title}\n${request.body || ''}`),
+        reviewers
+      },
+      confidence: 0.75 // Merged requests are reviewed, shipped work
+    };
+  }
+
+  // Build an issue signal
+  buildIssueSignal(repo, issue) {
+    return {
+      type: 'issue',
+      source: this.source,
+      repo,
+      id: this.signalId(repo, 'issue', issue.number),
+      data: {
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        author: issue.author,
+        created_at: issue.created_at,
+        url: issue.url,
+        labels: issue.labels
+      },
+      confidence: 0.6 // Lower confidence for issues
+    };
+  }
+
+  // Build a release signal
+  buildReleaseSignal(repo, release) {
+    return {
+      type: 'release',
+      source: this.source,
+      repo,
+      id: this.signalId(repo, 'release', release.tag_name),
+      data: {
+        tag_name: release.tag_name,
+        name: release.name || release.tag_name,
+        body: release.body || '',
+        prerelease: release.prerelease,
+        author: release.author,
+        published_at: release.published_at,
+        url: release.url,
+        assets: release.assets,
+        version: parseVersion(release.tag_name),
+        notes: parseReleaseNotes(release.body),
+        from_tag: false
+      },
+      confidence: 0.85 // Releases are deliberate announcements
+    };
+  }
+
+  // Detect new commits, merged requests, issues and releases in one repository
+  async detectRepoSignals(repo) {
+    logger.info('Detecting forge signals', { source: this.source, repo });
+    const signals = [];
+
+    const commitCursor = this.getCursor(repo, 'commit');
+    const commits = (await this.listCommits(repo, commitCursor))
+      .filter(commit => this.commitIsNewer(commit, commitCursor));
+    const commitEntries = [];
+    for (const commit of commits) {
+      const mark = { sha: commit.sha, date: commit.date };
+      if (isConsumed(this.signalId(repo, 'commit', commit.sha))) {
+        commitEntries.push({ mark, signal: null });
+        continue;
+      }
+      const files = await this.fetchCommitFiles(repo, commit.sha);
+      const signal = this.buildCommitSignal(repo, commit, files);
+      signals.push(signal);
+      commitEntries.push({ mark, signal });
+    }
+    this.trackCursor(repo, 'commit', commitEntries);
+
+    try {
+      const cursor = this.getCursor(repo, 'pull_request');
+      // Listed by update time, so order by merge time for the cursor
+      const requests = (await this.listMergedRequests(repo, cursor))
+        .filter(request => this.requestIsNewer(request, cursor))
+        .sort((a, b) => new Date(b.merged_at) - new Date(a.merged_at));
+      const entries = [];
+      for (const request of requests) {
+        const mark = { number: request.number, merged_at: request.merged_at };
+        if (isConsumed(this.signalId(repo, 'pr', request.number))) {
+          entries.push({ mark, signal: null });
+          continue;
+        }
+        const reviewers = await this.fetchReviewers(repo, request);
+        const signal = this.buildPullRequestSignal(repo, request, reviewers);
+        signals.push(signal);
+        entries.push({ mark, signal });
+      }
+      this.trackCursor(repo, 'pull_request', entries);
+    } catch (error) {
+      logger.debug('Merge request check skipped', { source: this.source, repo, error: error.message });
+    }
+
+    try {
+      const cursor = this.getCursor(repo, 'issue');
+      const issues = (await this.listIssues(repo, cursor))
+        .filter(issue => this.issueIsNewer(issue, cursor));
+      const entries = issues.map(issue => {
+        const signal = this.buildIssueSignal(repo, issue);
+        return {
+          mark: { number: issue.number, created_at: issue.created_at },
+          signal: isConsumed(signal.id) ? null : signal
+        };
+      });
+      signals.push(...entries.filter(entry => entry.signal).map(entry => entry.signal));
+      this.trackCursor(repo, 'issue', entries);
+    } catch (error) {
+      logger.debug('Issue check skipped', { source: this.source, repo, error: error.message });
+    }
+
+    try {
+      const cursor = this.getCursor(repo, 'release');
+      const releases = (await this.listReleases(repo, cursor))
+        .filter(release => this.releaseIsNewer(release, cursor));
+      const entries = releases.map(release => {
+        const signal = this.buildReleaseSignal(repo, release);
+        return {
+          mark: { tag: release.tag_name, published_at: release.published_at },
+          signal: isConsumed(signal.id) ? null : signal
+        };
+      });
+      signals.push(...entries.filter(entry => entry.signal).map(entry => entry.signal));
+      this.trackCursor(repo, 'release', entries);
+    } catch (error) {
+      logger.debug('Release check skipped', { source: this.source, repo, error: error.message });
+    }
+
+    logger.info('Forge signal detection complete', {
+      source: this.source,
+      repo,
+      total_signals: signals.length
+    });
+    return signals;
+  }
+
+  // Detect new signals across every configured repository
+  async detectSignals() {
+    const signals = [];
+
+    for (const repo of this.repos) {
+      try {
+        signals.push(...await this.detectRepoSignals(repo));
+      } catch (error) {
+        // One broken project should not hide activity in the others
+        logger.error('Skipping repository after detection failure', {
+          source: this.source,
+          repo,
+          error: error.message
+        });
+      }
+    }
+
+    return signals;
+  }
+
+  // Mark signal as processed, then advance the cursor it was detected under
+  markProcessed(signal) {
+    stateStore.markProcessed(signal.id, {
+      type: signal.type,
+      source: this.source,
+      repo: signal.repo,
+      timestamp: new Date().toISOString(),
+      confidence: signal.confidence
+    });
+    logger.debug('Signal marked as processed', { id: signal.id, type: signal.type });
+
+    if (cursorReady(signal)) {
+      this.saveCursor(signal.repo, signal.cursor);
+    }
+  }
+
+  // Store a consumed signal's cursor mark
+  saveCursor(repo, cursor) {
+    this.setCursor(repo, cursor.type, cursor.mark);
+  }
+
+  // Check that the API is reachable with the configured token
+  async healthCheck() {
+    if (!this.token) {
+      return {
+        status: 'degraded',
+        source: this.source,
+        message: 'No access token configured, only public projects are visible'
+      };
+    }
+
+    try {
+      await this.get(this.healthPath);
+      return { status: 'healthy', source: this.source, repos: this.repos.length };
+    } catch (error) {
+      return { status: 'unhealthy', source: this.source, error: error.message };
+    }
+  }
+}
+
+module.exports = { ForgeTrigger };
@@ -0,0 +1,137 @@
+// triggers/giteaTrigger.js
+const { ForgeTrigger } = require('./forgeTrigger');
+
+/**
+ * Gitea / Forgejo trigger
+ * Repositories come from GITEA_REPOS as "owner/name". Both forges share the
+ * same /api/v1 surface, which closely follows GitHub's REST API.
+ */
+class GiteaTrigger extends ForgeTrigger {
+  constructor() {
+    const url = (process.env.GITEA_URL || 'https://codeberg.org').replace(/\/+$/, '');
+    super('gitea', {
+      baseUrl: `${url}/api/v1`,
+      token: process.env.GITEA_TOKEN,
+      repos: (process.env.GITEA_REPOS || '').split(',').map(r => r.trim()).filter(Boolean),
+      healthPath: '/version'
+    });
+    this.pageSizeParam = 'limit';
+  }
+
+  // Build Gitea API headers
+  getHeaders() {
+    return this.token ? { 'Authorization': `token ${this.token}` } : {};
+  }
+
+  async listCommits(repo, cursor) {
+    // Skip per-commit stats and file lists here; they are fetched only for new commits
+    return this.listPages(
+      `/repos/${repo}/commits`,
+      { stat: false, files: false, verification: false },
+      cursor,
+      commits => commits.map(commit => ({
+        sha: commit.sha,
+        message: commit.commit.message,
+        author: commit.commit.author.name,
+        author_login: commit.author ? commit.author.login : null,
+        parent_count: commit.parents ? commit.parents.length : null,
+        date: commit.commit.committer ? commit.commit.committer.date : commit.commit.author.date,
+        url: commit.html_url
+      })),
+      commit => !this.commitIsNewer(commit, cursor)
+    );
+  }
+
+  async fetchCommitFiles(repo, sha) {
+    const commit = await this.get(`/repos/${repo}/git/commits/${sha}`);
+
+    // Gitea reports per-file status but only commit-wide line counts
+    return (commit.files || []).map(file => ({
+      filename: file.filename,
+      status: file.status,
+      additions: null,
+      deletions: null
+    }));
+  }
+
+  async listMergedRequests(repo, cursor) {
+    // Closed pull requests include ones that were abandoned without merging.
+    // Sorted by last update: anything untouched since the cursor's merge can't be newer
+    return this.listPages(
+      `/repos/${repo}/pulls`,
+      { state: 'closed', sort: 'recentupdate' },
+      cursor,
+      pulls => pulls
+        .filter(pr => pr.merged)
+        .map(pr => ({
+          number: pr.number,
+          title: pr.title,
+          body: pr.body,
+          author: pr.user ? pr.user.login : null,
+          merged_at: pr.merged_at,
+          updated_at: pr.updated_at,
+          url: pr.html_url,
+          labels: (pr.labels || []).map(l => l.name),
+          additions: pr.additions,
+          deletions: pr.deletions,
+          changed_files: pr.changed_files
+        })),
+      pr => !this.isNewer(pr.updated_at, cursor, 'merged_at', true)
+    );
+  }
+
+  async fetchReviewers(repo, request) {
+    try {
+      const reviews = await this.get(`/repos/${repo}/pulls/${request.number}/reviews`);
+      return [...new Set(reviews.filter(r => r.user).map(r => r.user.login))];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async listIssues(repo, cursor) {
+    return this.listPages(
+      `/repos/${repo}/issues`,
+      { state: 'open', type: 'issues' },
+      cursor,
+      issues => issues.map(issue => ({
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        author: issue.user ? issue.user.login : null,
+        created_at: issue.created_at,
+        url: issue.html_url,
+        labels: (issue.labels || []).map(l => l.name)
+      })),
+      issue => !this.issueIsNewer(issue, cursor)
+    );
+  }
+
+  async listReleases(repo, cursor) {
+    return this.listPages(
+      `/repos/${repo}/releases`,
+      { draft: false },
+      cursor,
+      releases => releases
+        .filter(release => !release.draft)
+        .map(release => ({
+          tag_name: release.tag_name,
+          name: release.name,
+          body: release.body,
+          prerelease: release.prerelease,
+          author: release.author ? release.author.login : null,
+          published_at: release.published_at,
+          url: release.html_url,
+          assets: (release.assets || []).map(asset => ({
+            name: asset.name,
+            size: asset.size,
+            download_count: asset.download_count,
+            url: asset.browser_download_url
+          }))
+        })),
+      release => !this.releaseIsNewer(release, cursor)
+    );
+  }
+}
+
+module.exports = { GiteaTrigger };
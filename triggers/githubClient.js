@@ -0,0 +1,228 @@
+// triggers/githubClient.js
+const axios = require('axios');
+const logger = require('../utils/logger');
+const httpCache = require('../utils/httpCache');
+
+// Raised when a request would dip below the configured quota floor
+class RateLimitError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.remaining = details.remaining ?? null;
+    this.resetAt = details.resetAt ?? null;
+  }
+}
+
+/**
+ * Rate-limit-aware GitHub REST client
+ * - Conditional requests: ETag / If-None-Match cached on disk next to the HTTP cache (304s are free)
+ * - Honours Retry-After and secondary rate limits with bounded backoff
+ * - Refuses to spend the last GITHUB_RATE_LIMIT_FLOOR requests of the hourly quota
+ */
+class GitHubClient {
+  constructor() {
+    this.token = process.env.GITHUB_TOKEN;
+    this.baseUrl = 'https://api.github.com';
+    this.quotaFloor = parseInt(process.env.GITHUB_RATE_LIMIT_FLOOR || '100', 10);
+    this.maxRetries = parseInt(process.env.GITHUB_MAX_RETRIES || '3', 10);
+    this.maxBackoffMs = parseInt(process.env.GITHUB_MAX_BACKOFF_SECONDS || '120', 10) * 1000;
+    this.remaining = null;
+    this.resetAt = null;
+  }
+
+  // Build GitHub API headers
+  getHeaders() {
+    return {
+      'Authorization': `token ${this.token}`,
+      'Accept': 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+  }
+
+  // True once the remaining quota has fallen below the configured floor, until the window resets
+  quotaExhausted() {
+    if (this.resetAt !== null && Date.now() >= this.resetAt) return false;
+    return this.remaining !== null && this.remaining < this.quotaFloor;
+  }
+
+  // Stable cache key for a path + query combination
+  cacheKey(path, params) {
+    const query = Object.keys(params).sort()
+      .map(key => `${key}=${params[key]}`)
+      .join('&');
+    return query ? `${path}?${query}` : path;
+  }
+
+  // Track X-RateLimit-* headers from every response
+  _updateRateLimit(headers) {
+    if (headers['x-ratelimit-remaining'] !== undefined) {
+      this.remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    }
+    if (headers['x-ratelimit-reset'] !== undefined) {
+      this.resetAt = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+    }
+  }
+
+  // Work out how long to wait before retrying a rate-limited request (null = don't retry)
+  _backoffFor(error, attempt) {
+    const response = error.response;
+    if (!response || (response.status !== 403 && response.status !== 429)) {
+      return null;
+    }
+
+    const retryAfter = response.headers['retry-after'];
+    if (retryAfter) {
+      return parseInt(retryAfter, 10) * 1000;
+    }
+
+    // Primary limit exhausted: wait for the window to reset
+    if (response.headers['x-ratelimit-remaining'] === '0' && this.resetAt) {
+      return Math.max(0, this.resetAt - Date.now()) + 1000;
+    }
+
+    // Secondary limit without Retry-After: GitHub asks for at least a minute, growing per retry
+    const message = response.data?.message || '';
+    if (/secondary rate limit|abuse/i.test(message)) {
+      return 60000 * Math.pow(2, attempt);
+    }
+
+    return null;
+  }
+
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Cached ETag and payload for a request key, or null
+  _cachedEtag(key) {
+    return httpCache.read(httpCache.key('github-etag', key));
+  }
+
+  // Persist an ETag and its payload as its own file in the (gitignored, size-capped) HTTP cache
+  _storeEtag(key, etag, data) {
+    httpCache.write(httpCache.key('github-etag', key), { etag, data, fetchedAt: new Date().toISOString() });
+  }
+
+  /**
+   * GET a GitHub API path
+   * @param {String} path - API path, e.g. "/repos/owner/name/commits"
+   * @param {Object} params - Query parameters
+   * @param {Object} options - { conditional: use ETag cache }
+   * @returns {Object} { data, headers, notModified }
+   */
+  async request(path, params = {}, options = {}) {
+    const key = this.cacheKey(path, params);
+    const cached = options.conditional ? this._cachedEtag(key) : null;
+
+    for (let attempt = 0; ; attempt++) {
+      if (this.quotaExhausted()) {
+        throw new RateLimitError('GitHub API quota below configured floor', {
+          remaining: this.remaining,
+          resetAt: this.resetAt
+        });
+      }
+
+      const headers = this.getHeaders();
+      if (cached) {
+        headers['If-None-Match'] = cached.etag;
+      }
+
+      try {
+        const response = await axios.get(`${this.baseUrl}${path}`, {
+          headers,
+          params,
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+
+        this._updateRateLimit(response.headers);
+
+        if (response.status === 304) {
+          logger.debug('GitHub response not modified, using cached data', { path });
+          return { data: cached.data, headers: response.headers, notModified: true };
+        }
+
+        if (options.conditional && response.headers.etag) {
+          this._storeEtag(key, response.headers.etag, response.data);
+        }
+
+        return { data: response.data, headers: response.headers, notModified: false };
+      } catch (error) {
+        if (error.response) {
+          this._updateRateLimit(error.response.headers);
+        }
+
+        const waitMs = this._backoffFor(error, attempt);
+        if (waitMs === null) {
+          throw error;
+        }
+
+        if (attempt >= this.maxRetries || waitMs > this.maxBackoffMs) {
+          throw new RateLimitError('GitHub API rate limit hit, giving up', {
+            remaining: this.remaining,
+            resetAt: this.resetAt
+          });
+        }
+
+        logger.warn('GitHub rate limit hit, backing off', {
+          path,
+          attempt: attempt + 1,
+          waitMs
+        });
+        await this._sleep(waitMs);
+      }
+    }
+  }
+
+  /**
+   * Walk a paginated list endpoint (newest first) until a high-water mark is reached
+   * @param {String} path - API path
+   * @param {Object} params - Query parameters (per_page is respected)
+   * @param {Object} options - {
+   *   maxPages: page cap,
+   *   stopWhen: item => true once the item was already seen (it and older items are dropped),
+   *   conditional: ETag-cache the first page
+   * }
+   * @returns {Object} { items, truncated } - truncated when the page cap cut the walk short
+   */
+  async paginate(path, params = {}, options = {}) {
+    const perPage = params.per_page || 30;
+    const maxPages = options.maxPages || 1;
+    const stopWhen = options.stopWhen || (() => false);
+    const items = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      // Only the first page is stable enough to be worth an ETag
+      const { data, notModified } = await this.request(
+        path,
+        { ...params, per_page: perPage, page },
+        { conditional: options.conditional && page === 1 }
+      );
+
+      for (const item of data) {
+        if (stopWhen(item)) {
+          return { items, truncated: false };
+        }
+        items.push(item);
+      }
+
+      // Unchanged first page, or a short page, means there is nothing older to walk
+      if (notModified || data.length < perPage) {
+        return { items, truncated: false };
+      }
+    }
+
+    // Without a high-water mark a single capped page is the expected outcome
+    if (options.stopWhen) {
+      logger.warn('Pagination cap reached before high-water mark', { path, maxPages });
+    }
+    return { items, truncated: true };
+  }
+
+  // Convenience wrapper returning only the response body
+  async get(path, params = {}, options = {}) {
+    const response = await this.request(path, params, options);
+    return response.data;
+  }
+}
+
+module.exports = { GitHubClient, RateLimitError };
@@ -1,14 +1,27 @@
 // triggers/githubTrigger.js
-const axios = require('axios');
 const logger = require('../utils/logger')
   const stateStore = require('../utils/stateStore');
+const readmeCache = require('../utils/readmeCache');
+const { GitHubClient, RateLimitError } = require('./githubClient');
+const { parseReleaseNotes, parseVersion, compareVersions } = require('../utils/releaseNotes');
+const { diffMarkdown } = require('../utils/markdownDiff');
+const { extractLinkedIssues } = require('../utils/linkedIssues');
+const { RepoWatchList } = require('./repoWatchList');
+const { isConsumed, planCursor, cursorReady } = require('./signalCursor');
 
 class GitHubTrigger {
   constructor() {
+    this.source = 'github';
     this.token = process.env.GITHUB_TOKEN;
     this.owner = process.env.GITHUB_OWNER || 'SyedFrazAli';
     this.repo = process.env.GITHUB_REPO;
-    this.baseUrl = 'https://api.github.com';
+    this.client = new GitHubClient();
+    // Incremental detection: page size, page cap, and first-run item count
+    this.pageSize = parseInt(process.env.GITHUB_PAGE_SIZE || '30', 10);
+    this.maxPages = parseInt(process.env.GITHUB_MAX_PAGES || '5', 10);
+    this.bootstrapLimit = parseInt(process.env.GITHUB_BOOTSTRAP_LIMIT || '5', 10);
+    this.watchList = new RepoWatchList(this);
+    this.repoDetectors = [];
     
     if (!this.token) {
       logger.warn('GITHUB_TOKEN not found in environment variables');
@@ -17,166 +30,643 @@ class GitHubTrigger {
 
   // Build GitHub API headers
   getHeaders() {
-    return {
-      'Authorization': `token ${this.token}`,
-      'Accept': 'application/vnd.github+json',
-      'X-GitHub-Api-Version': '2022-11-28'
-    };
+    return this.client.getHeaders();
+  }
+
+  // Qualify a bare repository name with the default owner ("repo" -> "owner/repo")
+  qualifyRepo(repo) {
+    return repo.includes('/') ? repo : `${this.owner}/${repo}`;
+  }
+
+  // Read the per-repo, per-signal-type high-water mark
+  getCursor(repo, type) {
+    const cursors = stateStore.get('cursors', {});
+    return cursors[repo] ? cursors[repo][type] || null : null;
+  }
+
+  // Advance the high-water mark once newer items have been seen
+  setCursor(repo, type, mark) {
+    const cursors = stateStore.get('cursors', {});
+    cursors[repo] = { ...cursors[repo], [type]: { ...mark, updated_at: new Date().toISOString() } };
+    stateStore.set('cursors', cursors);
+  }
+
+  // Store the part of a stream's cursor no pending signal depends on; the rest moves in markProcessed
+  trackCursor(repo, type, entries) {
+    const safe = planCursor(entries, type);
+    if (safe) {
+      this.setCursor(repo, type, safe);
+    }
+  }
+
+  // Remember the README a diff was computed against: its sha in state.json, its text in the README cache
+  saveReadmeSnapshot(repo, snapshot) {
+    readmeCache.write(repo, snapshot.sha, snapshot.content);
+    stateStore.set('readmeSnapshots', { ...stateStore.get('readmeSnapshots', {}), [repo]: { sha: snapshot.sha } });
+  }
+
+  // Pagination settings: walk until the cursor, or take one small page on first run
+  pageOptions(cursor, stopWhen) {
+    return cursor
+      ? { conditional: true, maxPages: this.maxPages, stopWhen }
+      : { conditional: true, maxPages: 1 };
   }
 
-  // Fetch recent commits for a repository
-  async fetchRecentCommits(repo, limit = 10) {
+  // Fetch commits newer than the cursor (or the latest few on first run)
+  async fetchRecentCommits(repo, cursor = null) {
     try {
-      logger.info('Fetching recent commits', { repo, limit });
+      logger.info('Fetching recent commits', { repo, since: cursor ? cursor.date : null });
       
-      const response = await axios.get(
-        `${this.baseUrl}/repos/${this.owner}/${repo}/commits`,
-        {
-          headers: this.getHeaders(),
-          params: { per_page: limit }
-        }
+      const { items, truncated } = await this.client.paginate(
+        `/repos/${repo}/commits`,
+        cursor
+          ? { per_page: this.pageSize, since: cursor.date }
+          : { per_page: this.bootstrapLimit },
+        this.pageOptions(cursor, commit => commit.sha === cursor.sha)
       );
       
-      logger.info('Commits fetched successfully', { count: response.data.length });
-      return response.data;
+      logger.info('Commits fetched successfully', { count: items.length, truncated });
+      return items;
     } catch (error) {
       logger.error('Failed to fetch commits', { repo, error: error.message });
       throw error;
     }
   }
 
+  // Fetch a single commit with its changed files (the list endpoint omits them)
+  async fetchCommitDetails(repo, sha) {
+    try {
+      return await this.client.get(`/repos/${repo}/commits/${sha}`);
+    } catch (error) {
+      logger.error('Failed to fetch commit details', { repo, sha, error: error.message });
+      throw error;
+    }
+  }
+
   // Fetch README content
   async fetchReadme(repo) {
     try {
       logger.info('Fetching README', { repo });
       
-      const response = await axios.get(
-        `${this.baseUrl}/repos/${this.owner}/${repo}/readme`,
-        { headers: this.getHeaders() }
+      const data = await this.client.get(
+        `/repos/${repo}/readme`,
+        {},
+        { conditional: true }
       );
       
       logger.info('README fetched successfully');
-      return response.data;
+      return data;
     } catch (error) {
       logger.error('Failed to fetch README', { repo, error: error.message });
       throw error;
     }
   }
 
-  // Fetch recent issues (open)
-  async fetchRecentIssues(repo, limit = 10) {
+  // Fetch open issues created after the cursor
+  async fetchRecentIssues(repo, cursor = null) {
     try {
-      logger.info('Fetching recent issues', { repo, limit });
+      logger.info('Fetching recent issues', { repo, after: cursor ? cursor.created_at : null });
       
-      const response = await axios.get(
-        `${this.baseUrl}/repos/${this.owner}/${repo}/issues`,
-        {
-          headers: this.getHeaders(),
-          params: { 
-            state: 'open',
-            per_page: limit,
-            sort: 'created',
-            direction: 'desc'
-          }
-        }
+      const { items, truncated } = await this.client.paginate(
+        `/repos/${repo}/issues`,
+        { 
+          state: 'open',
+          per_page: cursor ? this.pageSize : this.bootstrapLimit,
+          sort: 'created',
+          direction: 'desc'
+        },
+        this.pageOptions(cursor, issue => issue.created_at <= cursor.created_at)
       );
       
-      logger.info('Issues fetched successfully', { count: response.data.length });
-      return response.data;
+      logger.info('Issues fetched successfully', { count: items.length, truncated });
+      return items;
     } catch (error) {
       logger.error('Failed to fetch issues', { repo, error: error.message });
       throw error;
     }
   }
 
-  // Detect new signals from GitHub activity
+  // Fetch pull requests merged after the cursor
+  async fetchMergedPullRequests(repo, cursor = null) {
+    try {
+      logger.info('Fetching merged pull requests', { repo, after: cursor ? cursor.merged_at : null });
+      
+      // Sorted by last update: anything untouched since the last merge we saw can't be newer
+      const { items, truncated } = await this.client.paginate(
+        `/repos/${repo}/pulls`,
+        {
+          state: 'closed',
+          per_page: cursor ? this.pageSize : this.bootstrapLimit,
+          sort: 'updated',
+          direction: 'desc'
+        },
+        this.pageOptions(cursor, pr => pr.updated_at <= cursor.merged_at)
+      );
+      
+      // Closed PRs include ones that were abandoned without merging
+      const merged = items.filter(pr =>
+        pr.merged_at && (!cursor || pr.merged_at > cursor.merged_at)
+      );
+      
+      logger.info('Pull requests fetched successfully', {
+        count: items.length,
+        merged: merged.length,
+        truncated
+      });
+      return merged;
+    } catch (error) {
+      logger.error('Failed to fetch pull requests', { repo, error: error.message });
+      throw error;
+    }
+  }
+
+  // Fetch full pull request details (additions/deletions are not in the list endpoint)
+  async fetchPullRequestDetails(repo, number) {
+    try {
+      return await this.client.get(`/repos/${repo}/pulls/${number}`);
+    } catch (error) {
+      logger.error('Failed to fetch pull request details', { repo, number, error: error.message });
+      throw error;
+    }
+  }
+
+  // Fetch logins of everyone who submitted a review on a pull request
+  async fetchPullRequestReviewers(repo, number) {
+    try {
+      const data = await this.client.get(`/repos/${repo}/pulls/${number}/reviews`);
+      return [...new Set(data
+        .filter(review => review.user)
+        .map(review => review.user.login))];
+    } catch (error) {
+      logger.debug('Pull request reviews unavailable', { repo, number, error: error.message });
+      return [];
+    }
+  }
+
+  // Fetch published releases newer than the cursor
+  async fetchRecentReleases(repo, cursor = null) {
+    try {
+      logger.info('Fetching recent releases', { repo, after: cursor ? cursor.tag : null });
+      
+      const { items, truncated } = await this.client.paginate(
+        `/repos/${repo}/releases`,
+        { per_page: cursor ? this.pageSize : this.bootstrapLimit },
+        this.pageOptions(cursor, release =>
+          release.tag_name === cursor.tag ||
+          (release.published_at && release.published_at <= cursor.published_at)
+        )
+      );
+      
+      // Drafts are only visible to maintainers and are not announced yet
+      const published = items.filter(release => !release.draft);
+      
+      logger.info('Releases fetched successfully', { count: published.length, truncated });
+      return published;
+    } catch (error) {
+      logger.error('Failed to fetch releases', { repo, error: error.message });
+      throw error;
+    }
+  }
+
+  // Fetch version tags newer than the cursor, newest first (covers projects that tag
+  // without creating GitHub releases). /tags is not ordered by age, so every page up to
+  // the cap is read and tags are ordered by semver instead.
+  async fetchRecentTags(repo, cursor = null) {
+    try {
+      logger.info('Fetching recent tags', { repo, after: cursor ? cursor.name : null });
+      
+      const { items, truncated } = await this.client.paginate(
+        `/repos/${repo}/tags`,
+        { per_page: this.pageSize },
+        { conditional: true, maxPages: cursor ? this.maxPages : 1 }
+      );
+      
+      const since = cursor ? parseVersion(cursor.name) : null;
+      const tags = items
+        .map(tag => ({ tag, version: parseVersion(tag.name) }))
+        .filter(({ version }) => version && (!since || compareVersions(version, since) > 0))
+        .sort((a, b) => compareVersions(b.version, a.version))
+        .map(({ tag }) => tag);
+      
+      logger.info('Tags fetched successfully', { count: tags.length, truncated });
+      return since ? tags : tags.slice(0, this.bootstrapLimit);
+    } catch (error) {
+      logger.error('Failed to fetch tags', { repo, error: error.message });
+      throw error;
+    }
+  }
+
+  // Extract issue numbers a PR closes via GitHub closing keywords ("Fixes #12")
+  extractLinkedIssues(text) {
+    return extractLinkedIssues(text);
+  }
+
+  // Build a commit signal from a REST API commit object (with files when fetched individually)
+  buildCommitSignal(repo, commit) {
+    const files = (commit.files || []).map(file => ({
+      filename: file.filename,
+      status: file.status,
+      additions: file.additions ?? null,
+      deletions: file.deletions ?? null
+    }));
+    
+    return {
+      type: 'commit',
+      repo,
+      id: `${repo}:commit:${commit.sha}`,
+      data: {
+        sha: commit.sha,
+        message: commit.commit.message,
+        author: commit.commit.author.name,
+        // Linked GitHub account, when the commit email maps to one
+        author_login: commit.author ? commit.author.login : null,
+        author_type: commit.author ? commit.author.type : null,
+        parent_count: commit.parents ? commit.parents.length : null,
+        date: commit.commit.author.date,
+        url: commit.html_url,
+        files_changed: files.length,
+        additions: files.reduce((sum, f) => sum + (f.additions || 0), 0),
+        deletions: files.reduce((sum, f) => sum + (f.deletions || 0), 0),
+        files
+      },
+      confidence: 0.7 // Base confidence for commits
+    };
+  }
+
+  // Build a README update signal from a README contents object and its diff against the last seen version
+  buildReadmeSignal(repo, readme, diff = null) {
+    return {
+      type: 'readme_update',
+      repo,
+      id: `${repo}:readme:${readme.sha}`,
+      data: {
+        sha: readme.sha,
+        name: readme.name,
+        path: readme.path,
+        url: readme.html_url,
+        size: readme.size,
+        diff
+      },
+      confidence: 0.8 // Higher confidence for README updates
+    };
+  }
+
+  // Build an issue signal from a REST API issue object
+  buildIssueSignal(repo, issue) {
+    return {
+      type: 'issue',
+      repo,
+      id: `${repo}:issue:${issue.number}`,
+      data: {
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        author: issue.user.login,
+        author_type: issue.user.type,
+        created_at: issue.created_at,
+        url: issue.html_url,
+        labels: issue.labels.map(l => l.name)
+      },
+      confidence: 0.6 // Lower confidence for issues
+    };
+  }
+
+  // Build a pull request signal from a full pull request object and its reviewers
+  buildPullRequestSignal(repo, pr, reviewers) {
+    return {
+      type: 'pull_request',
+      repo,
+      id: `${repo}:pr:${pr.number}`,
+      data: {
+        number: pr.number,
+        title: pr.title,
+        body: pr.body || '',
+        author: pr.user.login,
+        author_type: pr.user.type,
+        merged_at: pr.merged_at,
+        url: pr.html_url,
+        labels: pr.labels.map(l => l.name),
+        additions: pr.additions,
+        deletions: pr.deletions,
+        changed_files: pr.changed_files,
+        linked_issues: this.extractLinkedIssues(`${pr.title}\n${pr.body || ''}`),
+        reviewers
+      },
+      confidence: 0.75 // Merged PRs are reviewed, shipped work
+    };
+  }
+
+  // Build a release signal from a REST API release object
+  buildReleaseSignal(repo, release) {
+    return {
+      type: 'release',
+      repo,
+      id: `${repo}:release:${release.tag_name}`,
+      data: {
+        tag_name: release.tag_name,
+        name: release.name || release.tag_name,
+        body: release.body || '',
+        prerelease: release.prerelease,
+        author: release.author ? release.author.login : null,
+        published_at: release.published_at,
+        url: release.html_url,
+        assets: (release.assets || []).map(asset => ({
+          name: asset.name,
+          size: asset.size,
+          download_count: asset.download_count,
+          url: asset.browser_download_url
+        })),
+        version: parseVersion(release.tag_name),
+        notes: parseReleaseNotes(release.body),
+        from_tag: false
+      },
+      confidence: 0.85 // Releases are deliberate announcements
+    };
+  }
+
+  // Build a release signal from a bare tag that has no GitHub release
+  buildTagSignal(repo, tag) {
+    const version = parseVersion(tag.name);
+    return {
+      type: 'release',
+      repo,
+      id: `${repo}:release:${tag.name}`,
+      data: {
+        tag_name: tag.name,
+        name: tag.name,
+        body: '',
+        prerelease: !!(version && version.prerelease),
+        sha: tag.commit.sha,
+        url: `https://github.com/${repo}/releases/tag/${encodeURIComponent(tag.name)}`,
+        assets: [],
+        version,
+        notes: parseReleaseNotes(''),
+        from_tag: true
+      },
+      confidence: 0.7 // No release notes to write from
+    };
+  }
+
+  // Register an extra per-repository detector (e.g. milestones) run for every watched repo
+  // Detectors expose `signalTypes` and `detectSignals(repo)`
+  use(detector) {
+    this.repoDetectors.push(detector);
+    return this;
+  }
+
+  // Run built-in detection plus every registered detector for one repository
+  async scanRepo(repo, types = null) {
+    const signals = await this.detectRepoSignals(repo, types);
+    
+    for (const detector of this.repoDetectors) {
+      if (types && !detector.signalTypes.some(type => types.includes(type))) continue;
+      
+      try {
+        signals.push(...await detector.detectSignals(repo));
+      } catch (error) {
+        if (error instanceof RateLimitError) throw error;
+        logger.error('Repository detector failed', {
+          repo,
+          detector: detector.constructor.name,
+          error: error.message
+        });
+      }
+    }
+    
+    return this.withSource(signals);
+  }
+
+  // Stamp signals with their origin so multi-forge pipelines can route them back
+  withSource(signals) {
+    return signals.map(signal => ({ source: this.source, ...signal }));
+  }
+
+  // Detect new signals for one repository, or for every watched repository
   async detectSignals(repo) {
-    logger.info('Detecting GitHub signals', { repo });
+    if (repo) {
+      return this.scanRepo(this.qualifyRepo(repo));
+    }
+    
+    const watched = await this.watchList.resolve();
     const signals = [];
+    
+    for (const { repo: fullName, signals: types } of watched) {
+      // Stop cleanly rather than burning the last of the quota on 403s
+      if (this.client.quotaExhausted()) {
+        logger.warn('GitHub quota floor reached, stopping signal detection', {
+          remaining: this.client.remaining,
+          floor: this.client.quotaFloor,
+          resetAt: this.client.resetAt ? new Date(this.client.resetAt).toISOString() : null,
+          skipped_from: fullName
+        });
+        break;
+      }
+      
+      try {
+        signals.push(...await this.scanRepo(fullName, types));
+      } catch (error) {
+        if (error instanceof RateLimitError) {
+          logger.warn('GitHub rate limit reached, stopping signal detection', {
+            repo: fullName,
+            error: error.message
+          });
+          break;
+        }
+        
+        // One broken repository should not hide activity in the others
+        logger.error('Skipping repository after detection failure', {
+          repo: fullName,
+          error: error.message
+        });
+      }
+    }
+    
+    logger.info('Watched repositories scanned', {
+      repos: watched.length,
+      total_signals: signals.length
+    });
+    return signals;
+  }
+
+  // Detect new signals from GitHub activity in a single "owner/repo"
+  // Signal IDs are prefixed with the repository so numbers like issue #12 don't collide
+  async detectRepoSignals(repo, types = null) {
+    logger.info('Detecting GitHub signals', { repo, types });
+    const signals = [];
+    const wants = type => !types || types.includes(type);
 
     try {
       // Fetch commits
-      const commits = await this.fetchRecentCommits(repo, 5);
-      
-      for (const commit of commits) {
-        const signalId = `commit:${commit.sha}`;
+      if (wants('commit')) {
+        const commits = await this.fetchRecentCommits(repo, this.getCursor(repo, 'commit'));
+        const entries = [];
         
-        // Check if already processed
-        if (!stateStore.hasProcessed(signalId)) {
-          signals.push({
-            type: 'commit',
-            id: signalId,
-            data: {
-              sha: commit.sha,
-              message: commit.commit.message,
-              author: commit.commit.author.name,
-              date: commit.commit.author.date,
-              url: commit.html_url,
-              files_changed: commit.files ? commit.files.length : 0
-            },
-            confidence: 0.7 // Base confidence for commits
-          });
+        for (const commit of commits) {
+          const mark = { sha: commit.sha, date: (commit.commit.committer || commit.commit.author).date };
+          
+          // Check if already processed
+          if (isConsumed(`${repo}:commit:${commit.sha}`)) {
+            entries.push({ mark, signal: null });
+            continue;
+          }
           
-          logger.info('New commit signal detected', { sha: commit.sha.substring(0, 7) });
+          // Changed files drive file-based classification
+          let details;
+          try {
+            details = await this.fetchCommitDetails(repo, commit.sha);
+          } catch (error) {
+            if (error instanceof RateLimitError) throw error;
+            // Skipped for this run; its pending entry holds the cursor behind it for a retry
+            entries.push({ mark, signal: { id: `${repo}:commit:${commit.sha}` } });
+            continue;
+          }
+          const signal = this.buildCommitSignal(repo, details);
+          signals.push(signal);
+          entries.push({ mark, signal });
+          logger.info('New commit signal detected', {
+            sha: commit.sha.substring(0, 7),
+            files: details.files ? details.files.length : 0
+          });
         }
+        
+        this.trackCursor(repo, 'commit', entries);
       }
 
       // Fetch README and check for changes
-      try {
-        const readme = await this.fetchReadme(repo);
-        const readmeSignalId = `readme:${readme.sha}`;
-        
-        if (!stateStore.hasProcessed(readmeSignalId)) {
-          signals.push({
-            type: 'readme_update',
-            id: readmeSignalId,
-            data: {
-              sha: readme.sha,
-              name: readme.name,
-              path: readme.path,
-              url: readme.html_url,
-              size: readme.size
-            },
-            confidence: 0.8 // Higher confidence for README updates
-          });
+      if (wants('readme_update')) {
+        try {
+          const readme = await this.fetchReadme(repo);
+          const content = Buffer.from(readme.content || '', 'base64').toString('utf8');
+          const snapshots = stateStore.get('readmeSnapshots', {});
+          const previous = snapshots[repo];
           
-          logger.info('README update signal detected');
+          if (!previous || previous.sha !== readme.sha) {
+            // Without a previous snapshot there is nothing to diff against yet
+            const previousContent = readmeCache.content(repo, previous);
+            const diff = previousContent !== null ? diffMarkdown(previousContent, content) : null;
+            const signal = this.buildReadmeSignal(repo, readme, diff);
+            
+            // The snapshot moves once the update is consumed, so a deferred one is diffed again
+            const snapshot = { sha: readme.sha, content };
+            if (!isConsumed(signal.id) && (!diff || diff.has_changes)) {
+              signal.cursor = { type: 'readme', mark: snapshot, after: [] };
+              signals.push(signal);
+              logger.info('README update signal detected', {
+                added_sections: diff ? diff.added_sections.length : null,
+                changed_sections: diff ? diff.changed_sections.length : null
+              });
+            } else {
+              this.saveReadmeSnapshot(repo, snapshot);
+            }
+          } else if (previous.content !== undefined) {
+            // Snapshots from earlier versions carried the README text in state.json
+            this.saveReadmeSnapshot(repo, previous);
+          }
+        } catch (readmeError) {
+          logger.debug('README check skipped', { error: readmeError.message });
         }
-      } catch (readmeError) {
-        logger.debug('README check skipped', { error: readmeError.message });
       }
 
       // Fetch recent issues
-      try {
-        const issues = await this.fetchRecentIssues(repo, 5);
-        
-        for (const issue of issues) {
-          // Skip pull requests (they appear as issues in GitHub API)
-          if (issue.pull_request) continue;
+      if (wants('issue')) {
+        try {
+          const issues = await this.fetchRecentIssues(repo, this.getCursor(repo, 'issue'));
+          const entries = [];
           
-          const issueSignalId = `issue:${issue.number}`;
+          for (const issue of issues) {
+            const mark = { number: issue.number, created_at: issue.created_at };
+            
+            // Skip pull requests (they appear as issues in GitHub API);
+            // merged PRs are picked up by the pull request check below
+            const signal = issue.pull_request ? null : this.buildIssueSignal(repo, issue);
+            
+            if (signal && !isConsumed(signal.id)) {
+              signals.push(signal);
+              entries.push({ mark, signal });
+              logger.info('New issue signal detected', { number: issue.number });
+            } else {
+              entries.push({ mark, signal: null });
+            }
+          }
+          
+          this.trackCursor(repo, 'issue', entries);
+        } catch (issueError) {
+          logger.debug('Issue check skipped', { error: issueError.message });
+        }
+      }
+
+      // Fetch recently merged pull requests
+      if (wants('pull_request')) {
+        try {
+          // Sorted by update time, so order by merge time for the cursor
+          const pullRequests = (await this.fetchMergedPullRequests(repo, this.getCursor(repo, 'pull_request')))
+            .sort((a, b) => (a.merged_at < b.merged_at ? 1 : a.merged_at > b.merged_at ? -1 : 0));
+          const entries = [];
           
-          if (!stateStore.hasProcessed(issueSignalId)) {
-            signals.push({
-              type: 'issue',
-              id: issueSignalId,
-              data: {
-                number: issue.number,
-                title: issue.title,
-                state: issue.state,
-                author: issue.user.login,
-                created_at: issue.created_at,
-                url: issue.html_url,
-                labels: issue.labels.map(l => l.name)
-              },
-              confidence: 0.6 // Lower confidence for issues
-            });
+          for (const pr of pullRequests) {
+            const mark = { number: pr.number, merged_at: pr.merged_at };
+            if (isConsumed(`${repo}:pr:${pr.number}`)) {
+              entries.push({ mark, signal: null });
+              continue;
+            }
+            
+            const details = await this.fetchPullRequestDetails(repo, pr.number);
+            const reviewers = await this.fetchPullRequestReviewers(repo, pr.number);
             
-            logger.info('New issue signal detected', { number: issue.number });
+            const signal = this.buildPullRequestSignal(repo, details, reviewers);
+            signals.push(signal);
+            entries.push({ mark, signal });
+            logger.info('New pull request signal detected', { number: pr.number });
           }
+          
+          this.trackCursor(repo, 'pull_request', entries);
+        } catch (prError) {
+          logger.debug('Pull request check skipped', { error: prError.message });
+        }
+      }
+
+      // Fetch releases and tags
+      if (wants('release')) {
+        try {
+          const releases = await this.fetchRecentReleases(repo, this.getCursor(repo, 'release'));
+          const releasedTags = new Set(releases.map(r => r.tag_name));
+          const releaseEntries = [];
+          
+          for (const release of releases) {
+            const mark = { tag: release.tag_name, published_at: release.published_at };
+            const signal = this.buildReleaseSignal(repo, release);
+            
+            if (!isConsumed(signal.id)) {
+              signals.push(signal);
+              releaseEntries.push({ mark, signal });
+              logger.info('New release signal detected', { tag: release.tag_name });
+            } else {
+              releaseEntries.push({ mark, signal: null });
+            }
+          }
+          
+          this.trackCursor(repo, 'release', releaseEntries);
+          
+          // Bare tags without a GitHub release still mark a shipped version
+          const tags = await this.fetchRecentTags(repo, this.getCursor(repo, 'tag'));
+          const tagEntries = [];
+          
+          for (const tag of tags) {
+            const signal = releasedTags.has(tag.name) ? null : this.buildTagSignal(repo, tag);
+            
+            if (signal && !isConsumed(signal.id)) {
+              signals.push(signal);
+              tagEntries.push({ mark: { name: tag.name }, signal });
+              logger.info('New tag signal detected', { tag: tag.name });
+            } else {
+              tagEntries.push({ mark: { name: tag.name }, signal: null });
+            }
+          }
+          
+          this.trackCursor(repo, 'tag', tagEntries);
+        } catch (releaseError) {
+          logger.debug('Release check skipped', { error: releaseError.message });
         }
-      } catch (issueError) {
-        logger.debug('Issue check skipped', { error: issueError.message });
       }
 
       logger.info('Signal detection complete', { 
@@ -195,14 +685,113 @@ class GitHubTrigger {
     }
   }
 
-  // Mark signal as processed
+  // Convert a webhook event payload into the same signals detectSignals produces
+  async signalsFromWebhook(event, payload) {
+    const repo = payload.repository ? payload.repository.full_name : null;
+    if (!repo) return [];
+    
+    const signals = [];
+    
+    switch (event) {
+      case 'push': {
+        // Polling only reads the default branch, so webhooks do the same
+        const defaultBranch = `refs/heads/${payload.repository.default_branch}`;
+        if (payload.ref !== defaultBranch) break;
+        
+        for (const commit of payload.commits || []) {
+          if (commit.distinct === false) continue;
+          signals.push(this.buildCommitSignal(repo, {
+            sha: commit.id,
+            commit: {
+              message: commit.message,
+              author: { name: commit.author.name, date: commit.timestamp }
+            },
+            author: commit.author.username ? { login: commit.author.username } : null,
+            html_url: commit.url,
+            // Push payloads list paths only; line counts stay unknown
+            files: [
+              ...commit.added.map(filename => ({ filename, status: 'added' })),
+              ...commit.modified.map(filename => ({ filename, status: 'modified' })),
+              ...commit.removed.map(filename => ({ filename, status: 'removed' }))
+            ]
+          }));
+        }
+        break;
+      }
+      case 'pull_request':
+        if (payload.action === 'closed' && payload.pull_request.merged) {
+          const number = payload.pull_request.number;
+          const reviewers = await this.fetchPullRequestReviewers(repo, number);
+          signals.push(this.buildPullRequestSignal(repo, payload.pull_request, reviewers));
+        }
+        break;
+      case 'release':
+        if (payload.action === 'published' && !payload.release.draft) {
+          signals.push(this.buildReleaseSignal(repo, payload.release));
+        }
+        break;
+      case 'issues':
+        if (payload.action === 'opened' && !payload.issue.pull_request) {
+          signals.push(this.buildIssueSignal(repo, payload.issue));
+        }
+        break;
+      default:
+        logger.debug('Ignoring unsupported webhook event', { event });
+    }
+    
+    return this.withSource(signals.filter(signal => !stateStore.hasProcessed(signal.id)));
+  }
+
+  // Mark signal as processed, then advance the cursor it was detected under
   markProcessed(signal) {
     stateStore.markProcessed(signal.id, {
       type: signal.type,
+      repo: signal.repo,
       timestamp: new Date().toISOString(),
       confidence: signal.confidence
     });
     logger.debug('Signal marked as processed', { id: signal.id, type: signal.type });
+    
+    // Registered detectors own the state behind their signal types
+    const detector = this.repoDetectors.find(d => d.signalTypes.includes(signal.type));
+    if (detector) {
+      if (detector.markProcessed) detector.markProcessed(signal);
+    } else if (cursorReady(signal)) {
+      if (signal.cursor.type === 'readme') {
+        this.saveReadmeSnapshot(signal.repo, signal.cursor.mark);
+      } else {
+        this.setCursor(signal.repo, signal.cursor.type, signal.cursor.mark);
+      }
+    }
+  }
+
+  // Check API reachability and the remaining request quota
+  async healthCheck() {
+    if (!this.token) {
+      return {
+        status: 'degraded',
+        source: this.source,
+        message: 'No GITHUB_TOKEN configured, using unauthenticated rate limits'
+      };
+    }
+
+    try {
+      // /rate_limit does not count against the quota
+      const data = await this.client.get('/rate_limit');
+      const core = data.resources.core;
+      return {
+        status: core.remaining < this.client.quotaFloor ? 'degraded' : 'healthy',
+        source: this.source,
+        remaining: core.remaining,
+        resetAt: new Date(core.reset * 1000).toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        source: this.source,
+        error: error.message
+      };
+    }
   }
 }
 
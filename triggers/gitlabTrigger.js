@@ -0,0 +1,141 @@
+// triggers/gitlabTrigger.js
+const { ForgeTrigger } = require('./forgeTrigger');
+
+/**
+ * GitLab (gitlab.com or self-hosted) trigger
+ * Projects come from GITLAB_PROJECTS as full paths ("group/subgroup/project").
+ * Merge requests are reported as `pull_request` signals so the rest of the
+ * pipeline treats them like GitHub pull requests.
+ */
+class GitLabTrigger extends ForgeTrigger {
+  constructor() {
+    const url = (process.env.GITLAB_URL || 'https://gitlab.com').replace(/\/+$/, '');
+    super('gitlab', {
+      baseUrl: `${url}/api/v4`,
+      token: process.env.GITLAB_TOKEN,
+      repos: (process.env.GITLAB_PROJECTS || '').split(',').map(p => p.trim()).filter(Boolean),
+      healthPath: '/version'
+    });
+  }
+
+  // Build GitLab API headers
+  getHeaders() {
+    return this.token ? { 'PRIVATE-TOKEN': this.token } : {};
+  }
+
+  // Project paths are addressed URL-encoded ("group%2Fproject")
+  projectPath(repo) {
+    return `/projects/${encodeURIComponent(repo)}`;
+  }
+
+  async listCommits(repo, cursor) {
+    return this.listPages(
+      `${this.projectPath(repo)}/repository/commits`,
+      cursor ? { since: cursor.date } : {},
+      cursor,
+      commits => commits.map(commit => ({
+        sha: commit.id,
+        message: commit.message,
+        author: commit.author_name,
+        parent_count: commit.parent_ids ? commit.parent_ids.length : null,
+        date: commit.committed_date,
+        url: commit.web_url
+      })),
+      commit => !this.commitIsNewer(commit, cursor)
+    );
+  }
+
+  async fetchCommitFiles(repo, sha) {
+    const diffs = await this.get(`${this.projectPath(repo)}/repository/commits/${sha}/diff`, {
+      per_page: 100
+    });
+
+    return diffs.map(diff => {
+      let status = 'modified';
+      if (diff.new_file) status = 'added';
+      else if (diff.deleted_file) status = 'removed';
+      else if (diff.renamed_file) status = 'renamed';
+
+      return {
+        filename: diff.new_path,
+        status,
+        ...this.countDiffLines(diff.diff)
+      };
+    });
+  }
+
+  async listMergedRequests(repo, cursor) {
+    // Sorted by last update: anything untouched since the cursor's merge can't be newer
+    return this.listPages(
+      `${this.projectPath(repo)}/merge_requests`,
+      { state: 'merged', order_by: 'updated_at', sort: 'desc' },
+      cursor,
+      requests => requests.map(mr => ({
+        number: mr.iid,
+        title: mr.title,
+        body: mr.description,
+        author: mr.author ? mr.author.username : null,
+        merged_at: mr.merged_at,
+        updated_at: mr.updated_at,
+        url: mr.web_url,
+        labels: mr.labels || [],
+        // Line counts are not part of the list payload; "changes_count" can be "1000+"
+        changed_files: mr.changes_count ? parseInt(mr.changes_count, 10) : null,
+        reviewers: (mr.reviewers || []).map(user => user.username)
+      })),
+      mr => !this.isNewer(mr.updated_at, cursor, 'merged_at', true)
+    );
+  }
+
+  // Assigned reviewers come with the list payload, no extra request needed
+  async fetchReviewers(repo, request) {
+    return request.reviewers;
+  }
+
+  async listIssues(repo, cursor) {
+    return this.listPages(
+      `${this.projectPath(repo)}/issues`,
+      { state: 'opened', order_by: 'created_at', sort: 'desc' },
+      cursor,
+      issues => issues.map(issue => ({
+        number: issue.iid,
+        title: issue.title,
+        state: 'open',
+        author: issue.author ? issue.author.username : null,
+        created_at: issue.created_at,
+        url: issue.web_url,
+        labels: issue.labels || []
+      })),
+      issue => !this.issueIsNewer(issue, cursor)
+    );
+  }
+
+  async listReleases(repo, cursor) {
+    // Upcoming releases are scheduled for a future date and not announced yet
+    return this.listPages(
+      `${this.projectPath(repo)}/releases`,
+      { order_by: 'released_at', sort: 'desc' },
+      cursor,
+      releases => releases
+        .filter(release => !release.upcoming_release)
+        .map(release => ({
+          tag_name: release.tag_name,
+          name: release.name,
+          body: release.description,
+          prerelease: /-(alpha|beta|rc|pre)/i.test(release.tag_name),
+          author: release.author ? release.author.username : null,
+          published_at: release.released_at,
+          url: release._links ? release._links.self : null,
+          assets: ((release.assets && release.assets.links) || []).map(link => ({
+            name: link.name,
+            size: null,
+            download_count: null,
+            url: link.url
+          }))
+        })),
+      release => !this.releaseIsNewer(release, cursor)
+    );
+  }
+}
+
+module.exports = { GitLabTrigger };
@@ -0,0 +1,348 @@
+// triggers/localGitTrigger.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const readmeCache = require('../utils/readmeCache');
+const { parseReleaseNotes, parseVersion } = require('../utils/releaseNotes');
+const { diffMarkdown } = require('../utils/markdownDiff');
+const { ForgeTrigger } = require('./forgeTrigger');
+const { isConsumed } = require('./signalCursor');
+
+const execFileAsync = promisify(execFile);
+
+// `git log --raw` status letters
+const FILE_STATUS = { A: 'added', M: 'modified', D: 'removed', R: 'renamed', C: 'copied', T: 'modified' };
+
+// Field and record separators for `git log` / `git for-each-ref` output
+const FS = '\x1f';
+const RS = '\x1e';
+
+/**
+ * Local git checkout trigger
+ * Reads commits (`git log --raw --numstat`), tags and the working-tree README
+ * from LOCAL_GIT_REPOS (comma-separated paths, default: the current directory).
+ * Needs no token and no network; produces the same commit, readme_update and
+ * tag-based release signals as GitHubTrigger.
+ * Signals name a checkout by its alias ("api=../src/api") or directory name, so
+ * local paths never reach signal ids, state.json entries or prompts. Cursors and
+ * README snapshots are keyed by absolute path, so two checkouts with the same
+ * directory name never share them.
+ */
+class LocalGitTrigger extends ForgeTrigger {
+  constructor() {
+    const entries = (process.env.LOCAL_GIT_REPOS || '.').split(',').map(p => p.trim()).filter(Boolean);
+    const dirs = new Map(); // Display name -> absolute path
+
+    for (const entry of entries) {
+      const [, alias, location] = /^(?:([\w.-]+)=)?(.+)$/.exec(entry);
+      const dir = path.resolve(location);
+      if ([...dirs.values()].includes(dir)) continue;
+
+      let name = alias || path.basename(dir);
+      if (dirs.has(name)) {
+        let n = 2;
+        while (dirs.has(`${name}-${n}`)) n++;
+        logger.warn('Local checkouts share a name; set an alias (name=path) in LOCAL_GIT_REPOS', { name, renamed: `${name}-${n}` });
+        name = `${name}-${n}`;
+      }
+      dirs.set(name, dir);
+    }
+
+    super('local', { repos: [...dirs.keys()] });
+    this.dirs = dirs;
+    this.maxCommits = 100; // Commits read per run once a cursor exists; older ones go first
+    this.adoptBasenameState();
+  }
+
+  // Checkout directory behind a display name
+  dirFor(repo) {
+    return this.dirs.get(repo) || repo;
+  }
+
+  // Cursors and README snapshots stay keyed by path, never by the display name
+  cursorKey(repo) {
+    return `${this.source}:${this.dirFor(repo)}`;
+  }
+
+  // Earlier versions keyed checkouts by directory name; move a unique name's cursors and README over
+  adoptBasenameState() {
+    const dirs = [...this.dirs.values()];
+    const names = dirs.map(dir => path.basename(dir));
+
+    for (const [i, dir] of dirs.entries()) {
+      const name = names[i];
+      if (names.indexOf(name) !== names.lastIndexOf(name)) continue;
+      const [oldKey, newKey] = [`${this.source}:${name}`, `${this.source}:${dir}`];
+
+      for (const metaKey of ['cursors', 'readmeSnapshots']) {
+        const { [oldKey]: old, ...rest } = stateStore.get(metaKey, {});
+        if (!old || rest[newKey]) continue;
+        stateStore.set(metaKey, { ...rest, [newKey]: old });
+        logger.info('Local repository state moved to absolute path', { key: metaKey, from: name, to: dir });
+      }
+    }
+  }
+
+  // Run a git command inside a repository (display name or path) and return stdout
+  async git(repo, args) {
+    const { stdout } = await execFileAsync('git', ['-C', this.dirFor(repo), ...args], {
+      maxBuffer: 20 * 1024 * 1024
+    });
+    return stdout;
+  }
+
+  // True if a commit still exists (a rebase or force-push can drop the cursor's sha)
+  async hasCommit(repo, sha) {
+    try {
+      await this.git(repo, ['rev-parse', '--verify', '--quiet', `${sha}^{commit}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Parse `git log --raw --numstat` output into commits with per-file stats
+  parseLog(output) {
+    return output.split(RS).filter(record => record.trim()).map(record => {
+      const [sha, parents, author, date, message, stats = ''] = record.split(FS);
+      const files = new Map();
+
+      for (const line of stats.split('\n')) {
+        // Raw: ":100644 100644 abc123 def456 M\tpath"
+        const raw = /^:\S+ \S+ \S+ \S+ ([A-Z])\d*\t(.+)$/.exec(line);
+        if (raw) {
+          files.set(raw[2], { filename: raw[2], status: FILE_STATUS[raw[1]] || 'modified', additions: null, deletions: null });
+          continue;
+        }
+
+        // Numstat: "12\t3\tpath" ("-" for binary files)
+        const numstat = /^(\d+|-)\t(\d+|-)\t(.+)$/.exec(line);
+        if (numstat) {
+          const filename = numstat[3];
+          const file = files.get(filename) || { filename, status: 'modified' };
+          file.additions = numstat[1] === '-' ? null : parseInt(numstat[1], 10);
+          file.deletions = numstat[2] === '-' ? null : parseInt(numstat[2], 10);
+          files.set(filename, file);
+        }
+      }
+
+      return {
+        sha: sha.trim(),
+        author,
+        parent_count: parents.split(' ').filter(Boolean).length,
+        date,
+        message: message.trim(),
+        url: null,
+        files: [...files.values()]
+      };
+    });
+  }
+
+  // Commits newer than the cursor (or the latest few on first run), newest first. A backlog
+  // longer than maxCommits is worked off oldest first over several runs, so none is skipped
+  async listCommits(repo, cursor) {
+    const logArgs = [
+      // Renames are reported as a removal plus an addition, matching numstat paths
+      '--raw', '--numstat', '--no-renames', '--no-color',
+      `--format=${RS}%H${FS}%P${FS}%an${FS}%aI${FS}%B${FS}`
+    ];
+    if (!cursor || !await this.hasCommit(repo, cursor.sha)) {
+      return this.parseLog(await this.git(repo, ['log', `--max-count=${this.bootstrapLimit}`, ...logArgs]));
+    }
+
+    const pending = (await this.git(repo, ['rev-list', '--reverse', `${cursor.sha}..HEAD`]))
+      .split('\n').filter(Boolean);
+    if (pending.length === 0) return [];
+    if (pending.length > this.maxCommits) {
+      logger.warn('More local commits than one run takes; the rest follow on later runs', {
+        repo,
+        pending: pending.length,
+        maxCommits: this.maxCommits
+      });
+    }
+
+    const batch = pending.slice(0, this.maxCommits).reverse();
+    return this.parseLog(await this.git(repo, ['log', '--no-walk=unsorted', ...logArgs, ...batch]));
+  }
+
+  // Tags newest first, with the commit they point at and any annotation
+  async listTags(repo) {
+    const output = await this.git(repo, [
+      'for-each-ref', 'refs/tags', '--sort=-creatordate',
+      `--format=%(refname:short)${FS}%(objectname)${FS}%(*objectname)${FS}%(creatordate:iso-strict)${FS}%(contents)${RS}`
+    ]);
+
+    return output.split(RS).filter(record => record.trim()).map(record => {
+      const [name, object, peeled, date, contents] = record.split(FS);
+      return {
+        name: name.trim(),
+        // Annotated tags point at a tag object; the peeled sha is the commit
+        sha: peeled || object,
+        date,
+        message: (contents || '').trim()
+      };
+    });
+  }
+
+  // Find the README in the working tree
+  findReadme(repo) {
+    const dir = this.dirFor(repo);
+    const name = fs.readdirSync(dir).find(file => /^readme(\.(md|markdown|txt|rst))?$/i.test(file));
+    return name ? path.join(dir, name) : null;
+  }
+
+  // Build a tag-based release signal (annotated tag messages stand in for release notes)
+  buildTagSignal(repo, tag) {
+    const version = parseVersion(tag.name);
+    return {
+      type: 'release',
+      source: this.source,
+      repo,
+      id: this.signalId(repo, 'release', tag.name),
+      data: {
+        tag_name: tag.name,
+        name: tag.name,
+        body: tag.message,
+        prerelease: !!(version && version.prerelease),
+        sha: tag.sha,
+        published_at: tag.date,
+        url: null,
+        assets: [],
+        version,
+        notes: parseReleaseNotes(tag.message),
+        from_tag: true
+      },
+      confidence: 0.7 // No release notes to write from
+    };
+  }
+
+  // Build a README update signal from the working-tree file
+  buildReadmeSignal(repo, file, sha, size, diff = null) {
+    return {
+      type: 'readme_update',
+      source: this.source,
+      repo,
+      id: this.signalId(repo, 'readme', sha),
+      data: {
+        sha,
+        name: path.basename(file),
+        path: path.relative(this.dirFor(repo), file),
+        url: null,
+        size,
+        diff
+      },
+      confidence: 0.8 // Higher confidence for README updates
+    };
+  }
+
+  // Detect new commits, tags and README changes in one checkout
+  async detectRepoSignals(repo) {
+    logger.info('Detecting local git signals', { repo });
+    const signals = [];
+
+    const commits = await this.listCommits(repo, this.getCursor(repo, 'commit'));
+    const entries = commits.map(commit => {
+      const signal = this.buildCommitSignal(repo, commit, commit.files);
+      return {
+        mark: { sha: commit.sha, date: commit.date },
+        signal: isConsumed(signal.id) ? null : signal
+      };
+    });
+    signals.push(...entries.filter(entry => entry.signal).map(entry => entry.signal));
+    this.trackCursor(repo, 'commit', entries);
+
+    // Tags created in the same second have no stable order, so remember names instead of a position.
+    // A pending tag's name is only remembered once its signal is consumed.
+    const cursor = this.getCursor(repo, 'tag');
+    const tags = await this.listTags(repo);
+    const known = new Set(cursor ? cursor.names : []);
+    const newTags = cursor ? tags.filter(tag => !known.has(tag.name)) : tags.slice(0, this.bootstrapLimit);
+    const pending = new Set();
+    for (const tag of newTags) {
+      if (!parseVersion(tag.name)) continue;
+      const signal = this.buildTagSignal(repo, tag);
+      if (isConsumed(signal.id)) continue;
+      signal.cursor = { type: 'tag', mark: { name: tag.name }, after: [] };
+      signals.push(signal);
+      pending.add(tag.name);
+    }
+    const names = tags.map(tag => tag.name).filter(name => !pending.has(name));
+    if (!cursor || names.some(name => !known.has(name))) {
+      this.setCursor(repo, 'tag', { names });
+    }
+
+    const readmePath = this.findReadme(repo);
+    if (readmePath) {
+      const content = fs.readFileSync(readmePath, 'utf8');
+      const sha = crypto.createHash('sha1').update(content).digest('hex');
+      const snapshots = stateStore.get('readmeSnapshots', {});
+      const key = this.cursorKey(repo);
+      const previous = snapshots[key];
+
+      if (!previous || previous.sha !== sha) {
+        const previousContent = readmeCache.content(key, previous);
+        const diff = previousContent !== null ? diffMarkdown(previousContent, content) : null;
+        const signal = this.buildReadmeSignal(repo, readmePath, sha, Buffer.byteLength(content), diff);
+
+        // The snapshot moves once the update is consumed, so a deferred one is diffed again
+        const snapshot = { sha, content };
+        if (!isConsumed(signal.id) && (!diff || diff.has_changes)) {
+          signal.cursor = { type: 'readme', mark: snapshot, after: [] };
+          signals.push(signal);
+        } else {
+          this.saveReadmeSnapshot(repo, snapshot);
+        }
+      } else if (previous.content !== undefined) {
+        // Snapshots from earlier versions carried the README text in state.json
+        this.saveReadmeSnapshot(repo, previous);
+      }
+    }
+
+    logger.info('Local git signal detection complete', { repo, total_signals: signals.length });
+    return signals;
+  }
+
+  // Remember the README a diff was computed against: its sha in state.json, its text in the README cache
+  saveReadmeSnapshot(repo, snapshot) {
+    const key = this.cursorKey(repo);
+    readmeCache.write(key, snapshot.sha, snapshot.content);
+    stateStore.set('readmeSnapshots', { ...stateStore.get('readmeSnapshots', {}), [key]: { sha: snapshot.sha } });
+  }
+
+  // Tag marks add a name to the known set; README marks replace the snapshot
+  saveCursor(repo, cursor) {
+    if (cursor.type === 'tag') {
+      const known = this.getCursor(repo, 'tag');
+      this.setCursor(repo, 'tag', { names: [...new Set([...(known ? known.names : []), cursor.mark.name])] });
+    } else if (cursor.type === 'readme') {
+      this.saveReadmeSnapshot(repo, cursor.mark);
+    } else {
+      super.saveCursor(repo, cursor);
+    }
+  }
+
+  // Check that every configured path is a git repository
+  async healthCheck() {
+    const broken = [];
+    for (const repo of this.repos) {
+      try {
+        await this.git(repo, ['rev-parse', '--git-dir']);
+      } catch (error) {
+        broken.push({ repo, error: error.message });
+      }
+    }
+
+    if (broken.length === this.repos.length) {
+      return { status: 'unhealthy', source: this.source, broken };
+    }
+    return broken.length > 0
+      ? { status: 'degraded', source: this.source, broken }
+      : { status: 'healthy', source: this.source, repos: this.repos.length };
+  }
+}
+
+module.exports = { LocalGitTrigger };
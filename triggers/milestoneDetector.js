@@ -0,0 +1,241 @@
+// triggers/milestoneDetector.js
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const { isConsumed } = require('./signalCursor');
+
+const HISTORY_LIMIT = 90; // One snapshot per run; ~3 months of daily runs
+const HOUR_MS = 60 * 60 * 1000;
+
+// Parse "100,500,1000" into a sorted list of numbers
+function parseThresholds(value, fallback) {
+  return (value || fallback)
+    .split(',')
+    .map(n => parseInt(n.trim(), 10))
+    .filter(n => !Number.isNaN(n))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Repository milestone detector
+ * Records star/fork/contributor/download counts per run in stateStore and emits
+ * `milestone` signals when a configured threshold is crossed, or when the first
+ * external contributor shows up. An announced milestone is only recorded once its
+ * signal is consumed, so a deferred one is announced on a later run.
+ * A run costs two requests per repository: repository info and a one-item contributor
+ * page whose Link header gives the count. Contributor logins are listed only while no
+ * external contributor is known and the count moved; release downloads are summed
+ * only while a download threshold is ahead, at most every MILESTONE_DOWNLOAD_REFRESH_HOURS.
+ */
+class MilestoneDetector {
+  constructor(client) {
+    this.client = client;
+    this.signalTypes = ['milestone'];
+    this.thresholds = {
+      stars: parseThresholds(process.env.MILESTONE_STAR_THRESHOLDS, '10,50,100,250,500,1000,2500,5000,10000'),
+      forks: parseThresholds(process.env.MILESTONE_FORK_THRESHOLDS, '10,25,50,100,250,500,1000'),
+      contributors: parseThresholds(process.env.MILESTONE_CONTRIBUTOR_THRESHOLDS, '5,10,25,50,100'),
+      downloads: parseThresholds(process.env.MILESTONE_DOWNLOAD_THRESHOLDS, '100,1000,10000,100000')
+    };
+    // Logins that count as "the team" when looking for external contributors
+    this.internalAuthors = (process.env.MILESTONE_INTERNAL_AUTHORS || '')
+      .split(',')
+      .map(login => login.trim().toLowerCase())
+      .filter(Boolean);
+    this.downloadRefreshHours = parseFloat(process.env.MILESTONE_DOWNLOAD_REFRESH_HOURS || '24');
+  }
+
+  // Contributor count from the Link header of a one-item page
+  async countContributors(repo) {
+    const { data, headers } = await this.client.request(`/repos/${repo}/contributors`, { per_page: 1 });
+    const last = /[?&]page=(\d+)>;\s*rel="last"/.exec((headers && headers.link) || '');
+    return last ? parseInt(last[1], 10) : data.length;
+  }
+
+  // Total asset downloads across releases
+  async sumDownloads(repo) {
+    const { items: releases } = await this.client.paginate(
+      `/repos/${repo}/releases`,
+      { per_page: 100 },
+      { maxPages: 3 }
+    );
+    return releases.reduce((sum, release) =>
+      sum + (release.assets || []).reduce((s, asset) => s + asset.download_count, 0), 0);
+  }
+
+  // Downloads are re-summed while a threshold is still ahead and the last sum is old enough
+  downloadsDue(record, previous) {
+    if (!previous || previous.downloads == null || !record.downloads_checked_at) return true;
+    if (!this.thresholds.downloads.some(t => t > previous.downloads)) return false;
+    return Date.now() - new Date(record.downloads_checked_at).getTime() >= this.downloadRefreshHours * HOUR_MS;
+  }
+
+  /**
+   * Fetch the current counters for a repository, skipping the expensive ones that cannot matter
+   * @param {String} repo - "owner/name"
+   * @param {Object} record - Stored stats of the repository
+   * @returns {Object} Stats; contributor_logins is null when not listed, downloads_checked tells
+   *   whether downloads were summed or carried over from the last run
+   */
+  async fetchRepoStats(repo, record) {
+    const previous = record.history[record.history.length - 1] || null;
+    const info = await this.client.get(`/repos/${repo}`, {}, { conditional: true });
+    const contributors = await this.countContributors(repo);
+
+    // Logins only matter until the first external contributor is known, and only if someone new
+    // showed up (or an earlier announcement is still waiting to be consumed)
+    let logins = null;
+    if (record.external_contributors === null || (record.external_contributors.length === 0 &&
+        (!previous || previous.contributors !== contributors || record.external_pending))) {
+      const { items } = await this.client.paginate(
+        `/repos/${repo}/contributors`,
+        { per_page: 100 },
+        { maxPages: 3 }
+      );
+      logins = items.map(c => c.login);
+    }
+
+    const downloadsChecked = this.downloadsDue(record, previous);
+    const downloads = downloadsChecked ? await this.sumDownloads(repo) : previous.downloads;
+
+    return {
+      owner: info.owner.login,
+      description: info.description,
+      url: info.html_url,
+      stars: info.stargazers_count,
+      forks: info.forks_count,
+      contributors,
+      contributor_logins: logins,
+      downloads,
+      downloads_checked: downloadsChecked
+    };
+  }
+
+  // Contributors that are neither the owner, a listed team member, nor a bot (null when not listed)
+  externalContributors(stats) {
+    if (!stats.contributor_logins) return null;
+    return stats.contributor_logins.filter(login => {
+      const name = login.toLowerCase();
+      return name !== stats.owner.toLowerCase() &&
+        !this.internalAuthors.includes(name) &&
+        !name.endsWith('[bot]');
+    });
+  }
+
+  // Build a milestone signal
+  buildSignal(repo, stats, metric, threshold, previousValue, extra = {}) {
+    return {
+      type: 'milestone',
+      repo,
+      id: `${repo}:milestone:${metric}:${threshold}`,
+      data: {
+        repo,
+        metric,
+        threshold,
+        value: metric === 'first_external_contributor' ? 1 : stats[metric],
+        previous_value: previousValue,
+        description: stats.description,
+        url: stats.url,
+        ...extra
+      },
+      confidence: 0.8 // Milestones are rare and celebrate the community
+    };
+  }
+
+  /**
+   * Record current stats and emit signals for newly crossed thresholds
+   * @param {String} repo - "owner/name"
+   * @returns {Array} milestone signals
+   */
+  async detectSignals(repo) {
+    logger.info('Detecting repository milestones', { repo });
+
+    const allStats = stateStore.get('repoStats', {});
+    const record = allStats[repo] || { history: [], crossed: {}, external_contributors: null };
+    const stats = await this.fetchRepoStats(repo, record);
+    const previous = record.history[record.history.length - 1] || null;
+    const signals = [];
+
+    for (const [metric, thresholds] of Object.entries(this.thresholds)) {
+      const reached = thresholds.filter(t => stats[metric] >= t);
+      const crossed = record.crossed[metric] || [];
+      const fresh = reached.filter(t => !crossed.includes(t));
+      let pending = null;
+
+      // The first run only seeds history; old achievements are not news
+      if (previous && fresh.length > 0) {
+        // Announce only the largest threshold crossed since the last run
+        const threshold = fresh[fresh.length - 1];
+        const signal = this.buildSignal(repo, stats, metric, threshold, previous[metric]);
+
+        if (!isConsumed(signal.id)) {
+          signal.cursor = { type: 'milestone', mark: { metric, threshold }, after: [] };
+          signals.push(signal);
+          pending = threshold;
+          logger.info('Milestone crossed', { repo, metric, threshold, value: stats[metric] });
+        }
+      }
+
+      record.crossed[metric] = [...new Set([...crossed, ...reached.filter(t => t !== pending)])];
+    }
+
+    const external = this.externalContributors(stats);
+    let externalPending = false;
+    if (previous && external && record.external_contributors !== null &&
+        record.external_contributors.length === 0 && external.length > 0) {
+      const signal = this.buildSignal(repo, stats, 'first_external_contributor', 1, 0, {
+        contributor: external[0]
+      });
+
+      if (!isConsumed(signal.id)) {
+        signal.cursor = {
+          type: 'milestone',
+          mark: { metric: 'first_external_contributor', external },
+          after: []
+        };
+        signals.push(signal);
+        externalPending = true;
+        logger.info('First external contributor detected', { repo, contributor: external[0] });
+      }
+    }
+    if (external) {
+      record.external_pending = externalPending;
+      if (!externalPending) record.external_contributors = external;
+    }
+    if (stats.downloads_checked) {
+      record.downloads_checked_at = new Date().toISOString();
+    }
+
+    record.history.push({
+      date: new Date().toISOString(),
+      stars: stats.stars,
+      forks: stats.forks,
+      contributors: stats.contributors,
+      downloads: stats.downloads
+    });
+    record.history = record.history.slice(-HISTORY_LIMIT);
+
+    allStats[repo] = record;
+    stateStore.set('repoStats', allStats);
+
+    return signals;
+  }
+
+  // Record a consumed milestone so it is not announced again
+  markProcessed(signal) {
+    if (!signal.cursor) return;
+
+    const allStats = stateStore.get('repoStats', {});
+    const record = allStats[signal.repo];
+    if (!record) return;
+
+    const { metric, threshold, external } = signal.cursor.mark;
+    if (metric === 'first_external_contributor') {
+      record.external_contributors = external;
+    } else {
+      record.crossed[metric] = [...new Set([...(record.crossed[metric] || []), threshold])];
+    }
+    stateStore.set('repoStats', allStats);
+  }
+}
+
+module.exports = { MilestoneDetector };
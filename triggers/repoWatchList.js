@@ -0,0 +1,148 @@
+// triggers/repoWatchList.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { pathGlobToRegExp } = require('../utils/pathGlob');
+
+/**
+ * Resolves which repositories GitHubTrigger should watch.
+ * Targets come from GITHUB_REPOS (comma-separated) and/or a JSON watch file:
+ *   "owner/repo"  - a single repository
+ *   "org/api-*"   - glob over an owner's public repositories
+ *   "org" / "org/*" - every public repository of a user or organization
+ * Watch file entries may add include/exclude globs and a signal type list:
+ *   [{ "target": "my-org/*", "exclude": ["*-archive"], "signals": ["commit", "release"] }]
+ */
+class RepoWatchList {
+  constructor(trigger) {
+    this.trigger = trigger;
+    this.watchFile = process.env.GITHUB_WATCH_FILE || null;
+    this.maxPages = 10; // 1000 repositories per owner is plenty
+  }
+
+  // Check an "owner/repo" name against a glob; globs without a slash match the repository name
+  matchesGlob(fullName, glob) {
+    return pathGlobToRegExp(glob).test(fullName);
+  }
+
+  // Load raw watch entries from the environment and the optional watch file
+  loadEntries() {
+    const entries = [];
+
+    if (process.env.GITHUB_REPOS) {
+      for (const target of process.env.GITHUB_REPOS.split(',')) {
+        if (target.trim()) entries.push({ target: target.trim() });
+      }
+    }
+
+    if (this.watchFile) {
+      const filePath = path.resolve(this.watchFile);
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const fileEntries = Array.isArray(parsed) ? parsed : parsed.repos;
+
+      if (!Array.isArray(fileEntries)) {
+        throw new Error(`Watch file ${filePath} must contain an array of targets`);
+      }
+
+      for (const entry of fileEntries) {
+        entries.push(typeof entry === 'string' ? { target: entry } : entry);
+      }
+    }
+
+    // Backwards compatible single-repository configuration
+    if (entries.length === 0 && this.trigger.repo) {
+      entries.push({ target: this.trigger.qualifyRepo(this.trigger.repo) });
+    }
+
+    return entries.map(entry => {
+      if (!entry.target) {
+        throw new Error('Watch entry is missing a "target"');
+      }
+      return {
+        target: entry.target,
+        include: entry.include || [],
+        exclude: entry.exclude || [],
+        signals: entry.signals || null
+      };
+    });
+  }
+
+  // List public repositories for a user or organization
+  async listOwnerRepos(owner) {
+    const client = this.trigger.client;
+    const profile = await client.get(`/users/${owner}`, {}, { conditional: true });
+    const isOrg = profile.type === 'Organization';
+    const reposPath = isOrg ? `/orgs/${owner}/repos` : `/users/${owner}/repos`;
+
+    const repos = [];
+    for (let page = 1; page <= this.maxPages; page++) {
+      const data = await client.get(
+        reposPath,
+        { type: isOrg ? 'public' : 'owner', per_page: 100, page },
+        { conditional: true }
+      );
+      repos.push(...data.filter(r => !r.private && !r.archived));
+      if (data.length < 100) break;
+    }
+
+    logger.info('Owner repositories listed', { owner, isOrg, count: repos.length });
+    return repos.map(r => r.full_name);
+  }
+
+  // Expand a single target into concrete "owner/repo" names
+  async expandTarget(target) {
+    const [owner, namePattern] = target.split('/');
+
+    if (namePattern && !namePattern.includes('*')) {
+      return [`${owner}/${namePattern}`];
+    }
+
+    const repos = await this.listOwnerRepos(owner);
+    const pattern = namePattern || '*';
+    return repos.filter(fullName => this.matchesGlob(fullName, pattern));
+  }
+
+  // Apply per-entry include/exclude globs to a repository name
+  isIncluded(fullName, entry) {
+    const matches = glob => this.matchesGlob(fullName, glob);
+
+    if (entry.include.length > 0 && !entry.include.some(matches)) {
+      return false;
+    }
+    return !entry.exclude.some(matches);
+  }
+
+  /**
+   * Resolve all watch entries into a de-duplicated list of repositories
+   * @returns {Array} [{ repo: 'owner/name', signals: [types] | null }]
+   */
+  async resolve() {
+    const entries = this.loadEntries();
+    const resolved = new Map();
+
+    for (const entry of entries) {
+      try {
+        const repos = await this.expandTarget(entry.target);
+
+        for (const fullName of repos) {
+          if (this.isIncluded(fullName, entry) && !resolved.has(fullName)) {
+            resolved.set(fullName, { repo: fullName, signals: entry.signals });
+          }
+        }
+      } catch (error) {
+        logger.error('Failed to resolve watch target', {
+          target: entry.target,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Watch list resolved', {
+      targets: entries.length,
+      repos: resolved.size
+    });
+    return [...resolved.values()];
+  }
+}
+
+module.exports = { RepoWatchList };
@@ -1,41 +1,27 @@
 // triggers/signalClassifier.js
 const logger = require('../utils/logger')
+const { parseCommitMessage } = require('../utils/conventionalCommits');
+const { parseVersion } = require('../utils/releaseNotes');
+const { loadClassificationRules } = require('./classificationRules');
+const { FeedbackModel, extractFeatures } = require('./feedbackModel');
+const { Redactor } = require('../services/redactor');
   class SignalClassifier {
-  constructor() {
-    // File extension to category mappings
-    this.extensionMap = {
-      // Code files
-      js: 'code', jsx: 'code', ts: 'code', tsx: 'code',
-      py: 'code', java: 'code', cpp: 'code', c: 'code', h: 'code',
-      go: 'code', rs: 'code', rb: 'code', php: 'code', swift: 'code',
-      kt: 'code', scala: 'code', cs: 'code',
-      
-      // Documentation files
-      md: 'docs', txt: 'docs', rst: 'docs', adoc: 'docs',
-      
-      // Config files
-      json: 'config', yml: 'config', yaml: 'config', toml: 'config',
-      xml: 'config', ini: 'config', env: 'config', conf: 'config',
-      
-      // Build/dependency files
-      lock: 'config', gradle: 'config', pom: 'config'
-    };
-    
-    // Path-based categorization rules
-    this.pathRules = [
-      { pattern: /^(docs?|documentation)\//i, category: 'docs' },
-      { pattern: /\.github\//i, category: 'config' },
-      { pattern: /^(src|lib|app|core)\//i, category: 'code' },
-      { pattern: /^(test|__tests__|spec)\//i, category: 'code' },
-      { pattern: /^(config|conf|settings)\//i, category: 'config' }
-    ];
-    
-    // Confidence modifiers based on file names
-    this.importantFiles = [
-      'README', 'CHANGELOG', 'CONTRIBUTING',
-      'package.json', 'setup.py', 'Cargo.toml',
-      'main', 'index', 'app'
-    ];
+  /**
+   * @param {Object} ruleSet - Compiled rules from loadClassificationRules(); extension and
+   *                           path categories, important files, commit types, per-signal-type
+   *                           confidence adjustments and custom rules
+   * @param {FeedbackModel} feedbackModel - Model trained on queue decisions, blended into confidence
+   * @param {Redactor} redactor - Masks signal text before feedback features are taken from it
+   */
+  constructor(ruleSet = loadClassificationRules(), feedbackModel = new FeedbackModel(), redactor = new Redactor()) {
+    this.ruleSet = ruleSet;
+    this.feedbackModel = feedbackModel;
+    this.redactor = redactor;
+  }
+
+  // Rules for a repository: its override from the rules file, or the shared rules
+  rulesFor(repo) {
+    return this.ruleSet.repos[repo] || this.ruleSet.base;
   }
 
   // Get file extension from filename
@@ -45,9 +31,9 @@ const logger = require('../utils/logger')
   }
 
   // Categorize file based on extension and path
-  categorizeFile(filepath) {
+  categorizeFile(filepath, rules = this.ruleSet.base) {
     // Check path-based rules first
-    for (const rule of this.pathRules) {
+    for (const rule of rules.paths) {
       if (rule.pattern.test(filepath)) {
         return rule.category;
       }
@@ -55,75 +41,122 @@ const logger = require('../utils/logger')
     
     // Check extension mapping
     const ext = this.getExtension(filepath);
-    if (ext && this.extensionMap[ext]) {
-      return this.extensionMap[ext];
+    if (ext && rules.extensions[ext]) {
+      return rules.extensions[ext];
     }
     
     return 'unknown';
   }
 
   // Check if file is important based on name
-  isImportantFile(filepath) {
+  isImportantFile(filepath, rules = this.ruleSet.base) {
     const filename = filepath.split('/').pop().toLowerCase();
-    return this.importantFiles.some(important => 
-      filename.startsWith(important.toLowerCase())
-    );
+    return rules.importantFiles.some(important => filename.startsWith(important));
   }
 
   // Calculate confidence modifier based on file importance
-  calculateFileConfidence(filepath, baseConfidence) {
+  calculateFileConfidence(filepath, baseConfidence, rules = this.ruleSet.base) {
+    const { adjustments } = rules;
     let confidence = baseConfidence;
     
     // Boost confidence for important files
-    if (this.isImportantFile(filepath)) {
-      confidence = Math.min(1.0, confidence + 0.15);
+    if (this.isImportantFile(filepath, rules)) {
+      confidence = Math.min(1.0, confidence + adjustments.importantFile);
     }
     
     // Reduce confidence for test files
     if (/test|spec|__tests__/i.test(filepath)) {
-      confidence = Math.max(0.3, confidence - 0.1);
+      confidence = Math.max(0.3, confidence + adjustments.testFile);
     }
     
     // Reduce confidence for config changes
-    const category = this.categorizeFile(filepath);
-    if (category === 'config' && !this.isImportantFile(filepath)) {
-      confidence = Math.max(0.4, confidence - 0.1);
+    const category = this.categorizeFile(filepath, rules);
+    if (category === 'config' && !this.isImportantFile(filepath, rules)) {
+      confidence = Math.max(0.4, confidence + adjustments.configFile);
     }
     
     return confidence;
   }
 
+  // Combine per-file categories and confidences, weighted by lines changed
+  classifyFiles(files, baseConfidence, rules = this.ruleSet.base) {
+    const categoryWeights = {};
+    let weightedConfidence = 0;
+    let totalWeight = 0;
+    
+    for (const file of files) {
+      // Files without line counts (renames, binaries, webhook payloads) still count once
+      const weight = Math.max(1, (file.additions || 0) + (file.deletions || 0));
+      const category = this.categorizeFile(file.filename, rules);
+      
+      categoryWeights[category] = (categoryWeights[category] || 0) + weight;
+      weightedConfidence += this.calculateFileConfidence(file.filename, baseConfidence, rules) * weight;
+      totalWeight += weight;
+    }
+    
+    // Prefer a known category; "unknown" only wins when nothing else was touched
+    const ranked = Object.entries(categoryWeights)
+      .sort((a, b) => b[1] - a[1]);
+    const known = ranked.filter(([category]) => category !== 'unknown');
+    const category = known.length > 0 ? known[0][0] : 'unknown';
+    
+    const shares = {};
+    for (const [name, weight] of ranked) {
+      shares[name] = parseFloat((weight / totalWeight).toFixed(2));
+    }
+    
+    return {
+      category,
+      confidence: weightedConfidence / totalWeight,
+      shares,
+      lines_changed: files.reduce((sum, f) => sum + (f.additions || 0) + (f.deletions || 0), 0)
+    };
+  }
+
   // Classify a commit signal
-  classifyCommit(signal) {
+  classifyCommit(signal, rules = this.ruleSet.base) {
     logger.debug('Classifying commit signal', { sha: signal.data.sha.substring(0, 7) });
     
-    // For commits, we need to fetch file information
-    // For now, use commit message heuristics
     const message = signal.data.message.toLowerCase();
+    const parsed = parseCommitMessage(signal.data.message);
+    const commitType = parsed.conventional ? rules.commitTypes[parsed.type] : null;
+    const keyword = commitType ? null : rules.commitKeywords.find(rule => rule.pattern.test(message));
     
     let category = 'unknown';
     let confidenceAdjustment = 0;
     
-    // Message-based classification
-    if (/\b(feat|feature|add|implement)\b/i.test(message)) {
-      category = 'code';
-      confidenceAdjustment = 0.1;
-    } else if (/\b(docs?|readme|documentation)\b/i.test(message)) {
-      category = 'docs';
-      confidenceAdjustment = 0.15;
-    } else if (/\b(fix|bug|patch|hotfix)\b/i.test(message)) {
-      category = 'code';
-      confidenceAdjustment = 0.05;
-    } else if (/\b(config|setup|build|ci|cd)\b/i.test(message)) {
-      category = 'config';
-      confidenceAdjustment = -0.05;
-    } else if (/\b(refactor|cleanup|style)\b/i.test(message)) {
-      category = 'code';
-      confidenceAdjustment = 0;
+    if (commitType) {
+      // Structured header: the declared type replaces the keyword guesses below
+      category = commitType.category;
+      confidenceAdjustment = commitType.adjustment;
+    } else if (keyword) {
+      // Message keyword heuristic
+      category = keyword.category;
+      confidenceAdjustment = keyword.adjustment;
+    }
+    
+    // Breaking changes are always worth announcing; co-authored and issue-closing
+    // commits are a little more likely to make a story
+    if (parsed.breaking) confidenceAdjustment += rules.adjustments.breaking;
+    if (parsed.co_authors.length > 0) confidenceAdjustment += rules.adjustments.coAuthored;
+    if (parsed.references.length > 0) confidenceAdjustment += rules.adjustments.closesIssue;
+    
+    // Changed files, when known, decide the category and the base confidence;
+    // the message heuristic then nudges the file-based confidence
+    const files = signal.data.files || [];
+    let baseConfidence = signal.confidence;
+    let fileClassification = null;
+    
+    if (files.length > 0) {
+      fileClassification = this.classifyFiles(files, signal.confidence, rules);
+      baseConfidence = fileClassification.confidence;
+      if (fileClassification.category !== 'unknown') {
+        category = fileClassification.category;
+      }
     }
     
     const finalConfidence = Math.max(0.3, Math.min(1.0, 
-      signal.confidence + confidenceAdjustment
+      baseConfidence + confidenceAdjustment
     ));
     
     return {
@@ -131,62 +164,311 @@ const logger = require('../utils/logger')
       category,
       confidence: finalConfidence,
       classification: {
-        method: 'commit_message_heuristic',
-        original_confidence: signal.confidence
+        method: fileClassification ? 'commit_files_weighted' :
+          (commitType ? 'commit_conventional' : 'commit_message_heuristic'),
+        original_confidence: signal.confidence,
+        conventional: parsed.conventional,
+        commit_type: parsed.type,
+        scope: parsed.scope,
+        breaking: parsed.breaking,
+        ...(parsed.breaking_notes.length > 0 && { breaking_notes: parsed.breaking_notes }),
+        co_authors: parsed.co_authors,
+        closes: parsed.references,
+        ...(fileClassification && {
+          file_categories: fileClassification.shares,
+          file_confidence: parseFloat(fileClassification.confidence.toFixed(2)),
+          lines_changed: fileClassification.lines_changed
+        })
       }
     };
   }
 
   // Classify a README update signal
-  classifyReadme(signal) {
+  classifyReadme(signal, rules = this.ruleSet.base) {
     logger.debug('Classifying README signal');
     
     // README updates are always docs and high value
+    const adjust = rules.signalAdjustments.readme_update;
+    let confidenceAdjustment = adjust.base;
+    const diff = signal.data.diff;
+    
+    // New sections are announcements; badge-only or one-line tweaks are not
+    if (diff) {
+      const linesAdded = diff.changed_sections.reduce((sum, s) => sum + s.added_lines.length, 0);
+      if (diff.added_sections.length > 0) {
+        confidenceAdjustment += adjust.newSection;
+      } else if (linesAdded <= 1) {
+        confidenceAdjustment += adjust.tinyChange;
+      }
+    }
+    
     return {
       ...signal,
       category: 'docs',
-      confidence: Math.min(1.0, signal.confidence + 0.1),
+      confidence: Math.max(0.3, Math.min(1.0, signal.confidence + confidenceAdjustment)),
       classification: {
-        method: 'readme_direct',
+        method: diff ? 'readme_section_diff' : 'readme_direct',
         original_confidence: signal.confidence
       }
     };
   }
 
+  // Category and adjustment of the first matching label rule, else the first matching title pattern
+  matchLabelsOrTitle(data, adjust) {
+    const labels = (data.labels || []).map(label => String(label).toLowerCase());
+    const match = adjust.labels.find(rule => rule.labels.some(label => labels.includes(label))) ||
+      adjust.titles.find(rule => rule.pattern.test(data.title || ''));
+    return match ? { category: match.category, adjustment: match.adjustment } : { category: 'unknown', adjustment: 0 };
+  }
+
   // Classify an issue signal
-  classifyIssue(signal) {
+  classifyIssue(signal, rules = this.ruleSet.base) {
     logger.debug('Classifying issue signal', { number: signal.data.number });
     
-    const title = signal.data.title.toLowerCase();
-    const labels = signal.data.labels;
+    const { category, adjustment: confidenceAdjustment } =
+      this.matchLabelsOrTitle(signal.data, rules.signalAdjustments.issue);
+    
+    const finalConfidence = Math.max(0.3, Math.min(1.0, 
+      signal.confidence + confidenceAdjustment
+    ));
+    
+    return {
+      ...signal,
+      category,
+      confidence: finalConfidence,
+      classification: {
+        method: 'issue_labels_title',
+        original_confidence: signal.confidence
+      }
+    };
+  }
+
+  // Classify a merged pull request signal
+  classifyPullRequest(signal, rules = this.ruleSet.base) {
+    logger.debug('Classifying pull request signal', { number: signal.data.number });
+    
+    const adjust = rules.signalAdjustments.pull_request;
+    const match = this.matchLabelsOrTitle(signal.data, adjust);
+    const category = match.category;
+    let confidenceAdjustment = match.adjustment;
+    
+    // Substantial, reviewed PRs that close issues make better stories
+    const linesChanged = (signal.data.additions || 0) + (signal.data.deletions || 0);
+    if (linesChanged >= 200) {
+      confidenceAdjustment += adjust.large;
+    } else if (linesChanged > 0 && linesChanged < 10) {
+      confidenceAdjustment += adjust.small;
+    }
+    if (signal.data.linked_issues && signal.data.linked_issues.length > 0) {
+      confidenceAdjustment += adjust.closesIssue;
+    }
+    if (signal.data.reviewers && signal.data.reviewers.length > 0) {
+      confidenceAdjustment += adjust.reviewed;
+    }
+    
+    const finalConfidence = Math.max(0.3, Math.min(1.0, 
+      signal.confidence + confidenceAdjustment
+    ));
+    
+    return {
+      ...signal,
+      category,
+      confidence: finalConfidence,
+      classification: {
+        method: 'pull_request_labels_title_size',
+        original_confidence: signal.confidence,
+        lines_changed: linesChanged
+      }
+    };
+  }
+
+  // Classify a release signal, ranking major versions above minors and patches
+  classifyRelease(signal, rules = this.ruleSet.base) {
+    logger.debug('Classifying release signal', { tag: signal.data.tag_name });
+    
+    const version = signal.data.version;
+    const notes = signal.data.notes;
+    const adjust = rules.signalAdjustments.release;
     
-    let category = 'unknown';
     let confidenceAdjustment = 0;
     
-    // Label-based classification
-    if (labels.includes('bug') || labels.includes('fix')) {
-      category = 'code';
-      confidenceAdjustment = 0.05;
-    } else if (labels.includes('documentation') || labels.includes('docs')) {
-      category = 'docs';
-      confidenceAdjustment = 0.1;
-    } else if (labels.includes('feature') || labels.includes('enhancement')) {
-      category = 'code';
-      confidenceAdjustment = 0.1;
+    if (version) {
+      if (version.bump === 'major') {
+        confidenceAdjustment = adjust.major;
+      } else if (version.bump === 'minor') {
+        confidenceAdjustment = adjust.minor;
+      } else {
+        confidenceAdjustment = adjust.patch;
+      }
+    }
+    
+    // Pre-releases are previews, not the announcement itself
+    if (signal.data.prerelease) {
+      confidenceAdjustment += adjust.prerelease;
     }
     
-    // Title-based classification if no labels matched
-    if (category === 'unknown') {
-      if (/\b(bug|error|broken|crash)\b/i.test(title)) {
-        category = 'code';
-        confidenceAdjustment = 0;
-      } else if (/\b(docs?|readme|documentation)\b/i.test(title)) {
-        category = 'docs';
-        confidenceAdjustment = 0.05;
-      } else if (/\b(feature|enhancement|improve)\b/i.test(title)) {
-        category = 'code';
-        confidenceAdjustment = 0.05;
+    // Notes with real content give the post something to say
+    if (notes && (notes.features.length > 0 || notes.breaking.length > 0)) {
+      confidenceAdjustment += adjust.notableNotes;
+    }
+    
+    const finalConfidence = Math.max(0.3, Math.min(1.0, 
+      signal.confidence + confidenceAdjustment
+    ));
+    
+    return {
+      ...signal,
+      category: 'release',
+      confidence: finalConfidence,
+      classification: {
+        method: 'release_semver',
+        original_confidence: signal.confidence,
+        bump: version ? version.bump : 'unknown'
       }
+    };
+  }
+
+  // Classify a repository milestone signal
+  classifyMilestone(signal, rules = this.ruleSet.base) {
+    logger.debug('Classifying milestone signal', {
+      metric: signal.data.metric,
+      threshold: signal.data.threshold
+    });
+    
+    const { metric, threshold } = signal.data;
+    const adjust = rules.signalAdjustments.milestone;
+    
+    // Stars and first outside contributors are the community posts that land best
+    let confidenceAdjustment = adjust.metrics[metric] || 0;
+    if (threshold >= 1000) {
+      confidenceAdjustment += adjust.bigThreshold;
+    }
+    
+    const finalConfidence = Math.max(0.3, Math.min(1.0, 
+      signal.confidence + confidenceAdjustment
+    ));
+    
+    return {
+      ...signal,
+      category: 'community',
+      confidence: finalConfidence,
+      classification: {
+        method: 'milestone_metric',
+        original_confidence: signal.confidence
+      }
+    };
+  }
+
+  // Classify a deployment signal; production deploys of tagged versions rank highest
+  classifyDeployment(signal, rules = this.ruleSet.base) {
+    logger.debug('Classifying deployment signal', {
+      environment: signal.data.environment,
+      version: signal.data.version
+    });
+    
+    const { environment, version, duration_seconds: duration } = signal.data;
+    const adjust = rules.signalAdjustments.deployment;
+    let confidenceAdjustment = 0;
+    
+    if (environment === 'production') {
+      confidenceAdjustment += adjust.production;
+    } else if (/staging|preview|dev/i.test(environment)) {
+      confidenceAdjustment += adjust.preProduction;
+    }
+    
+    // A tagged version is a release story; a bare sha is routine continuous delivery
+    if (/^v?\d+\.\d+/.test(version)) {
+      confidenceAdjustment += adjust.taggedVersion;
+    } else {
+      confidenceAdjustment += adjust.untaggedVersion;
+    }
+    
+    // Very long deploys usually mean a rollout worth describing
+    if (duration && duration > 1800) {
+      confidenceAdjustment += adjust.longRollout;
+    }
+    
+    const finalConfidence = Math.max(0.3, Math.min(1.0, 
+      signal.confidence + confidenceAdjustment
+    ));
+    
+    return {
+      ...signal,
+      category: 'release',
+      confidence: finalConfidence,
+      classification: {
+        method: 'deployment_environment',
+        original_confidence: signal.confidence
+      }
+    };
+  }
+
+  // Classify a workflow recovery signal by how long the build was red
+  classifyWorkflowRun(signal, rules = this.ruleSet.base) {
+    logger.debug('Classifying workflow run signal', {
+      workflow: signal.data.workflow,
+      red_streak: signal.data.red_streak
+    });
+    
+    const { red_streak: streak, red_for_hours: hours } = signal.data;
+    const adjust = rules.signalAdjustments.workflow_run;
+    
+    // Longer outages make for a better "how we fixed it" post
+    let confidenceAdjustment = Math.min(adjust.maxStreak, (streak || 0) * adjust.perRedRun);
+    if (hours >= 72) {
+      confidenceAdjustment += adjust.longOutage;
+    }
+    
+    const finalConfidence = Math.max(0.3, Math.min(1.0, 
+      signal.confidence + confidenceAdjustment
+    ));
+    
+    return {
+      ...signal,
+      category: 'ci',
+      confidence: finalConfidence,
+      classification: {
+        method: 'workflow_red_streak',
+        original_confidence: signal.confidence
+      }
+    };
+  }
+
+  // Whether an article title names a release: "changelog"/"release(d)", a "v"-prefixed
+  // version, or a full semver token ("2.3.1", "sdk@2.3.1"). A bare decimal such as
+  // "Python 3.12 tips" or "2.5x faster builds" is not a release.
+  isReleaseAnnouncement(text) {
+    if (/\b(changelog|release[sd]?)\b/i.test(text)) return true;
+    
+    return text.split(/\s+/)
+      .map(token => token.replace(/^\W+|\W+$/g, ''))
+      .some(token => /^v\d+(\.\d+)*$/i.test(token) || (/\d+\.\d+\.\d+/.test(token) && parseVersion(token) !== null));
+  }
+
+  // Classify a blog/changelog feed entry
+  classifyArticle(signal, rules = this.ruleSet.base) {
+    logger.debug('Classifying article signal', { title: signal.data.title });
+    
+    const { title, summary, categories, published_at: publishedAt } = signal.data;
+    const text = `${title} ${(categories || []).join(' ')}`;
+    
+    // Changelog feeds announce releases; everything else is a write-up
+    const category = this.isReleaseAnnouncement(text) ? 'release' : 'article';
+    
+    const adjust = rules.signalAdjustments.article;
+    let confidenceAdjustment = 0;
+    
+    // A real summary gives the post something to say beyond the headline
+    if (!summary) {
+      confidenceAdjustment += adjust.noSummary;
+    } else if (summary.length >= 200) {
+      confidenceAdjustment += adjust.longSummary;
+    }
+    
+    // Sharing a post weeks after publication reads as stale
+    const ageDays = publishedAt ? (Date.now() - new Date(publishedAt)) / (24 * 60 * 60 * 1000) : 0;
+    if (ageDays > 14) {
+      confidenceAdjustment += adjust.stale;
     }
     
     const finalConfidence = Math.max(0.3, Math.min(1.0, 
@@ -198,27 +480,171 @@ const logger = require('../utils/logger')
       category,
       confidence: finalConfidence,
       classification: {
-        method: 'issue_labels_title',
+        method: 'article_summary',
+        original_confidence: signal.confidence
+      }
+    };
+  }
+
+  // Classify a digest by how much it bundles and how many people contributed
+  classifyDigest(signal, rules = this.ruleSet.base) {
+    logger.debug('Classifying digest signal', {
+      repo: signal.data.repo,
+      total: signal.data.total
+    });
+    
+    const { total, counts, contributors } = signal.data;
+    const adjust = rules.signalAdjustments.digest;
+    
+    let confidenceAdjustment = Math.min(adjust.maxVolume, total * adjust.perItem);
+    if (counts.pull_request > 0) {
+      confidenceAdjustment += adjust.pullRequests;
+    }
+    if (contributors.length >= 3) {
+      confidenceAdjustment += adjust.manyContributors;
+    }
+    
+    const finalConfidence = Math.max(0.3, Math.min(1.0, 
+      signal.confidence + confidenceAdjustment
+    ));
+    
+    return {
+      ...signal,
+      category: 'digest',
+      confidence: finalConfidence,
+      classification: {
+        method: 'digest_volume',
         original_confidence: signal.confidence
       }
     };
   }
 
+  // Text a rule's "message" pattern is tested against
+  ruleText(signal) {
+    const data = signal.data || {};
+    return [data.message, data.title, data.name, data.body, data.summary]
+      .filter(value => typeof value === 'string')
+      .join('\n');
+  }
+
+  // A rule fires when every condition it lists matches
+  ruleMatches(rule, signal) {
+    const { match } = rule;
+    const data = signal.data || {};
+    
+    if (match.type && !match.type.includes(signal.type)) return false;
+    if (match.message && !match.message.test(this.ruleText(signal))) return false;
+    if (match.labels) {
+      const labels = (data.labels || []).map(label => String(label).toLowerCase());
+      if (!labels.some(label => match.labels.includes(label))) return false;
+    }
+    if (match.paths) {
+      const files = (data.files || []).map(file => file.filename);
+      if (!files.some(file => match.paths.some(re => re.test(file)))) return false;
+    }
+    if (match.author) {
+      const names = [data.author, data.author_login].filter(Boolean).map(name => name.toLowerCase());
+      if (!names.some(name => match.author.includes(name))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Apply configured rules after type-specific classification, in file order
+   * @param {Object} classified - Classified signal
+   * @param {Object} rules - Compiled rules for the signal's repository
+   * @returns {Object} Signal with rule effects applied and `classification.rules`
+   *                   listing the rules that fired; dropped signals get `dropped: true`
+   */
+  applyRules(classified, rules) {
+    const fired = [];
+    let { category, confidence } = classified;
+    let droppedBy = null;
+    
+    for (const rule of rules.rules) {
+      if (!this.ruleMatches(rule, classified)) continue;
+      
+      fired.push(rule.name);
+      if (rule.drop) {
+        droppedBy = rule.name;
+        break;
+      }
+      if (rule.category) category = rule.category;
+      confidence = Math.max(0.3, Math.min(1.0, confidence + rule.adjust));
+    }
+    
+    return {
+      ...classified,
+      category,
+      confidence,
+      ...(droppedBy && { dropped: true }),
+      classification: {
+        ...classified.classification,
+        rules: fired,
+        ...(droppedBy && { dropped_by: droppedBy })
+      }
+    };
+  }
+
+  // Feedback features of a signal, taken from its redacted text; the model is trained on
+  // the same features, which are persisted with each queue decision
+  featuresFor(signal) {
+    return extractFeatures(this.redactor.redact(signal, 'feedback').value);
+  }
+
+  // Blend the feedback model's score into confidence once it has learned enough
+  applyFeedback(classified) {
+    const blended = this.feedbackModel.blend(classified.confidence, this.featuresFor(classified));
+    if (!blended) return classified;
+    
+    return {
+      ...classified,
+      confidence: blended.confidence,
+      classification: {
+        ...classified.classification,
+        rule_confidence: parseFloat(classified.confidence.toFixed(2)),
+        feedback_score: blended.score
+      }
+    };
+  }
+
   // Main classification method
   classify(signal) {
     logger.info('Classifying signal', { type: signal.type, id: signal.id });
     
+    const rules = this.rulesFor(signal.repo);
     let classified;
     
     switch (signal.type) {
       case 'commit':
-        classified = this.classifyCommit(signal);
+        classified = this.classifyCommit(signal, rules);
         break;
       case 'readme_update':
-        classified = this.classifyReadme(signal);
+        classified = this.classifyReadme(signal, rules);
         break;
       case 'issue':
-        classified = this.classifyIssue(signal);
+        classified = this.classifyIssue(signal, rules);
+        break;
+      case 'pull_request':
+        classified = this.classifyPullRequest(signal, rules);
+        break;
+      case 'release':
+        classified = this.classifyRelease(signal, rules);
+        break;
+      case 'milestone':
+        classified = this.classifyMilestone(signal, rules);
+        break;
+      case 'deployment':
+        classified = this.classifyDeployment(signal, rules);
+        break;
+      case 'workflow_run':
+        classified = this.classifyWorkflowRun(signal, rules);
+        break;
+      case 'article':
+        classified = this.classifyArticle(signal, rules);
+        break;
+      case 'digest':
+        classified = this.classifyDigest(signal, rules);
         break;
       default:
         logger.warn('Unknown signal type', { type: signal.type });
@@ -229,11 +655,17 @@ const logger = require('../utils/logger')
         };
     }
     
+    classified = this.applyRules(classified, rules);
+    if (!classified.dropped) {
+      classified = this.applyFeedback(classified);
+    }
+    
     logger.info('Signal classified', {
       id: signal.id,
       category: classified.category,
       confidence: classified.confidence.toFixed(2),
-      original_confidence: signal.confidence.toFixed(2)
+      original_confidence: signal.confidence.toFixed(2),
+      ...(classified.classification.rules.length > 0 && { rules: classified.classification.rules })
     });
     
     return classified;
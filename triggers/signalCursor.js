@@ -0,0 +1,53 @@
+// triggers/signalCursor.js
+const stateStore = require('../utils/stateStore');
+
+/**
+ * Cursors that only move past consumed signals
+ * A detected signal is consumed once it is published or queued, rejected by a filter,
+ * rule or the posting policy, absorbed as a duplicate, or buffered for a digest.
+ * Until then the cursor stays behind it, so a signal the posting policy deferred (or
+ * whose post failed) is detected again on the next run.
+ */
+
+// True once a signal needs no re-detection: processed, or waiting in a digest buffer
+// (itself, or merged into a buffered near-duplicate)
+function isConsumed(id) {
+  if (stateStore.hasProcessed(id)) return true;
+  return Object.values(stateStore.get('digestBuffer', {}))
+    .some(entry => entry.items.some(item => item.id === id || (item.related || []).includes(id)));
+}
+
+/**
+ * Plan a cursor over one stream of fetched items
+ * Every unconsumed signal gets `cursor: { type, mark, after }`: the mark to store once
+ * it is consumed (reaching up to the next unconsumed signal) and the ids of the
+ * unconsumed signals older than it, which have to be consumed first.
+ * @param {Array} entries - [{ mark, signal }] newest first; `signal` is null for items that produce none
+ * @param {String} type - Cursor name
+ * @returns {Object|null} Newest mark that is safe to store now (it and everything older is consumed)
+ */
+function planCursor(entries, type) {
+  let safe = null;
+  let current = null;
+  const pending = [];
+
+  for (const { mark, signal } of [...entries].reverse()) {
+    if (signal && !isConsumed(signal.id)) {
+      signal.cursor = { type, mark, after: [...pending] };
+      pending.push(signal.id);
+      current = signal;
+    } else if (current) {
+      current.cursor.mark = mark;
+    } else {
+      safe = mark;
+    }
+  }
+  return safe;
+}
+
+// True when a consumed signal's cursor may be stored: every older signal of its stream is consumed
+function cursorReady(signal) {
+  return !!signal.cursor && signal.cursor.after.every(isConsumed);
+}
+
+module.exports = { isConsumed, planCursor, cursorReady };
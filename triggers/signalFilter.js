@@ -0,0 +1,138 @@
+// triggers/signalFilter.js
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const { pathGlobToRegExp } = require('../utils/pathGlob');
+
+// Parse a comma-separated env list into lowercase entries
+function parseList(value) {
+  return (value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Signal filter stage (runs right after detection, before digests and classification)
+ * Drops signals from denied or non-allowed authors, bots, merge commits, reverts and
+ * commits whose changed paths don't pass FILTER_IGNORE_PATHS / FILTER_ONLY_PATHS.
+ * Dropped signals are marked processed with `filtered: <reason>`, so triggers skip
+ * them on later runs instead of re-evaluating them.
+ */
+class SignalFilter {
+  constructor() {
+    this.allowAuthors = parseList(process.env.FILTER_AUTHORS_ALLOW);
+    this.denyAuthors = parseList(process.env.FILTER_AUTHORS_DENY);
+    this.botNames = parseList(process.env.FILTER_BOT_NAMES || 'dependabot,renovate,greenkeeper,snyk-bot,github-actions');
+    this.filterBots = process.env.FILTER_BOTS !== 'false';
+    this.filterMerges = process.env.FILTER_MERGE_COMMITS !== 'false';
+    this.filterReverts = process.env.FILTER_REVERTS !== 'false';
+    this.ignorePaths = parseList(process.env.FILTER_IGNORE_PATHS).map(pathGlobToRegExp);
+    this.onlyPaths = parseList(process.env.FILTER_ONLY_PATHS).map(pathGlobToRegExp);
+    this.authorTypes = ['commit', 'pull_request', 'issue', 'article'];
+  }
+
+  // Every name a signal's author is known by (git name, login)
+  authorNames(signal) {
+    return [signal.data.author, signal.data.author_login]
+      .filter(Boolean)
+      .map(name => name.toLowerCase());
+  }
+
+  // Bots: "[bot]" logins, GitHub's user.type, and well-known bot names
+  isBot(signal) {
+    if (signal.data.author_type === 'Bot') return true;
+    return this.authorNames(signal).some(name =>
+      name.endsWith('[bot]') || this.botNames.some(bot => name === bot || name.startsWith(`${bot}[`))
+    );
+  }
+
+  // Merge commits have several parents; push payloads only carry the message
+  isMerge(signal) {
+    if (signal.data.parent_count !== null && signal.data.parent_count !== undefined) {
+      return signal.data.parent_count > 1;
+    }
+    return /^Merge (pull request|branch|remote-tracking branch) /.test(signal.data.message || '');
+  }
+
+  isRevert(signal) {
+    const text = signal.type === 'commit' ? signal.data.message : signal.data.title;
+    return /^Revert "/.test(text || '') || /This reverts commit [0-9a-f]{7,}/.test(text || '');
+  }
+
+  // Path filters apply to commits with a known file list
+  pathReason(signal) {
+    const files = (signal.data.files || []).map(f => f.filename);
+    if (files.length === 0) return null;
+
+    if (this.ignorePaths.length > 0 &&
+        files.every(file => this.ignorePaths.some(re => re.test(file)))) {
+      return 'ignored_paths_only';
+    }
+    if (this.onlyPaths.length > 0 &&
+        !files.some(file => this.onlyPaths.some(re => re.test(file)))) {
+      return 'no_matching_paths';
+    }
+    return null;
+  }
+
+  /**
+   * Decide whether a signal should be dropped
+   * @param {Object} signal - Detected signal
+   * @returns {String|null} Filter reason, or null to keep the signal
+   */
+  evaluate(signal) {
+    if (this.authorTypes.includes(signal.type)) {
+      const names = this.authorNames(signal);
+
+      if (names.some(name => this.denyAuthors.includes(name))) return 'author_denied';
+      // Anonymous entries (e.g. feed items without an author) are not subject to the allow list
+      if (this.allowAuthors.length > 0 && names.length > 0 &&
+          !names.some(name => this.allowAuthors.includes(name))) {
+        return 'author_not_allowed';
+      }
+      if (this.filterBots && signal.type !== 'article' && this.isBot(signal)) return 'bot';
+    }
+
+    if (signal.type === 'commit') {
+      if (this.filterMerges && this.isMerge(signal)) return 'merge_commit';
+      if (this.filterReverts && this.isRevert(signal)) return 'revert';
+      return this.pathReason(signal);
+    }
+
+    if (signal.type === 'pull_request' && this.filterReverts && this.isRevert(signal)) {
+      return 'revert';
+    }
+
+    return null;
+  }
+
+  /**
+   * Drop filtered signals, recording each with its reason
+   * @param {Array} signals - Detected signals
+   * @returns {Array} Signals that passed every filter
+   */
+  apply(signals) {
+    const kept = [];
+    const reasons = {};
+
+    for (const signal of signals) {
+      const reason = this.evaluate(signal);
+      if (!reason) {
+        kept.push(signal);
+        continue;
+      }
+
+      reasons[reason] = (reasons[reason] || 0) + 1;
+      stateStore.markProcessed(signal.id, {
+        type: signal.type,
+        repo: signal.repo,
+        filtered: reason
+      });
+      logger.debug('Signal filtered', { id: signal.id, reason });
+    }
+
+    if (kept.length < signals.length) {
+      logger.info('Signals filtered', { kept: kept.length, dropped: signals.length - kept.length, reasons });
+    }
+    return kept;
+  }
+}
+
+module.exports = { SignalFilter };
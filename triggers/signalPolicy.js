@@ -0,0 +1,191 @@
+// triggers/signalPolicy.js
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFERRALS = ['daily_budget', 'weekly_budget', 'repo_gap'];
+
+// Parse "commit:0.6,config:0.8" into { commit: 0.6, config: 0.8 }
+function parseThresholds(value) {
+  const thresholds = {};
+  for (const entry of (value || '').split(',')) {
+    const [name, min] = entry.split(':').map(part => part.trim());
+    if (name && min && !isNaN(parseFloat(min))) {
+      thresholds[name] = parseFloat(min);
+    }
+  }
+  return thresholds;
+}
+
+/**
+ * Posting policy stage (runs after classification, before enrichment)
+ * Sets `shouldProcess` and `reason` on every classified signal:
+ * - rule drops and signals below their type/category minimum confidence are
+ *   rejected for good and marked processed
+ * - the rest are ranked by POLICY_PRIORITY (then confidence) and accepted until
+ *   the daily/weekly post budget is used up or a repository was posted about
+ *   less than POLICY_REPO_GAP_HOURS ago; those are deferred to a later run
+ * Accepted signals reserve a budget slot for the run. A signal that fails gives
+ * its slot back (release), and reconsider() hands it to the next deferred one.
+ * Post times are kept in stateStore under `postHistory`.
+ */
+class SignalPolicy {
+  constructor() {
+    this.minConfidence = parseFloat(process.env.POLICY_MIN_CONFIDENCE || '0.5');
+    this.typeThresholds = parseThresholds(process.env.POLICY_MIN_CONFIDENCE_TYPES);
+    this.categoryThresholds = parseThresholds(process.env.POLICY_MIN_CONFIDENCE_CATEGORIES);
+    this.maxPerDay = parseInt(process.env.POLICY_MAX_POSTS_PER_DAY || '3', 10);
+    this.maxPerWeek = parseInt(process.env.POLICY_MAX_POSTS_PER_WEEK || '10', 10);
+    this.repoGapHours = parseFloat(process.env.POLICY_REPO_GAP_HOURS || '24');
+    this.priority = (process.env.POLICY_PRIORITY ||
+      'release,milestone,deployment,digest,pull_request,article,commit,readme_update,workflow_run,issue')
+      .split(',').map(p => p.trim()).filter(Boolean);
+    this.reserved = []; // Slots held this run by accepted signals not posted yet
+  }
+
+  // Minimum confidence for a signal: the stricter of its type and category minimums
+  thresholdFor(signal) {
+    const specific = [this.typeThresholds[signal.type], this.categoryThresholds[signal.category]]
+      .filter(min => min !== undefined);
+    return specific.length > 0 ? Math.max(...specific) : this.minConfidence;
+  }
+
+  // Position in POLICY_PRIORITY; a listed category can rank a signal above its type
+  rank(signal) {
+    const positions = [signal.category, signal.type]
+      .map(name => this.priority.indexOf(name))
+      .filter(index => index !== -1);
+    return positions.length > 0 ? Math.min(...positions) : this.priority.length;
+  }
+
+  // Posts of the last week, oldest first
+  history() {
+    const cutoff = Date.now() - 7 * DAY_MS;
+    return stateStore.get('postHistory', []).filter(post => new Date(post.at).getTime() >= cutoff);
+  }
+
+  // Remember a published or queued post for budgets and repository gaps
+  recordPost(signal) {
+    this.release(signal);
+    const history = this.history();
+    history.push({
+      id: signal.id,
+      type: signal.type,
+      source: signal.source || 'github',
+      repo: signal.repo,
+      at: new Date().toISOString()
+    });
+    stateStore.set('postHistory', history);
+  }
+
+  // Give back the slot an accepted signal reserved (it was posted, or it failed)
+  release(signal) {
+    this.reserved = this.reserved.filter(post => post.id !== signal.id);
+  }
+
+  // True if the policy turned a signal down for good (not just for this run)
+  isRejected(signal) {
+    return !signal.shouldProcess && !DEFERRALS.includes(signal.reason);
+  }
+
+  /**
+   * Check a deferred signal again, after earlier signals of the run were posted or failed
+   * @param {Object} signal - A signal as returned by decide()
+   * @returns {Object} The signal, accepted if a slot has been given back
+   */
+  reconsider(signal) {
+    if (signal.shouldProcess || !DEFERRALS.includes(signal.reason)) return signal;
+    if (this.deferral(signal, [...this.history(), ...this.reserved])) return signal;
+
+    this.reserve(signal);
+    logger.info('Policy decision', { id: signal.id, type: signal.type, shouldProcess: true, reason: 'slot_released' });
+    return { ...signal, shouldProcess: true, reason: 'accepted' };
+  }
+
+  reserve(signal) {
+    this.reserved.push({ id: signal.id, repo: signal.repo, source: signal.source || 'github', at: new Date().toISOString() });
+  }
+
+  // Reason a signal is rejected regardless of budget, or null
+  rejection(signal) {
+    if (signal.dropped) return `rule:${signal.classification.dropped_by}`;
+
+    const min = this.thresholdFor(signal);
+    if (signal.confidence < min) {
+      return `below_threshold:${signal.confidence.toFixed(2)}<${min}`;
+    }
+    return null;
+  }
+
+  // Reason an eligible signal has to wait for a later run, or null
+  deferral(signal, posts) {
+    const now = Date.now();
+    const source = signal.source || 'github';
+
+    if (this.maxPerDay > 0 &&
+        posts.filter(post => now - new Date(post.at).getTime() < DAY_MS).length >= this.maxPerDay) {
+      return 'daily_budget';
+    }
+    if (this.maxPerWeek > 0 && posts.length >= this.maxPerWeek) {
+      return 'weekly_budget';
+    }
+
+    const lastForRepo = posts.filter(post => post.repo === signal.repo && post.source === source).pop();
+    if (lastForRepo && now - new Date(lastForRepo.at).getTime() < this.repoGapHours * HOUR_MS) {
+      return 'repo_gap';
+    }
+    return null;
+  }
+
+  /**
+   * Decide which classified signals get posted this run
+   * @param {Array} signals - Classified signals
+   * @returns {Array} The same signals with `shouldProcess` and `reason`, accepted ones
+   *                  first in priority order
+   */
+  decide(signals) {
+    const rejected = [];
+    const eligible = [];
+
+    for (const signal of signals) {
+      const reason = this.rejection(signal);
+      if (reason) {
+        rejected.push({ ...signal, shouldProcess: false, reason });
+        stateStore.markProcessed(signal.id, { type: signal.type, repo: signal.repo, filtered: reason });
+      } else {
+        eligible.push(signal);
+      }
+    }
+
+    eligible.sort((a, b) => this.rank(a) - this.rank(b) || b.confidence - a.confidence);
+
+    // Accepted signals count against the budget before they are posted
+    this.reserved = [];
+    const decided = eligible.map(signal => {
+      const reason = this.deferral(signal, [...this.history(), ...this.reserved]);
+      if (reason) return { ...signal, shouldProcess: false, reason };
+
+      this.reserve(signal);
+      return { ...signal, shouldProcess: true, reason: 'accepted' };
+    });
+
+    const results = [...decided.filter(s => s.shouldProcess), ...decided.filter(s => !s.shouldProcess), ...rejected];
+    for (const signal of results) {
+      logger.info('Policy decision', {
+        id: signal.id,
+        type: signal.type,
+        category: signal.category,
+        confidence: signal.confidence.toFixed(2),
+        threshold: this.thresholdFor(signal),
+        priority: this.rank(signal),
+        shouldProcess: signal.shouldProcess,
+        reason: signal.reason
+      });
+    }
+
+    return results;
+  }
+}
+
+module.exports = { SignalPolicy };
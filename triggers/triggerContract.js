@@ -0,0 +1,54 @@
+// triggers/triggerContract.js
+const logger = require('../utils/logger');
+
+/**
+ * Trigger contract
+ * Every signal source the engine polls exposes:
+ *   source                - short name stamped on each signal ('github', 'gitlab', 'gitea', 'local', 'feed')
+ *   detectSignals()       - async; new signals as
+ *                           { type, source, repo, id, data, confidence }
+ *   markProcessed(signal) - record a signal once it produced a post or queue entry
+ *   healthCheck()         - async; { status: 'healthy' | 'degraded' | 'unhealthy', ... }
+ */
+const TRIGGER_METHODS = ['detectSignals', 'markProcessed', 'healthCheck'];
+
+// Built-in triggers by TRIGGERS name; required lazily so unused adapters cost nothing
+const TRIGGER_TYPES = {
+  github: () => new (require('./githubTrigger').GitHubTrigger)(),
+  gitlab: () => new (require('./gitlabTrigger').GitLabTrigger)(),
+  gitea: () => new (require('./giteaTrigger').GiteaTrigger)(),
+  local: () => new (require('./localGitTrigger').LocalGitTrigger)(),
+  feed: () => new (require('./feedTrigger').FeedTrigger)()
+};
+TRIGGER_TYPES.forgejo = TRIGGER_TYPES.gitea;
+
+// Throw if an object does not implement the trigger contract
+function assertTrigger(trigger) {
+  const missing = TRIGGER_METHODS.filter(method => typeof trigger[method] !== 'function');
+  if (missing.length > 0 || !trigger.source) {
+    const name = trigger.constructor ? trigger.constructor.name : typeof trigger;
+    throw new Error(`${name} does not implement the trigger contract (missing: ${
+      [...missing, ...(trigger.source ? [] : ['source'])].join(', ')})`);
+  }
+  return trigger;
+}
+
+/**
+ * Instantiate the triggers listed in TRIGGERS (default: "github")
+ * @param {String} names - Comma-separated trigger names
+ * @returns {Array} Trigger instances
+ */
+function createTriggers(names = process.env.TRIGGERS || 'github') {
+  const triggers = names.split(',').map(n => n.trim().toLowerCase()).filter(Boolean).map(name => {
+    const create = TRIGGER_TYPES[name];
+    if (!create) {
+      throw new Error(`Unknown trigger "${name}" (available: ${Object.keys(TRIGGER_TYPES).join(', ')})`);
+    }
+    return assertTrigger(create());
+  });
+
+  logger.info('Triggers configured', { triggers: triggers.map(t => t.source) });
+  return triggers;
+}
+
+module.exports = { TRIGGER_METHODS, assertTrigger, createTriggers };
@@ -0,0 +1,228 @@
+// triggers/webhookServer.js
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+const SUPPORTED_EVENTS = ['push', 'pull_request', 'release', 'issues'];
+const DELIVERY_HISTORY_LIMIT = 1000;
+
+/**
+ * GitHub webhook receiver - near-real-time alternative to polling.
+ * Verifies X-Hub-Signature-256, rejects redelivered X-GitHub-Delivery IDs,
+ * converts payloads into GitHubTrigger signals and hands them to WorkflowEngine.
+ * A delivery ID is only remembered once its signals were processed without
+ * errors, so a failed delivery can be redelivered from GitHub.
+ */
+class WebhookServer {
+  constructor(engine, trigger) {
+    this.engine = engine;
+    this.trigger = trigger;
+    this.secret = process.env.GITHUB_WEBHOOK_SECRET || null;
+    this.port = parseInt(process.env.WEBHOOK_PORT || process.env.PORT || '3000', 10);
+    this.path = process.env.WEBHOOK_PATH || '/webhooks/github';
+    this.maxBodySize = 5 * 1024 * 1024; // GitHub caps payloads at 25MB; ours are far smaller
+    this.server = null;
+    // Deliveries are processed one at a time so the engine never runs concurrently
+    this.processing = Promise.resolve();
+    this.inFlight = new Set(); // Accepted delivery IDs not processed yet
+  }
+
+  /**
+   * Verify the HMAC SHA-256 signature GitHub sends with every delivery
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {String} signatureHeader - X-Hub-Signature-256 value ("sha256=<hex>")
+   * @returns {Boolean}
+   */
+  verifySignature(rawBody, signatureHeader) {
+    if (!signatureHeader || !signatureHeader.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      'sha256=' + crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex')
+    );
+    const received = Buffer.from(signatureHeader);
+
+    return expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Check whether a delivery ID is being processed or has been processed
+   */
+  isDuplicateDelivery(deliveryId) {
+    return this.inFlight.has(deliveryId) || stateStore.get('webhookDeliveries', []).includes(deliveryId);
+  }
+
+  /**
+   * Remember a delivery ID, keeping the history bounded
+   */
+  recordDelivery(deliveryId) {
+    const deliveries = stateStore.get('webhookDeliveries', []);
+    deliveries.push(deliveryId);
+    stateStore.set('webhookDeliveries', deliveries.slice(-DELIVERY_HISTORY_LIMIT));
+  }
+
+  /**
+   * Read the full request body as a Buffer
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.maxBodySize) {
+          reject(new Error('Payload too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  _respond(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Handle a single HTTP request
+   */
+  async handleRequest(req, res) {
+    if (req.method !== 'POST' || req.url.split('?')[0] !== this.path) {
+      return this._respond(res, 404, { error: 'Not found' });
+    }
+
+    let rawBody;
+    try {
+      rawBody = await this._readBody(req);
+    } catch (error) {
+      return this._respond(res, 413, { error: error.message });
+    }
+
+    if (!this.verifySignature(rawBody, req.headers['x-hub-signature-256'])) {
+      logger.warn('WebhookServer: Rejected delivery with invalid signature', {
+        delivery: req.headers['x-github-delivery']
+      });
+      return this._respond(res, 401, { error: 'Invalid signature' });
+    }
+
+    const event = req.headers['x-github-event'];
+    const deliveryId = req.headers['x-github-delivery'];
+
+    if (!deliveryId) {
+      return this._respond(res, 400, { error: 'Missing X-GitHub-Delivery header' });
+    }
+
+    if (this.isDuplicateDelivery(deliveryId)) {
+      logger.info('WebhookServer: Duplicate delivery ignored', { deliveryId, event });
+      return this._respond(res, 200, { status: 'duplicate', deliveryId });
+    }
+
+    if (event === 'ping') {
+      this.recordDelivery(deliveryId);
+      return this._respond(res, 200, { status: 'pong' });
+    }
+
+    if (!SUPPORTED_EVENTS.includes(event)) {
+      return this._respond(res, 202, { status: 'ignored', event });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return this._respond(res, 400, { error: 'Invalid JSON payload' });
+    }
+
+    this.inFlight.add(deliveryId);
+    logger.info('WebhookServer: Delivery accepted', {
+      deliveryId,
+      event,
+      action: payload.action,
+      repo: payload.repository?.full_name
+    });
+
+    // Acknowledge immediately; GitHub times out deliveries after 10 seconds
+    this._respond(res, 202, { status: 'accepted', deliveryId });
+
+    this.processing = this.processing
+      .then(() => this._processDelivery(event, payload, deliveryId))
+      .then(() => this.recordDelivery(deliveryId))
+      .catch(error => {
+        logger.error('WebhookServer: Delivery processing failed, redeliver it to retry', {
+          deliveryId,
+          error: error.message
+        });
+      })
+      .finally(() => this.inFlight.delete(deliveryId));
+  }
+
+  /**
+   * Convert the payload into signals and run them through the workflow engine
+   */
+  async _processDelivery(event, payload, deliveryId) {
+    const signals = await this.trigger.signalsFromWebhook(event, payload);
+
+    if (signals.length === 0) {
+      logger.info('WebhookServer: No new signals in delivery', { deliveryId, event });
+      return;
+    }
+
+    const result = await this.engine.processSignals(signals, { source: 'webhook', deliveryId });
+
+    // Signals that did get posted are skipped on redelivery, since they are marked processed
+    const failed = result.results.filter(r => r.status === 'error').length;
+    if (failed > 0) {
+      throw new Error(`${failed} of ${result.results.length} signal(s) failed`);
+    }
+  }
+
+  /**
+   * Start listening for deliveries
+   */
+  start() {
+    if (!this.secret) {
+      throw new Error('GITHUB_WEBHOOK_SECRET is required to receive webhooks');
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        logger.error('WebhookServer: Request handling failed', { error: error.message });
+        if (!res.headersSent) {
+          this._respond(res, 500, { error: 'Internal error' });
+        }
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(this.port, () => {
+        logger.info('WebhookServer: Listening for GitHub deliveries', {
+          port: this.port,
+          path: this.path,
+          events: SUPPORTED_EVENTS
+        });
+        resolve(this.server);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting deliveries and wait for in-flight processing
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    await this.processing;
+  }
+}
+
+module.exports = { WebhookServer };
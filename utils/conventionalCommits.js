@@ -0,0 +1,75 @@
+// utils/conventionalCommits.js
+// Conventional Commits (https://www.conventionalcommits.org) message parsing
+
+const { extractLinkedIssues } = require('./linkedIssues');
+
+// "type(scope)!: description"
+const HEADER_PATTERN = /^(\w+)(?:\(([^()\r\n]*)\))?(!)?: (.+)$/;
+// "Token: value" or "Token #value"; tokens are hyphenated words, or BREAKING CHANGE
+const TRAILER_PATTERN = /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*)(?:: | #)(.*)$/;
+const CO_AUTHOR_PATTERN = /^(.*?)\s*<([^>]+)>$/;
+
+// Parse the trailing paragraph of a message into { token: [values] } when every line is a trailer
+function parseTrailers(paragraph) {
+  const trailers = {};
+  let current = null;
+
+  for (const line of paragraph.split('\n')) {
+    const match = TRAILER_PATTERN.exec(line);
+    if (match) {
+      const token = match[1].toLowerCase().replace(' ', '-');
+      const value = line.includes(`${match[1]} #`) ? `#${match[2]}` : match[2];
+      current = { token, value: value.trim() };
+      trailers[token] = [...(trailers[token] || []), current.value];
+    } else if (current && /^\s+\S/.test(line)) {
+      // Indented continuation lines extend the previous trailer
+      const values = trailers[current.token];
+      values[values.length - 1] += ` ${line.trim()}`;
+    } else if (line.trim()) {
+      return null;
+    }
+  }
+
+  return Object.keys(trailers).length > 0 ? trailers : null;
+}
+
+/**
+ * Parse a commit message
+ * @param {String} message - Full commit message
+ * @returns {Object} { conventional, type, scope, breaking, breaking_notes, subject, body,
+ *                     trailers, co_authors: [{ name, email }], references: [issue numbers] }
+ *                   type/scope are null when the header is not Conventional Commits
+ */
+function parseCommitMessage(message) {
+  const text = (message || '').replace(/\r\n/g, '\n').trim();
+  const [header, ...rest] = text.split('\n');
+  const paragraphs = rest.join('\n').trim().split(/\n\s*\n/).filter(Boolean);
+
+  const trailers = paragraphs.length > 0 ? parseTrailers(paragraphs[paragraphs.length - 1]) : null;
+  const body = (trailers ? paragraphs.slice(0, -1) : paragraphs).join('\n\n');
+  const footers = trailers || {};
+
+  const match = HEADER_PATTERN.exec(header.trim());
+  const breakingNotes = [...(footers['breaking-change'] || [])];
+
+  const coAuthors = (footers['co-authored-by'] || []).map(value => {
+    const parsed = CO_AUTHOR_PATTERN.exec(value);
+    return parsed ? { name: parsed[1], email: parsed[2] } : { name: value, email: null };
+  });
+
+  return {
+    conventional: !!match,
+    type: match ? match[1].toLowerCase() : null,
+    scope: match && match[2] ? match[2].trim() : null,
+    breaking: !!(match && match[3]) || breakingNotes.length > 0,
+    breaking_notes: breakingNotes,
+    subject: match ? match[4].trim() : header.trim(),
+    body,
+    trailers: footers,
+    co_authors: coAuthors,
+    // Closing keywords in the body or footers ("Closes #12", "Fixes #3")
+    references: extractLinkedIssues(text)
+  };
+}
+
+module.exports = { parseCommitMessage };
@@ -0,0 +1,168 @@
+// utils/feedParser.js
+// Minimal RSS 2.0 / Atom parser for blog and changelog feeds (no XML dependency)
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const SUMMARY_LENGTH = 500;
+
+// Decode XML/HTML entities, including numeric ones
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+const CDATA = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+
+// Unwrap CDATA sections, leaving their raw contents
+function unwrapCdata(text) {
+  return text.replace(CDATA, '$1');
+}
+
+// Markup (possibly escaped HTML) to plain text
+function stripMarkup(text) {
+  // Escaped HTML (&lt;p&gt;) is common in RSS descriptions
+  if (!/<[a-z]/i.test(text)) text = decodeEntities(text);
+  return decodeEntities(text.replace(/<[^>]+>/g, ' '));
+}
+
+// Plain text of a text element (title, link, guid...): CDATA content is literal and kept as-is,
+// so "<![CDATA[Why <T> & friends]]>" stays "Why <T> & friends"
+function toText(inner) {
+  if (!inner) return '';
+  return inner.split(CDATA)
+    .map((part, i) => (i % 2 === 1 ? part : stripMarkup(part)))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Plain text of an HTML element (description, content, summary), CDATA-wrapped or escaped
+function htmlToText(inner) {
+  if (!inner) return '';
+  return stripMarkup(unwrapCdata(inner))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Inner XML of the first <name> element in a block (names may be namespaced, e.g. "dc:creator")
+function element(block, name) {
+  const escaped = name.replace(':', '\\:');
+  const match = new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`, 'i').exec(block);
+  return match ? match[1] : null;
+}
+
+// Inner XML of every <name> element in a block
+function elements(block, name) {
+  const pattern = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'gi');
+  const found = [];
+  let match;
+  while ((match = pattern.exec(block)) !== null) {
+    found.push(match[1]);
+  }
+  return found;
+}
+
+// Value of an attribute on a tag string
+function attribute(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`, 'i').exec(tag);
+  return match ? decodeEntities(match[2]) : null;
+}
+
+// Normalize a feed date to ISO 8601 (null when unparseable)
+function toIsoDate(value) {
+  const date = new Date(toText(value));
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// Shorten a summary at a word boundary
+function truncate(text, length = SUMMARY_LENGTH) {
+  if (text.length <= length) return text;
+  const cut = text.lastIndexOf(' ', length);
+  return `${text.substring(0, cut > 0 ? cut : length)}…`;
+}
+
+// Atom <link> preferring rel="alternate" (or no rel)
+function atomLink(block) {
+  const links = block.match(/<link\b[^>]*>/gi) || [];
+  const preferred = links.find(tag => {
+    const rel = attribute(tag, 'rel');
+    return !rel || rel === 'alternate';
+  });
+  return preferred ? attribute(preferred, 'href') : null;
+}
+
+function parseRssItem(item) {
+  const link = toText(element(item, 'link'));
+  const title = toText(element(item, 'title'));
+  const published = toIsoDate(element(item, 'pubDate') || element(item, 'dc:date'));
+
+  return {
+    guid: toText(element(item, 'guid')) || link || `${title}:${published}`,
+    title,
+    link,
+    summary: truncate(htmlToText(element(item, 'description') || element(item, 'content:encoded'))),
+    published_at: published,
+    author: toText(element(item, 'dc:creator') || element(item, 'author')) || null,
+    categories: elements(item, 'category').map(toText).filter(Boolean)
+  };
+}
+
+function parseAtomEntry(entry) {
+  const link = atomLink(entry);
+  const title = toText(element(entry, 'title'));
+  const published = toIsoDate(element(entry, 'published') || element(entry, 'updated'));
+  const author = element(entry, 'author');
+  const categories = (entry.match(/<category\b[^>]*>/gi) || [])
+    .map(tag => attribute(tag, 'label') || attribute(tag, 'term'))
+    .filter(Boolean);
+
+  return {
+    guid: toText(element(entry, 'id')) || link || `${title}:${published}`,
+    title,
+    link,
+    summary: truncate(htmlToText(element(entry, 'summary') || element(entry, 'content'))),
+    published_at: published,
+    author: author ? toText(element(author, 'name') || author) || null : null,
+    categories
+  };
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document
+ * @param {String} xml - Feed document
+ * @returns {Object} { format: 'rss' | 'atom', title, link, entries: [{ guid, title, link,
+ *                     summary, published_at, author, categories }] }
+ */
+function parseFeed(xml) {
+  const doc = (xml || '').replace(/<!--[\s\S]*?-->/g, '');
+
+  if (/<feed[\s>]/i.test(doc)) {
+    const header = doc.split(/<entry[\s>]/i)[0];
+    return {
+      format: 'atom',
+      title: toText(element(header, 'title')),
+      link: atomLink(header),
+      entries: elements(doc, 'entry').map(parseAtomEntry)
+    };
+  }
+
+  if (/<rss[\s>]|<rdf:RDF[\s>]/i.test(doc)) {
+    const header = doc.split(/<item[\s>]/i)[0];
+    return {
+      format: 'rss',
+      title: toText(element(header, 'title')),
+      link: toText(element(header, 'link')),
+      entries: elements(doc, 'item').map(parseRssItem)
+    };
+  }
+
+  throw new Error('Unrecognized feed format (expected RSS 2.0 or Atom)');
+}
+
+module.exports = { parseFeed };
@@ -0,0 +1,196 @@
+// utils/httpCache.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_TTLS = 'wikipedia:168,npm:24,pypi:24,unsplash:72,pexels:72';
+
+// Raised in offline mode when a request has no cached response
+class CacheMissError extends Error {
+  constructor(provider, url) {
+    super(`No cached response for ${provider} request (offline mode): ${url}`);
+    this.name = 'CacheMissError';
+    this.provider = provider;
+  }
+}
+
+// Parse "wikipedia:168,npm:24" into { wikipedia: 168, npm: 24 }
+function parseTtls(value) {
+  const ttls = {};
+  for (const entry of (value || '').split(',')) {
+    const [name, hours] = entry.split(':').map(part => part.trim());
+    if (name && hours && !isNaN(parseFloat(hours))) {
+      ttls[name] = parseFloat(hours);
+    }
+  }
+  return ttls;
+}
+
+/**
+ * On-disk cache for GET requests to free enrichment APIs (Wikipedia, npm, PyPI,
+ * Unsplash, Pexels). One JSON file per response under HTTP_CACHE_DIR.
+ * - Successful responses live for the provider's TTL (HTTP_CACHE_TTLS, hours)
+ * - 404s are cached for HTTP_CACHE_NEGATIVE_TTL_HOURS and replayed as 404 errors
+ * - Least recently used entries are evicted beyond HTTP_CACHE_MAX_MB
+ * - Expired entries are still served when the API errors (other than 404)
+ * - HTTP_CACHE_OFFLINE=true serves only from cache, expired or not, and throws
+ *   CacheMissError instead of touching the network
+ * Request headers are never part of the key or the stored entry.
+ * GitHubClient keeps its ETags here too, through read() and write().
+ */
+class HttpCache {
+  constructor() {
+    this.enabled = process.env.HTTP_CACHE_ENABLED !== 'false';
+    this.offline = process.env.HTTP_CACHE_OFFLINE === 'true';
+    this.dir = path.resolve(__dirname, '..', process.env.HTTP_CACHE_DIR || '.cache/http');
+    this.defaultTtlHours = parseFloat(process.env.HTTP_CACHE_TTL_HOURS || '24');
+    this.ttls = { ...parseTtls(DEFAULT_TTLS), ...parseTtls(process.env.HTTP_CACHE_TTLS) };
+    this.negativeTtlHours = parseFloat(process.env.HTTP_CACHE_NEGATIVE_TTL_HOURS || '6');
+    this.maxBytes = parseFloat(process.env.HTTP_CACHE_MAX_MB || '50') * 1024 * 1024;
+  }
+
+  // Stable key for a provider, URL and query parameters
+  key(provider, url, params = {}) {
+    const query = Object.keys(params).sort()
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+    return `${provider} ${url}${query ? `?${query}` : ''}`;
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  ttlFor(provider) {
+    return (this.ttls[provider] ?? this.defaultTtlHours) * HOUR_MS;
+  }
+
+  // Cached entry for a key, or null; reading one marks it recently used
+  read(key) {
+    const file = this.fileFor(key);
+    try {
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const now = new Date();
+      fs.utimesSync(file, now, now);
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('HTTP cache entry unreadable, ignoring it', { key, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  write(key, entry) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this.fileFor(key), JSON.stringify({ key, ...entry }));
+      this.prune();
+    } catch (error) {
+      logger.warn('Failed to write HTTP cache entry', { key, error: error.message });
+    }
+  }
+
+  // Evict least recently used entries until the cache fits HTTP_CACHE_MAX_MB
+  prune() {
+    const files = fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        const file = path.join(this.dir, name);
+        const stat = fs.statSync(file);
+        return { file, size: stat.size, used: stat.mtimeMs };
+      })
+      .sort((a, b) => a.used - b.used);
+
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    let evicted = 0;
+    for (const { file, size } of files) {
+      if (total <= this.maxBytes) break;
+      fs.unlinkSync(file);
+      total -= size;
+      evicted++;
+    }
+    if (evicted > 0) {
+      logger.debug('HTTP cache pruned', { evicted, bytes: total });
+    }
+  }
+
+  // Replay a cached 404 the way axios reports one
+  notFound(url) {
+    const error = new Error('Request failed with status code 404 (cached)');
+    error.response = { status: 404, data: null, headers: {} };
+    error.config = { url };
+    return error;
+  }
+
+  /**
+   * GET through the cache
+   * @param {String} provider - TTL bucket, e.g. 'wikipedia', 'npm', 'unsplash'
+   * @param {String} url - Request URL
+   * @param {Object} config - axios config (params, headers, timeout)
+   * @param {Object} options - { select: data => part of the body worth storing }
+   * @returns {Object} { status, data, headers, cached }
+   */
+  async get(provider, url, config = {}, options = {}) {
+    const select = options.select || (data => data);
+    if (!this.enabled) {
+      const response = await axios.get(url, config);
+      return { status: response.status, data: select(response.data), headers: response.headers || {}, cached: false };
+    }
+
+    const key = this.key(provider, url, config.params);
+    const entry = this.read(key);
+
+    if (entry && (this.offline || Date.now() < new Date(entry.expiresAt).getTime())) {
+      logger.debug('HTTP cache hit', { provider, url, status: entry.status });
+      if (entry.status === 404) throw this.notFound(url);
+      return { status: entry.status, data: entry.data, headers: {}, cached: true };
+    }
+
+    if (this.offline) {
+      throw new CacheMissError(provider, url);
+    }
+
+    try {
+      const response = await axios.get(url, config);
+      const data = select(response.data);
+      this.write(key, {
+        provider,
+        status: response.status || 200,
+        data,
+        storedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + this.ttlFor(provider)).toISOString()
+      });
+      return { status: response.status || 200, data, headers: response.headers || {}, cached: false };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        this.write(key, {
+          provider,
+          status: 404,
+          data: null,
+          storedAt: new Date().toISOString(),
+          expiresAt: new Date(Date.now() + this.negativeTtlHours * HOUR_MS).toISOString()
+        });
+        throw error;
+      }
+
+      // An expired answer beats none when the API is down or rate limiting us
+      if (entry && entry.status !== 404) {
+        logger.warn('HTTP request failed, serving stale cache entry', { provider, url, error: error.message });
+        return { status: entry.status, data: entry.data, headers: {}, cached: true };
+      }
+      throw error;
+    }
+  }
+
+  // Drop every cached response
+  clear() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    logger.info('HTTP cache cleared', { dir: this.dir });
+  }
+}
+
+module.exports = new HttpCache();
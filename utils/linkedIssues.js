@@ -0,0 +1,19 @@
+// utils/linkedIssues.js
+// Closing-keyword references shared by GitHub, GitLab and Gitea ("Fixes #12", "Closes #3")
+
+const CLOSING_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+#(\d+)/gi;
+
+// Extract the issue numbers a pull/merge request closes
+function extractLinkedIssues(text) {
+  if (!text) return [];
+  const numbers = [];
+  let match;
+
+  CLOSING_PATTERN.lastIndex = 0;
+  while ((match = CLOSING_PATTERN.exec(text)) !== null) {
+    numbers.push(parseInt(match[1], 10));
+  }
+  return [...new Set(numbers)];
+}
+
+module.exports = { extractLinkedIssues };
@@ -0,0 +1,142 @@
+// utils/markdownDiff.js
+// Section-aware diffing of markdown documents (used for README update signals)
+
+const BADGE_PATTERN = /!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g;
+const BADGE_HOSTS = /shields\.io|badgen\.net|badge|travis-ci|circleci|codecov|coveralls|\/actions\/workflows\//i;
+
+// Normalize a heading or line for comparison
+function normalizeLine(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+// Split markdown into sections keyed by heading; text before the first heading is the preamble
+function parseSections(markdown) {
+  // `lines` feed the diff (code included); `prose` excludes code blocks for excerpts
+  const sections = [{ heading: null, level: 0, lines: [], prose: [] }];
+  let inCodeBlock = false;
+
+  for (const rawLine of (markdown || '').split(/\r?\n/)) {
+    const isFence = /^\s*(```|~~~)/.test(rawLine);
+    if (isFence) {
+      inCodeBlock = !inCodeBlock;
+    }
+
+    const heading = !inCodeBlock && /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(rawLine);
+    if (heading) {
+      sections.push({ heading: normalizeLine(heading[2]), level: heading[1].length, lines: [], prose: [] });
+      continue;
+    }
+
+    const line = normalizeLine(rawLine);
+    if (line) {
+      const section = sections[sections.length - 1];
+      section.lines.push(line);
+      if (!inCodeBlock && !isFence) {
+        section.prose.push(line);
+      }
+    }
+  }
+
+  return sections;
+}
+
+// Extract status/shield badges as a map of image URL to alt text
+function extractBadges(markdown) {
+  const badges = new Map();
+  let match;
+
+  BADGE_PATTERN.lastIndex = 0;
+  while ((match = BADGE_PATTERN.exec(markdown || '')) !== null) {
+    if (BADGE_HOSTS.test(match[2])) {
+      badges.set(match[2], match[1] || match[2]);
+    }
+  }
+
+  return badges;
+}
+
+// Lines present in `next` but not in `prev` (order preserved)
+function linesOnlyIn(next, prev) {
+  const seen = new Set(prev);
+  return next.filter(line => !seen.has(line));
+}
+
+// Badge lines are reported separately, not as prose changes
+function isBadgeLine(line) {
+  return line.replace(BADGE_PATTERN, '').replace(/[[\]()\s]/g, '').length === 0 ||
+    /^\[!\[/.test(line);
+}
+
+/**
+ * Compare two markdown documents section by section
+ * @param {String} previous - Old markdown
+ * @param {String} current - New markdown
+ * @returns {Object} { added_sections, removed_sections, changed_sections,
+ *                     added_badges, removed_badges, removed_text, has_changes }
+ */
+function diffMarkdown(previous, current) {
+  const oldSections = parseSections(previous);
+  const newSections = parseSections(current);
+  const key = section => section.heading === null ? '' : section.heading.toLowerCase();
+  const oldByHeading = new Map(oldSections.map(s => [key(s), s]));
+  const newByHeading = new Map(newSections.map(s => [key(s), s]));
+
+  const addedSections = [];
+  const changedSections = [];
+  const removedText = [];
+
+  for (const section of newSections) {
+    const old = oldByHeading.get(key(section));
+    const lines = section.lines.filter(line => !isBadgeLine(line));
+
+    if (!old) {
+      addedSections.push({
+        heading: section.heading,
+        level: section.level,
+        excerpt: section.prose.filter(line => !isBadgeLine(line)).slice(0, 3)
+      });
+      continue;
+    }
+
+    const oldLines = old.lines.filter(line => !isBadgeLine(line));
+    const addedLines = linesOnlyIn(lines, oldLines);
+    const removedLines = linesOnlyIn(oldLines, lines);
+
+    if (addedLines.length > 0 || removedLines.length > 0) {
+      changedSections.push({
+        heading: section.heading || '(introduction)',
+        added_lines: addedLines,
+        removed_lines: removedLines
+      });
+      removedText.push(...removedLines);
+    }
+  }
+
+  const removedSections = oldSections
+    .filter(section => section.heading !== null && !newByHeading.has(key(section)))
+    .map(section => section.heading);
+
+  for (const section of oldSections) {
+    if (section.heading !== null && !newByHeading.has(key(section))) {
+      removedText.push(...section.lines.filter(line => !isBadgeLine(line)));
+    }
+  }
+
+  const oldBadges = extractBadges(previous);
+  const newBadges = extractBadges(current);
+  const addedBadges = [...newBadges].filter(([url]) => !oldBadges.has(url)).map(([, alt]) => alt);
+  const removedBadges = [...oldBadges].filter(([url]) => !newBadges.has(url)).map(([, alt]) => alt);
+
+  return {
+    added_sections: addedSections.filter(s => s.heading !== null),
+    removed_sections: removedSections,
+    changed_sections: changedSections,
+    added_badges: addedBadges,
+    removed_badges: removedBadges,
+    removed_text: removedText,
+    has_changes: addedSections.length + removedSections.length + changedSections.length +
+      addedBadges.length + removedBadges.length > 0
+  };
+}
+
+module.exports = { parseSections, extractBadges, diffMarkdown };
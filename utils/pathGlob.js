@@ -0,0 +1,19 @@
+// utils/pathGlob.js
+// Path globs shared by the signal filter (FILTER_*_PATHS), classification rules ("paths")
+// and the repository watch list ("org/api-*", "*-archive")
+
+// Convert a path glob into a RegExp: "**/" spans directories, "*" and "?" stay within one
+function pathGlobToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0000')
+    .replace(/\*\*/g, '\u0001')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '(?:.*/)?')
+    .replace(/\u0001/g, '.*');
+  // Globs without a slash match the file name anywhere in the tree ("*.md")
+  return new RegExp(glob.includes('/') ? `^${pattern}$` : `(^|/)${pattern}$`, 'i');
+}
+
+module.exports = { pathGlobToRegExp };
@@ -0,0 +1,56 @@
+// utils/readmeCache.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * README text behind the snapshots in state.json. The snapshots keep only each
+ * README's sha; the text the next diff needs is stored here, one JSON file per
+ * repository under README_CACHE_DIR. A missing or outdated file reads as null,
+ * and the next README change is then reported without a diff.
+ */
+class ReadmeCache {
+  constructor() {
+    this.dir = path.resolve(__dirname, '..', process.env.README_CACHE_DIR || '.cache/readmes');
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  // README text stored for a repository key, or null unless it is the version with this sha
+  read(key, sha) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this.fileFor(key), 'utf8'));
+      return entry.sha === sha ? entry.content : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('README cache entry unreadable, ignoring it', { key, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  write(key, sha, content) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this.fileFor(key), JSON.stringify({ key, sha, content }));
+    } catch (error) {
+      logger.warn('Failed to write README cache entry', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Text of a README snapshot from state.json
+   * @param {String} key - Repository key the snapshot is stored under
+   * @param {Object} snapshot - { sha }; earlier versions also kept { content }
+   * @returns {String|null} README text, or null when it is not cached
+   */
+  content(key, snapshot) {
+    if (!snapshot) return null;
+    return snapshot.content ?? this.read(key, snapshot.sha);
+  }
+}
+
+module.exports = new ReadmeCache();
@@ -0,0 +1,107 @@
+// utils/releaseNotes.js
+// Helpers for turning release tags and markdown release notes into structured data
+
+// Heading keywords that map a release-notes section onto a changelog bucket. A heading
+// must start with the keyword (after any emoji or punctuation), so "Additional notes"
+// is not a feature section and "Patching guide" is not a fix section.
+const SECTION_PATTERNS = [
+  { section: 'breaking', pattern: /^[^\p{L}\p{N}]*(?:⚠|(?:breaking|incompatible|migrations?)\b)/iu },
+  { section: 'features', pattern: /^[^\p{L}\p{N}]*(?:feat|features?|new|what'?s new|add(?:ed|s)?|enhancements?|improvements?)\b/iu },
+  { section: 'fixes', pattern: /^[^\p{L}\p{N}]*(?:fix(?:es|ed)?|bugs?|bug ?fixes|patch(?:es)?|resolved)\b/iu }
+];
+
+// Conventional-commit style prefixes used by auto-generated notes ("* feat: x by @y in ...")
+const ITEM_PATTERNS = [
+  { section: 'breaking', pattern: /^(\w+(\([^)]*\))?!:|breaking change)/i },
+  { section: 'features', pattern: /^(feat|feature)(\([^)]*\))?:/i },
+  { section: 'fixes', pattern: /^(fix|bugfix|hotfix)(\([^)]*\))?:/i }
+];
+
+// Semantic version tag, optionally behind a "v", "name-", "name@" or "name/" prefix
+const VERSION_PATTERN = /^(?:[A-Za-z][\w.-]*?[-@/])?v?(\d+)\.(\d+)(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// Parse a tag like "v2.1.0" or "release-1.4.0-beta.1" into version components
+function parseVersion(tag) {
+  const match = VERSION_PATTERN.exec((tag || '').trim());
+  if (!match) return null;
+
+  const major = parseInt(match[1], 10);
+  const minor = parseInt(match[2], 10);
+  const patch = match[3] ? parseInt(match[3], 10) : 0;
+
+  // x.0.0 is a major release, x.y.0 a minor one, anything else a patch
+  let bump = 'patch';
+  if (patch === 0 && minor === 0 && major > 0) {
+    bump = 'major';
+  } else if (patch === 0) {
+    bump = 'minor';
+  }
+
+  return {
+    major,
+    minor,
+    patch,
+    prerelease: match[4] || null,
+    bump
+  };
+}
+
+// Order two parsed versions by semver precedence (a pre-release sorts before its release)
+function compareVersions(a, b) {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) return a[part] - b[part];
+  }
+  if (a.prerelease === b.prerelease) return 0;
+  if (!a.prerelease) return 1;
+  if (!b.prerelease) return -1;
+  return a.prerelease.localeCompare(b.prerelease, undefined, { numeric: true });
+}
+
+// Pick the changelog bucket for a section heading
+function sectionForHeading(heading) {
+  const rule = SECTION_PATTERNS.find(r => r.pattern.test(heading));
+  return rule ? rule.section : null;
+}
+
+// Clean a single bullet item, dropping GitHub's "by @user in <url>" suffix
+function cleanItem(text) {
+  return text
+    .replace(/\s+by @[\w-]+(\[bot\])? in https?:\/\/\S+$/i, '')
+    .replace(/\*\*/g, '')
+    .trim();
+}
+
+// Parse markdown release notes into features, fixes, breaking changes and other items
+function parseReleaseNotes(markdown) {
+  const notes = { features: [], fixes: [], breaking: [], other: [] };
+  if (!markdown) return notes;
+
+  let currentSection = null;
+
+  for (const rawLine of markdown.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    // "## Features" style headings, or a bold line used as a heading
+    const heading = /^#{1,6}\s+(.*)$/.exec(line) || /^\*\*([^*]+)\*\*:?$/.exec(line);
+    if (heading) {
+      currentSection = sectionForHeading(heading[1]);
+      continue;
+    }
+
+    const bullet = /^(?:[-*+]|\d+\.)\s+(.*)$/.exec(line);
+    if (!bullet) continue;
+
+    const item = cleanItem(bullet[1]);
+    if (!item) continue;
+
+    // Item prefixes win over the enclosing heading ("What's Changed" has no bucket)
+    const itemRule = ITEM_PATTERNS.find(r => r.pattern.test(item));
+    const section = itemRule ? itemRule.section : (currentSection || 'other');
+    notes[section].push(item);
+  }
+
+  return notes;
+}
+
+module.exports = { parseReleaseNotes, parseVersion, compareVersions };
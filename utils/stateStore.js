@@ -72,7 +72,13 @@ class StateStore {
   set(key, value) {
     this.state.metadata[key] = value;
     this.save();
-    logger.debug('State metadata updated', { key, value });
+    logger.debug('State metadata updated', { key });
+  }
+
+  remove(key) {
+    delete this.state.metadata[key];
+    this.save();
+    logger.debug('State metadata removed', { key });
   }
 
   // Get all processed signal IDs for debugging/monitoring
@@ -2,7 +2,15 @@
 const logger = require('../utils/logger');
 const stateStore = require('../utils/stateStore');
 const { GitHubTrigger } = require('../triggers/githubTrigger');
+const { createTriggers } = require('../triggers/triggerContract');
+const { MilestoneDetector } = require('../triggers/milestoneDetector');
+const { ActionsTrigger } = require('../triggers/actionsTrigger');
+const { SignalFilter } = require('../triggers/signalFilter');
+const { DuplicateCollapser } = require('../triggers/duplicateCollapser');
+const { DigestAggregator } = require('../triggers/digestAggregator');
 const { SignalClassifier } = require('../triggers/signalClassifier');
+const { SignalPolicy } = require('../triggers/signalPolicy');
+const { Redactor } = require('../services/redactor');
 const { DataFetcher } = require('../services/dataFetcher');
 const { DataNormalizer } = require('../services/dataNormalizer');
 const { PromptBuilder } = require('../services/promptBuilder');
@@ -12,20 +20,33 @@ const { LinkedInPublisher } = require('../services/linkedinPublisher');
 /**
  * WORKFLOW ENGINE - FULLY INTEGRATED
  * Orchestrates the complete automation pipeline:
- * 1. GitHub signal detection → 2. Signal classification
- * 3. Data fetching & normalization → 4. Prompt building
+ * 1. Signal detection (GitHub, GitLab, Gitea) → 2. Signal classification & posting policy
+ * 3. Redaction, data fetching & normalization → 4. Prompt building
  * 5. Content generation → 6. Image generation → 7. LinkedIn publishing
  */
 class WorkflowEngine {
   constructor() {
-    this.githubTrigger = new GitHubTrigger();
+    this.triggers = createTriggers();
+    // GitHub-only detectors and the webhook receiver need the GitHub trigger itself
+    this.githubTrigger = this.triggers.find(t => t instanceof GitHubTrigger) || null;
+    if (this.githubTrigger) {
+      this.githubTrigger.use(new MilestoneDetector(this.githubTrigger.client));
+      this.githubTrigger.use(new ActionsTrigger(this.githubTrigger.client));
+    }
+    this.signalFilter = new SignalFilter();
+    this.duplicateCollapser = new DuplicateCollapser();
+    this.redactor = new Redactor();
+    // Buffered digest items wait in state.json, so they are redacted on the way in
+    this.digestAggregator = new DigestAggregator({ redactor: this.redactor });
     this.signalClassifier = new SignalClassifier();
+    this.signalPolicy = new SignalPolicy();
     this.dataFetcher = new DataFetcher();
     this.dataNormalizer = new DataNormalizer();
     this.promptBuilder = new PromptBuilder();
     this.contentGenerator = new ContentGenerator();
     this.imageGenerator = new ImagePromptGenerator();
-    this.linkedinPublisher = new LinkedInPublisher();
+    // Queue decisions train the classifier's feedback model
+    this.linkedinPublisher = new LinkedInPublisher({ feedback: this.signalClassifier.feedbackModel });
   }
 
   /**
@@ -33,66 +54,28 @@ class WorkflowEngine {
    * @returns {Object} Workflow execution result
    */
   async executeWorkflow() {
-    const startTime = Date.now();
     logger.info('WorkflowEngine: Starting complete automation pipeline');
 
     try {
-      // PHASE 2.1: Detect GitHub signals
-      logger.info('Phase 2.1: Detecting GitHub signals');
-      const signals = await this.githubTrigger.detectSignals();
+      // PHASE 2.1: Detect signals from every configured trigger
+      logger.info('Phase 2.1: Detecting signals', {
+        triggers: this.triggers.map(t => t.source)
+      });
+      const detected = await this.detectAllSignals();
+
+      // Even with nothing new, a digest window may be due
+      const signals = this.prepareSignals(detected);
 
       if (!signals || signals.length === 0) {
         logger.info('WorkflowEngine: No new signals detected');
         return {
           status: 'no_signals',
-          message: 'No new GitHub activity to process',
+          message: 'No new repository activity to process',
           timestamp: new Date().toISOString()
         };
       }
 
-      logger.info(`WorkflowEngine: Found ${signals.length} signal(s)`);
-
-      // Process each signal independently
-      const results = [];
-      for (const signal of signals) {
-        try {
-          const result = await this._processSingleSignal(signal);
-          results.push(result);
-        } catch (error) {
-          logger.error('WorkflowEngine: Signal processing failed', {
-            signal: signal.type,
-            error: error.message
-          });
-          results.push({
-            signal: signal,
-            status: 'error',
-            error: error.message
-          });
-        }
-      }
-
-      // Record execution
-      const duration = Date.now() - startTime;
-      await stateStore.recordExecution('workflow-engine', 'success', {
-        signalsProcessed: signals.length,
-        duration: `${duration}ms`,
-        results: results
-      });
-
-      logger.info('WorkflowEngine: Pipeline complete', {
-        duration: `${duration}ms`,
-        total: signals.length,
-        success: results.filter(r => r.status === 'published' || r.status === 'queued').length,
-        failed: results.filter(r => r.status === 'error').length
-      });
-
-      return {
-        status: 'success',
-        signalsProcessed: signals.length,
-        duration: `${duration}ms`,
-        results: results,
-        timestamp: new Date().toISOString()
-      };
+      return await this.processSignals(signals, { source: 'poll', prepared: true });
 
     } catch (error) {
       logger.error('WorkflowEngine: Pipeline failed', {
@@ -109,39 +92,180 @@ class WorkflowEngine {
   }
 
   /**
-   * Process a single signal through complete pipeline
+   * Collect signals from all triggers; one failing forge does not block the others
+   * @returns {Array} Signals tagged with their `source`
    */
-  async _processSingleSignal(signal) {
-    const signalId = `${signal.type}_${Date.now()}`;
-    logger.info(`Processing signal: ${signalId}`);
+  async detectAllSignals() {
+    const signals = [];
+
+    for (const trigger of this.triggers) {
+      try {
+        signals.push(...await trigger.detectSignals());
+      } catch (error) {
+        logger.error('WorkflowEngine: Trigger failed', {
+          source: trigger.source,
+          error: error.message
+        });
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * PHASE 2.1b: Drop filtered signals (authors, bots, merges, reverts, paths),
+   * collapse near-duplicates, then fold small changes into digests
+   * @param {Array} signals - Detected signals
+   * @returns {Array} Signals ready for classification
+   */
+  prepareSignals(signals) {
+    const filtered = this.signalFilter.apply(signals);
+    return this.digestAggregator.aggregate(this.duplicateCollapser.collapse(filtered));
+  }
+
+  /**
+   * Find the trigger a signal came from (signals without a source are GitHub's)
+   */
+  triggerFor(signal) {
+    const source = signal.source || 'github';
+    return this.triggers.find(t => t.source === source) || null;
+  }
+
+  /**
+   * Run already-detected signals through the pipeline
+   * Shared by polling (executeWorkflow) and the webhook receiver
+   * @param {Array} signals - Signals in the shared trigger format
+   * @param {Object} options - { source: 'poll' | 'webhook', deliveryId?, prepared? }
+   * @returns {Object} Workflow execution result
+   */
+  async processSignals(signals, options = {}) {
+    const startTime = Date.now();
+    const source = options.source || 'poll';
+
+    // Webhook deliveries have not been filtered or aggregated yet
+    if (!options.prepared) {
+      signals = this.prepareSignals(signals);
+    }
+
+    logger.info(`WorkflowEngine: Found ${signals.length} signal(s)`, { source });
+
+    // PHASE 2.2: Classify every signal, then let the policy pick what gets posted
+    logger.info('Phase 2.2: Classifying signals');
+    const results = [];
+    const classified = [];
+    for (const signal of signals) {
+      try {
+        classified.push(this.signalClassifier.classify(signal));
+      } catch (error) {
+        logger.error('WorkflowEngine: Signal classification failed', {
+          signal: signal.type,
+          error: error.message
+        });
+        results.push({ signal, status: 'error', error: error.message });
+      }
+    }
+
+    logger.info('Phase 2.3: Applying posting policy');
+    const decided = this.signalPolicy.decide(classified);
+
+    // Process each signal independently; deferred ones come last and may take slots failed ones gave back
+    for (const decision of decided) {
+      const signal = this.signalPolicy.reconsider(decision);
+      try {
+        const result = await this._processSingleSignal(signal);
+        results.push(result);
+
+        // Only consume signals that produced a post or queue entry
+        const trigger = this.triggerFor(signal);
+        if (trigger && (result.status === 'published' || result.status === 'queued')) {
+          // The collapser remembers the post in state.json, so it gets the redacted signal
+          this.duplicateCollapser.markProcessed(result.signal);
+          trigger.markProcessed(signal);
+          this.signalPolicy.recordPost(signal);
+          if (signal.type === 'digest') {
+            this.digestAggregator.markProcessed(signal);
+          }
+        } else if (signal.shouldProcess) {
+          this.signalPolicy.release(signal);
+        } else if (signal.type === 'digest' && this.signalPolicy.isRejected(signal)) {
+          // A rejected digest is gone for good, and so are the items it would have covered
+          this.digestAggregator.markProcessed(signal);
+        }
+      } catch (error) {
+        this.signalPolicy.release(signal);
+        logger.error('WorkflowEngine: Signal processing failed', {
+          signal: signal.type,
+          error: error.message
+        });
+        results.push({
+          signal: signal,
+          status: 'error',
+          error: error.message
+        });
+      }
+    }
+
+    // Record execution; results keep only signal ids, so no unredacted signal text reaches state.json
+    const duration = Date.now() - startTime;
+    await stateStore.recordExecution('workflow-engine', 'success', {
+      source,
+      deliveryId: options.deliveryId,
+      signalsProcessed: signals.length,
+      duration: `${duration}ms`,
+      results: results.map(({ signal, ...result }) => ({ signalId: signal.id, type: signal.type, ...result }))
+    });
+
+    logger.info('WorkflowEngine: Pipeline complete', {
+      source,
+      duration: `${duration}ms`,
+      total: signals.length,
+      success: results.filter(r => r.status === 'published' || r.status === 'queued').length,
+      failed: results.filter(r => r.status === 'error').length
+    });
 
-    // PHASE 2.2: Classify signal
-    logger.info('Phase 2.2: Classifying signal');
-    const classified = await this.signalClassifier.classify(signal);
+    return {
+      status: 'success',
+      signalsProcessed: signals.length,
+      duration: `${duration}ms`,
+      results: results,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Process a single classified signal through the rest of the pipeline
+   * @param {Object} classified - Signal with the policy's `shouldProcess` and `reason`
+   */
+  async _processSingleSignal(classified) {
+    const signalId = `${classified.type}_${Date.now()}`;
+    logger.info(`Processing signal: ${signalId}`);
 
-    if (!classified || !classified.shouldProcess) {
-      logger.info('Signal filtered out', { reason: classified.reason });
+    if (!classified.shouldProcess) {
       return {
-        signal: signal,
+        signal: classified,
         status: 'filtered',
         reason: classified.reason
       };
     }
 
+    // PHASE 3.0: Redact secrets and private details before anything leaves the machine
+    logger.info('Phase 3.0: Redacting sensitive data');
+    const safeSignal = this.redactor.redact(classified, 'signal');
+    const redactions = [...safeSignal.findings];
+
     // PHASE 3.1: Fetch additional context
     logger.info('Phase 3.1: Fetching context data');
-    const contextData = await this.dataFetcher.fetch(classified);
+    const enriched = await this.dataFetcher.enrichSignal(safeSignal.value);
 
     // PHASE 3.2: Normalize data
     logger.info('Phase 3.2: Normalizing data');
-    const normalized = await this.dataNormalizer.normalize(
-      classified,
-      contextData
-    );
+    const normalized = this.dataNormalizer.normalize(enriched);
 
     // PHASE 4: Build prompt
     logger.info('Phase 4: Building LLM prompt');
-    const prompt = await this.promptBuilder.buildPrompt(normalized);
+    const built = this.redactor.redact(await this.promptBuilder.buildPrompt(normalized), 'prompt');
+    const prompt = built.value;
+    redactions.push(...built.findings);
 
     // PHASE 5.1: Generate content
     logger.info('Phase 5.1: Generating content');
@@ -158,15 +282,25 @@ class WorkflowEngine {
       prompt.metadata
     );
 
-    // PHASE 6: Publish to LinkedIn
+    // PHASE 6: Publish to LinkedIn (the model may echo or invent sensitive strings)
     logger.info('Phase 6: Publishing to LinkedIn');
+    const post = this.redactor.redact({ text: content.text, image }, 'publish');
+    redactions.push(...post.findings);
+
     const publishPayload = {
-      text: content.text,
-      image: image,
+      text: post.value.text,
+      image: post.value.image,
       metadata: {
         topic: prompt.metadata.topic,
         signalType: classified.type,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        // Queue decisions are learned from the features the classifier scores, and
+        // compared against the confidence the rules gave before feedback was blended in
+        signal: {
+          id: classified.id,
+          confidence: classified.classification.rule_confidence ?? classified.confidence,
+          features: this.signalClassifier.featuresFor(classified)
+        }
       }
     };
 
@@ -178,14 +312,15 @@ class WorkflowEngine {
     });
 
     return {
-      signal: signal,
+      signal: safeSignal.value,
       status: publishResult.status,
       queueId: publishResult.queueId,
       postId: publishResult.postId,
       content: {
-        text: content.text.substring(0, 100) + '...',
+        text: publishPayload.text.substring(0, 100) + '...',
         imageType: image.type
-      }
+      },
+      redactions
     };
   }
 
@@ -193,12 +328,15 @@ class WorkflowEngine {
    * Get workflow health status
    */
   async getHealthStatus() {
-    const services = {
-      github: await this.githubTrigger.healthCheck(),
+    const services = {};
+    for (const trigger of this.triggers) {
+      services[trigger.source] = await trigger.healthCheck();
+    }
+    Object.assign(services, {
       contentGenerator: await this.contentGenerator.healthCheck(),
       imageGenerator: await this.imageGenerator.healthCheck(),
       linkedinPublisher: await this.linkedinPublisher.healthCheck()
-    };
+    });
 
     const allHealthy = Object.values(services).every(
       s => s.status === 'healthy'
@@ -224,6 +362,20 @@ class WorkflowEngine {
   async publishFromQueue(queueId) {
     return await this.linkedinPublisher.publishFromQueue(queueId);
   }
+
+  /**
+   * Edit a queued post's text before publishing it
+   */
+  editQueueItem(queueId, text) {
+    return this.linkedinPublisher.editQueueItem(queueId, text);
+  }
+
+  /**
+   * Reject a queued post
+   */
+  rejectFromQueue(queueId, reason) {
+    return this.linkedinPublisher.rejectFromQueue(queueId, reason);
+  }
 }
 
 module.exports = WorkflowEngine;